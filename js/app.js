@@ -13,20 +13,86 @@ const App = (function () {
     // Time management
     let currentDate = new Date();     // Simulation time
     let lastUpdateTime = Date.now();  // For delta calculations
-    let timeMultiplier = 1.0;         // Time acceleration (1.0 = real-time)
+    let timeMultiplier = 1.0;         // Time acceleration (1.0 = real-time, negative = rewind)
+    let clockAnchor = new Date();     // Centre of the time bar's scrub range
+
+    // Conjunction screening results for the player satellite
+    let conjunctions = [];            // Focused asset's screened conjunctions
+    let fleetConjunctions = [];       // Every fleet asset's (assetNoradId tells them apart)
+    let screeningStart = null;        // Simulation time the screening window starts at
+    let screeningRequest = 0;         // Latest screening request (older results are dropped)
+    let screeningPending = false;     // Latest screening still running
+    let lastScreeningRefresh = 0;     // Wall time of the last automatic re-screen
+    let pendingFleetAssets = [];      // Assets added since the last screening, awaiting their own screen
+    let fleetScreenTimer = null;      // Debounces screening of newly added assets
+
+    // Conjunction data messages received from elsewhere
+    let importedCDMs = [];            // {id, message (see CDM.parse), tca (Date), catalogIndexes}
+
+    // Ground overlay (track, sub-satellite point, footprint)
+    let groundTrackVisible = true;
+    let footprintVisible = true;
+    let footprintElevationMask = 10;  // Degrees above the horizon
+
+    // Ground station passes for the player satellite
+    let groundPasses = [];
+    let passWindowStart = null;       // Simulation time the passes were predicted from
+
+    // Forward CTS forecast
+    let forecastHours = 24;
+    let forecastConjunctions = [];    // Debris approaches inside the danger radius
+    let forecastStart = null;         // Simulation time the forecast was screened from
+    let forecastRequest = 0;          // Latest screening request (older results are dropped)
+    let forecastPending = false;      // Latest forecast screening still running
+    let lastForecastRefresh = 0;      // Wall time of the last automatic forecast re-screen
+    let clockJumped = false;          // Time was set directly since the last window refresh
+
+    // Object shown in the inspector (catalog index or 'player')
+    let selectedObject = null;
+
+    // Catalog filter driving the scene's catalog layer
+    let catalogFilters = null;        // {regime, type, min/maxInclination, min/maxAltitude}
+    let catalogMask = null;           // Uint8Array visibility per catalog index (null = all)
+
+    // Maneuver planner
+    let plannedManeuver = null;       // {record, maneuver, report} awaiting execution
+    let maneuverRequest = 0;          // Latest planning request (older results are dropped)
+
+    // Saved session (IndexedDB) and its decision history
+    let sessionId = null;             // Id the session is saved under (null = not tracking)
+    let sessionCreatedAt = null;
+    let decisions = [];               // {type, time, simulationTime, assetId, assetName, details}
+    let lastSessionSave = 0;
 
     // Update throttling counters
     let frameCount = 0;
-    let lastDebrisUpdate = 0;
-    let lastActiveSatUpdate = 0;
+    let lastPropagation = 0;
+    let lastCatalogSeq = -1;          // Last snapshot pushed to the scene
     let lastCTSUpdate = 0;
     let lastUIUpdate = 0;
+    let lastTrajectoryUpdate = 0;
 
     // Throttle intervals (milliseconds)
-    const DEBRIS_UPDATE_INTERVAL = 100;    // 10 FPS
-    const ACTIVE_SAT_INTERVAL = 500;       // 2 FPS
+    const PROPAGATION_INTERVAL = 100;      // 10 FPS (full catalog, worker)
     const CTS_UPDATE_INTERVAL = 100;       // 10 FPS
     const UI_UPDATE_INTERVAL = 100;        // 10 FPS
+    const TRAJECTORY_INTERVAL = 1000;      // 1 FPS (re-sample past/future arcs)
+    const SESSION_SAVE_INTERVAL = 15000;   // Autosave every 15 s of wall time
+    const PASS_REFRESH_MS = 6 * 3600000;   // Re-predict passes every 6 simulated hours
+    const FORECAST_REFRESH_MS = 3600000;   // Re-screen the forecast every simulated hour
+    const SCREENING_REFRESH_MS = 86400000; // Re-screen conjunctions every simulated day
+    const FORECAST_THROTTLE_MS = 10000;    // At most one automatic forecast re-screen per 10 s of wall time
+    const SCREENING_THROTTLE_MS = 30000;   // At most one automatic conjunction re-screen per 30 s of wall time
+    const FLEET_SCREEN_DEBOUNCE_MS = 2000; // Screen assets added within 2 s of each other together
+    const MAX_TIME_MULTIPLIER = 1000;      // Fastest rate either way
+    const MIN_TIME_MULTIPLIER = 0.1;       // Slowest non-zero rate
+    const SCRUB_RANGE_MS = 7 * 86400000;   // Time bar reaches ±7 days from its anchor
+    const CONJUNCTION_LEAD_MS = 60000;     // Jumps land this long before TCA
+    const PLANNER_WINDOW_DAYS = 2;         // Post-burn sweep for new conjunctions
+    const PLANNER_TRACK_KM = 1000;         // Threshold when re-tracking known threats
+    const PLANNER_GHOST_REVS = 1.5;        // Post-burn revolutions drawn as the ghost orbit
+    const CDM_TCA_SEARCH_PAD_S = 120;      // Extra search past a closing threat's straight-line TCA
+    const MANEUVER_DIRECTIONS = ['inTrack', 'radial', 'crossTrack'];
 
     // ==========================================
     // UTILITY: DEBOUNCE FUNCTION
@@ -116,9 +182,20 @@ const App = (function () {
                     console.log('App: [4/5] Initializing orbital mechanics...');
                     const counts = OrbitalPropagator.initSatellites(tleData);
 
+                    // Full-catalog propagation runs once per tick in a worker
+                    PropagationService.init(tleData);
+                    SceneManager.initCatalogLayer(
+                        PropagationService.getRecords().map(entry => entry.record.objectType)
+                    );
+                    CatalogSearch.buildIndex(PropagationService.getRecords(), tleData);
+
+                    // Ground station network
+                    SceneManager.setGroundStations(GroundStations.init());
+
                     // Step 4: Initialize UI Controller
                     console.log('App: [5/5] Initializing UI controller...');
                     UIController.init();
+                    UIController.updateStationList(GroundStations.getStations());
 
                     // Step 5: Initial scene population (background satellites)
                     populateBackgroundSatellites();
@@ -161,6 +238,22 @@ const App = (function () {
                 }
             }, 250));
 
+            // Scene picking: hover tooltip and click-to-inspect
+            window.addEventListener('sceneObjectHover', event => {
+                const info = event.detail.object !== null ? describeObject(event.detail.object) : null;
+                if (info) {
+                    UIController.showSceneTooltip(info, event.detail.clientX, event.detail.clientY);
+                } else {
+                    UIController.hideSceneTooltip();
+                }
+            });
+            window.addEventListener('sceneObjectSelect', event => selectObject(event.detail.object));
+
+            // Save when the tab is hidden (this also fires on reload and close)
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') saveSession();
+            });
+
             return true;
 
         } catch (error) {
@@ -183,12 +276,10 @@ const App = (function () {
         try {
             console.log('App: Populating background satellites...');
 
-            const positions = OrbitalPropagator.getActiveSatellitePositions(currentDate);
-
-            if (positions && positions.length > 0) {
-                SceneManager.updateActiveSatellites(positions);
-                console.log(`App: Added ${positions.length} active satellites to scene`);
-            }
+            // With the worker the first snapshot arrives on a later frame and
+            // updateCatalog() picks it up from the loop
+            PropagationService.requestTick(currentDate);
+            updateCatalog();
         } catch (error) {
             console.error('App: Error populating background satellites', error);
             // Continue anyway - this is not critical
@@ -201,9 +292,11 @@ const App = (function () {
     /**
      * Initializes player's satellite from validated TLE
      * @param {Object} tle - Validated TLE object {name, tle1, tle2}
+     * @param {Object|null} session - Saved session to restore (see resumeSession);
+     *                                null starts a new session
      * @returns {boolean} Success/failure
      */
-    function initializePlayerSatellite(tle) {
+    function initializePlayerSatellite(tle, session = null) {
         try {
             console.log(`App: Initializing player satellite: ${tle.name}`);
 
@@ -217,6 +310,27 @@ const App = (function () {
                 return false;
             }
 
+            // A plan made for the previous asset no longer applies; the new fleet starts fully fuelled
+            cancelManeuverPlan();
+            SpacecraftModel.clearAssets();
+            SpacecraftModel.selectAsset(OrbitalPropagator.getPlayerSatellite().satrec.satnum);
+            fleetConjunctions = [];
+            conjunctions = [];
+
+            // Start real-time updates (a resumed salvage listing stops them again)
+            isRunning = true;
+
+            // A resumed session brings back its fleet, maneuvers, propellant, scores, log and
+            // decisions before anything is drawn or logged, so the defaults never show
+            if (session) {
+                restoreSessionState(session);
+            } else {
+                sessionId = SessionStore.createId();
+                sessionCreatedAt = Date.now();
+                decisions = [];
+            }
+            UIController.updateAssetState();
+
             // Get initial position
             const position = OrbitalPropagator.getPlayerPosition(currentDate);
 
@@ -233,12 +347,13 @@ const App = (function () {
             if (params) {
                 UIController.updateAssetInfo(tle.name, params);
                 console.log('App: Asset info updated');
-
-                // Draw orbital trajectory line
-                SceneManager.drawOrbitTrajectory(params);
-                console.log('App: Orbital trajectory drawn');
             }
 
+            // Draw propagated trajectory and ground track (refreshed from the loop as the orbit precesses)
+            updateTrajectory();
+            updateGroundOverlay();
+            console.log('App: Orbital trajectory drawn');
+
             // *** SHOW BUSINESS MODEL PANEL ***
             // This displays the Circular Economy Model when satellite is initialized
             if (UIController.showBusinessPanel) {
@@ -246,21 +361,22 @@ const App = (function () {
                 console.log('App: Business model panel displayed');
             }
 
-            // Load and display debris
-            const debrisPositions = OrbitalPropagator.getDebrisPositions(currentDate);
-            if (debrisPositions && debrisPositions.length > 0) {
-                SceneManager.updateDebris(debrisPositions);
-                console.log(`App: Loaded ${debrisPositions.length} debris objects`);
-            }
-
-            // Start real-time updates
-            isRunning = true;
-
             if (params) {
-                UIController.addLogEntry(`Tracking ${tle.name} - Altitude: ${params.altitude} km`);
+                UIController.addLogEntry(`Tracking ${tle.name} - Altitude: ${params.altitude.toFixed(2)} km`);
                 UIController.showToast(`Now tracking ${tle.name}`, 'success');
             }
 
+            // The time bar scrubs around the time tracking started (or resumed from)
+            clockAnchor = new Date(currentDate.getTime());
+
+            // Predict station passes, then sweep the coming week for close approaches.
+            // The short forecast sweep goes first so the timeline fills in quickly.
+            passWindowStart = null;
+            updateGroundStations();
+            forecastConjunctions = [];
+            runForecast();
+            runConjunctionScreening().then(updateGroundStations);
+
             return true;
 
         } catch (error) {
@@ -270,6 +386,199 @@ const App = (function () {
         }
     }
 
+    // ==========================================
+    // 3b. RUN CONJUNCTION SCREENING
+    // ==========================================
+    /**
+     * Screens every fleet asset against the catalog over the default window
+     * in one pass (runs in the propagation worker when available). Starting
+     * a new screening cancels the one still running.
+     * @returns {Promise<Array>} Focused asset's conjunctions sorted by TCA
+     */
+    function runConjunctionScreening() {
+        const fleet = OrbitalPropagator.getFleet();
+        const request = ++screeningRequest;
+        screeningPending = true;
+
+        // This pass covers any assets still waiting for their own screen
+        clearTimeout(fleetScreenTimer);
+        fleetScreenTimer = null;
+        pendingFleetAssets = [];
+
+        // When rewinding, start a refresh period back so the window lasts as long as it does going forward
+        screeningStart = timeMultiplier < 0
+            ? new Date(currentDate.getTime() - SCREENING_REFRESH_MS)
+            : currentDate;
+        UIController.addLogEntry(`Screening catalog for conjunctions (7-day window, ${fleet.length} asset(s))...`);
+
+        return PropagationService.screenConjunctions(screeningStart, { primaries: fleet }, { key: 'screening' })
+            .then(results => {
+                if (request === screeningRequest) screeningPending = false;
+                if (request !== screeningRequest || !results) return conjunctions;
+
+                // Catalog index lets threat rows point at the object in the scene
+                results.forEach(c => {
+                    c.index = PropagationService.getCatalogIndex(c.source, c.sourceIndex);
+                });
+                fleetConjunctions = mergeFleetConjunctions(fleet, results);
+                conjunctions = getAssetConjunctions(OrbitalPropagator.getPlayerSatellite());
+
+                if (conjunctions.length === 0) {
+                    UIController.addLogEntry('Screening complete - no conjunctions under threshold');
+                    return conjunctions;
+                }
+
+                const closest = conjunctions.reduce((a, b) => (b.missDistance < a.missDistance ? b : a));
+                UIController.addLogEntry(
+                    `Screening complete - ${conjunctions.length} conjunction(s). Closest: ${closest.name} ` +
+                    `(${closest.noradId}) at ${closest.missDistance.toFixed(2)} km, TCA ${closest.tca.toISOString()}`,
+                    closest.missDistance < CTSEngine.getConfig().criticalRadius ? 'warning' : 'info'
+                );
+                return conjunctions;
+            })
+            .catch(error => {
+                console.error('App: Error screening conjunctions', error);
+                if (request !== screeningRequest) return conjunctions;
+                screeningPending = false;
+                fleetConjunctions = [];
+                conjunctions = [];
+                return conjunctions;
+            });
+    }
+
+    /**
+     * Screens assets added since the last screening over the current window,
+     * leaving the rest of the fleet's conjunctions as they are
+     * @returns {Promise<Array>} The new assets' conjunctions sorted by TCA
+     */
+    function screenFleetAdditions() {
+        const fleet = OrbitalPropagator.getFleet();
+        const added = pendingFleetAssets.filter(record => fleet.indexOf(record) !== -1);
+        const start = screeningStart;
+        fleetScreenTimer = null;
+        pendingFleetAssets = [];
+
+        if (added.length === 0 || !start) return Promise.resolve([]);
+
+        UIController.addLogEntry(`Screening ${added.length} new asset(s) for conjunctions (7-day window)...`);
+
+        return PropagationService.screenConjunctions(start, { primaries: added })
+            .then(results => {
+                // A full screening started since then covers these assets itself
+                if (start !== screeningStart) return [];
+
+                results.forEach(c => {
+                    c.index = PropagationService.getCatalogIndex(c.source, c.sourceIndex);
+                });
+                fleetConjunctions = mergeFleetConjunctions(added, results);
+                conjunctions = getAssetConjunctions(OrbitalPropagator.getPlayerSatellite());
+
+                UIController.addLogEntry(`New asset screening complete - ${results.length} conjunction(s)`);
+                return results;
+            })
+            .catch(error => {
+                console.error('App: Error screening new fleet assets', error);
+                return [];
+            });
+    }
+
+    // ==========================================
+    // 3c. CTS FORECAST FUNCTIONS
+    // ==========================================
+    /**
+     * Screens the debris catalog for approaches inside the danger radius over
+     * the forecast horizon, then rebuilds the forecast timeline
+     * @returns {Promise<Array>} Approaches sorted by TCA
+     */
+    function runForecast() {
+        const request = ++forecastRequest;
+        const start = currentDate;
+        forecastStart = start;
+        forecastPending = true;
+
+        return PropagationService.screenConjunctions(start, {
+            primary: OrbitalPropagator.getPlayerSatellite(),
+            windowDays: forecastHours / 24,
+            thresholdKm: CTSEngine.getConfig().dangerRadius,
+            sources: ['debris']
+        }, { key: 'forecast' })
+            .then(results => {
+                if (request === forecastRequest) forecastPending = false;
+                if (request !== forecastRequest || !results) return forecastConjunctions;
+
+                forecastConjunctions = results;
+                updateForecast();
+                return results;
+            })
+            .catch(error => {
+                console.error('App: Error running CTS forecast', error);
+                if (request === forecastRequest) forecastPending = false;
+                return [];
+            });
+    }
+
+    /**
+     * Scores the forecast timeline in the current scoring mode (Pc mode uses
+     * the 7-day conjunction screening) and redraws it
+     */
+    function updateForecast() {
+        if (!forecastStart) return;
+
+        try {
+            const mode = CTSEngine.getScoringMode();
+            const forecast = CTSEngine.calculateForecast(
+                mode === 'pc' ? conjunctions : forecastConjunctions,
+                forecastStart,
+                { hours: forecastHours, mode: mode }
+            );
+            UIController.updateForecast(forecast, currentDate);
+        } catch (error) {
+            console.warn('App: Error updating CTS forecast', error);
+        }
+    }
+
+    /**
+     * Re-runs the forecast and the conjunction screening once the clock has
+     * moved out of the window they were screened for (either direction).
+     * While the clock runs, a stale window waits for the screen in flight and
+     * is re-screened at most once per throttle period of wall time; after a
+     * direct time change the screen in flight is replaced straight away.
+     */
+    function refreshScreeningWindows() {
+        const now = Date.now();
+        const jumped = clockJumped;
+        clockJumped = false;
+
+        if (!forecastStart || Math.abs(currentDate - forecastStart) > FORECAST_REFRESH_MS) {
+            if (jumped || (!forecastPending && now - lastForecastRefresh > FORECAST_THROTTLE_MS)) {
+                lastForecastRefresh = now;
+                runForecast();
+            }
+        }
+        if (screeningStart && (currentDate < screeningStart || currentDate - screeningStart > SCREENING_REFRESH_MS)) {
+            if (jumped || (!screeningPending && now - lastScreeningRefresh > SCREENING_THROTTLE_MS)) {
+                lastScreeningRefresh = now;
+                runConjunctionScreening();
+            }
+        }
+    }
+
+    /**
+     * Changes the forecast horizon and re-screens
+     * @param {number} hours - 24 to 72
+     * @returns {number} Horizon in use
+     */
+    function setForecastHours(hours) {
+        forecastHours = Math.max(24, Math.min(72, Math.round(hours) || 24));
+
+        if (OrbitalPropagator.getPlayerSatellite()) {
+            runForecast();
+        }
+
+        UIController.addLogEntry(`CTS forecast horizon set to ${forecastHours} h`);
+        return forecastHours;
+    }
+
     // ==========================================
     // 4. START ANIMATION LOOP
     // ==========================================
@@ -298,27 +607,28 @@ const App = (function () {
             const deltaTime = (now - lastUpdateTime) / 1000; // Convert to seconds
             lastUpdateTime = now;
 
-            // Update simulation time
-            currentDate = new Date(currentDate.getTime() + deltaTime * 1000 * timeMultiplier);
+            // Update simulation time (the clock stops while paused)
+            if (isRunning) {
+                currentDate = new Date(currentDate.getTime() + deltaTime * 1000 * timeMultiplier);
+            }
 
             frameCount++;
 
             // ===== PLAYER UPDATES (Every Frame) =====
             if (isRunning) {
                 updatePlayer();
+                updateGroundOverlay();
             }
 
-            // ===== DEBRIS UPDATES (Throttled) =====
-            if (isRunning && now - lastDebrisUpdate > DEBRIS_UPDATE_INTERVAL) {
-                updateDebris();
-                lastDebrisUpdate = now;
+            // ===== CATALOG PROPAGATION (Throttled, off main thread) =====
+            if (now - lastPropagation > PROPAGATION_INTERVAL) {
+                if (PropagationService.requestTick(currentDate)) {
+                    lastPropagation = now;
+                }
             }
 
-            // ===== ACTIVE SATELLITES UPDATES (Throttled) =====
-            if (now - lastActiveSatUpdate > ACTIVE_SAT_INTERVAL) {
-                updateActiveSatellites();
-                lastActiveSatUpdate = now;
-            }
+            // ===== CATALOG RENDER (Once per snapshot) =====
+            updateCatalog();
 
             // ===== CTS CALCULATION (Throttled) =====
             if (isRunning && now - lastCTSUpdate > CTS_UPDATE_INTERVAL) {
@@ -332,11 +642,31 @@ const App = (function () {
                 lastUIUpdate = now;
             }
 
+            // ===== TRAJECTORY + PASS + FORECAST REFRESH (Throttled) =====
+            if (isRunning && now - lastTrajectoryUpdate > TRAJECTORY_INTERVAL) {
+                updateTrajectory();
+                updateGroundStations();
+                refreshScreeningWindows();
+                updateForecast();
+                lastTrajectoryUpdate = now;
+            }
+
+            // ===== SESSION AUTOSAVE (Throttled) =====
+            if (isRunning && sessionId && now - lastSessionSave > SESSION_SAVE_INTERVAL) {
+                saveSession();
+            }
+
             // ===== ANIMATE HISTORICAL DEBRIS (If active) =====
             if (window.HistoricalDebris) {
                 HistoricalDebris.animate();
             }
 
+            // ===== EARTH ROTATION + SUNLIGHT (Every Frame) =====
+            SceneManager.setEarthRotation(OrbitalPropagator.getEarthRotation(currentDate));
+            SceneManager.setSunDirection(
+                OrbitalPropagator.eciToScenePosition(OrbitalPropagator.getSunPosition(currentDate), currentDate)
+            );
+
             // ===== RENDER SCENE (Every Frame) =====
             SceneManager.render();
 
@@ -362,74 +692,205 @@ const App = (function () {
             if (position && typeof position.x === 'number' && !isNaN(position.x)) {
                 SceneManager.updatePlayerSatellite(position);
             }
+
+            // The rest of the fleet
+            const focus = OrbitalPropagator.getPlayerSatellite();
+            const markers = [];
+            OrbitalPropagator.getFleet().forEach(record => {
+                if (record === focus) return;
+                const pv = OrbitalPropagator.propagateRecord(record, currentDate);
+                if (pv) {
+                    markers.push(OrbitalPropagator.eciToScenePosition(pv.position, currentDate));
+                }
+            });
+            SceneManager.updateFleetMarkers(markers);
         } catch (error) {
             // Silently fail - not critical for each frame
         }
     }
 
     // ==========================================
-    // 7. UPDATE DEBRIS FUNCTION
+    // 7. UPDATE CATALOG FUNCTION
     // ==========================================
     /**
-     * Updates debris positions (throttled to 10 FPS)
+     * Pushes the latest propagation snapshot into the scene's catalog layer
+     * (once per snapshot, in place)
+     */
+    function updateCatalog() {
+        try {
+            const snapshot = PropagationService.getSnapshot();
+            if (!snapshot || snapshot.seq === lastCatalogSeq) {
+                return;
+            }
+
+            SceneManager.updateCatalogPositions(PropagationService.getSceneArray(), snapshot.valid);
+            lastCatalogSeq = snapshot.seq;
+        } catch (error) {
+            console.warn('App: Error updating catalog', error);
+        }
+    }
+
+    /**
+     * Re-samples the player's trajectory and ground track around the current simulation time
      */
-    function updateDebris() {
+    function updateTrajectory() {
         try {
-            const debrisPositions = OrbitalPropagator.getDebrisPositions(currentDate);
+            SceneManager.drawOrbitTrajectory(OrbitalPropagator.getPlayerTrajectory(currentDate));
+            updateGhostOrbit();
+            updateCDMOverlay();
 
-            if (debrisPositions && debrisPositions.length > 0) {
-                SceneManager.updateDebris(debrisPositions);
+            if (groundTrackVisible) {
+                SceneManager.drawGroundTrack(OrbitalPropagator.getPlayerGroundTrack(currentDate));
             }
         } catch (error) {
-            console.warn('App: Error updating debris', error);
+            console.warn('App: Error updating trajectory', error);
         }
     }
 
-    // ==========================================
-    // 8. UPDATE ACTIVE SATELLITES FUNCTION
-    // ==========================================
     /**
-     * Updates active satellite positions (throttled to 2 FPS)
+     * Moves the sub-satellite marker and sizes the footprint from the current altitude
      */
-    function updateActiveSatellites() {
+    function updateGroundOverlay() {
+        if (!groundTrackVisible) return;
+
         try {
-            const positions = OrbitalPropagator.getActiveSatellitePositions(currentDate);
+            const geodetic = OrbitalPropagator.getPlayerGeodetic(currentDate);
+            if (!geodetic) return;
+
+            const footprint = OrbitalPropagator.calculateFootprint(geodetic.altitude, footprintElevationMask);
+            SceneManager.updateSubSatellitePoint(geodetic, footprint.angle);
+        } catch (error) {
+            // Silently fail - not critical for each frame
+        }
+    }
 
-            if (positions && positions.length > 0) {
-                SceneManager.updateActiveSatellites(positions);
+    /**
+     * Re-predicts station passes when the window has gone stale and pushes
+     * contact state and uplink windows (before the next TCA) to the scene and panel
+     */
+    function updateGroundStations() {
+        try {
+            const player = OrbitalPropagator.getPlayerSatellite();
+            if (!player) return;
+
+            if (!passWindowStart ||
+                currentDate < passWindowStart ||
+                currentDate - passWindowStart > PASS_REFRESH_MS) {
+                groundPasses = GroundStations.predictPasses(player, currentDate);
+                passWindowStart = new Date(currentDate.getTime());
             }
+
+            const upcoming = groundPasses.filter(pass => pass.los >= currentDate);
+            const nextConjunction = conjunctions.find(c => c.tca >= currentDate) || null;
+            const uplinkWindows = nextConjunction
+                ? GroundStations.getUplinkWindows(upcoming, currentDate, nextConjunction.tca)
+                : [];
+            const contactIds = upcoming
+                .filter(pass => pass.aos <= currentDate)
+                .map(pass => pass.stationId);
+
+            SceneManager.setStationContact(contactIds);
+            UIController.updateGroundStationPanel({
+                now: currentDate,
+                passes: upcoming,
+                nextConjunction: nextConjunction,
+                uplinkWindows: uplinkWindows,
+                contactIds: contactIds
+            });
         } catch (error) {
-            console.warn('App: Error updating active satellites', error);
+            console.warn('App: Error updating ground stations', error);
         }
     }
 
     // ==========================================
-    // 9. UPDATE CTS SCORE FUNCTION
+    // 8. UPDATE CTS SCORE FUNCTION
     // ==========================================
     /**
      * Calculates and updates collision threat score (throttled to 10 FPS)
      */
     function updateCTSScore() {
         try {
-            const playerPosition = OrbitalPropagator.getPlayerPosition(currentDate);
-            const debrisPositions = OrbitalPropagator.getDebrisPositions(currentDate);
+            const snapshot = PropagationService.getSnapshot();
+            const playerSat = OrbitalPropagator.getPlayerSatellite();
+            const debrisObjects = PropagationService.getSceneObjects('debris');
+
+            // Fleet roll-up first: it never touches the focused asset's history
+            if (snapshot) {
+                CTSEngine.calculateFleetScore(OrbitalPropagator.getFleet().map(record => ({
+                    id: record.satrec.satnum,
+                    name: record.name,
+                    player: getAssetState(record, snapshot.date),
+                    conjunctions: getAssetConjunctions(record).filter(c => c.tca >= currentDate)
+                })), debrisObjects);
+            }
 
-            if (playerPosition && debrisPositions && debrisPositions.length > 0) {
-                CTSEngine.calculateScore(playerPosition, debrisPositions);
+            // Pc mode scores the upcoming screened conjunctions instead of the current tick
+            if (CTSEngine.getScoringMode() === 'pc') {
+                const upcoming = conjunctions.filter(c => c.tca >= currentDate);
+                CTSEngine.calculatePcScore(upcoming);
+                return;
+            }
+
+            // Compare against the player at the snapshot's epoch, not the current frame
+            if (!snapshot || !playerSat) return;
+
+            const player = getAssetState(playerSat, snapshot.date);
+            if (player && debrisObjects.length > 0) {
+                CTSEngine.calculateScore(player, debrisObjects);
             }
         } catch (error) {
             console.warn('App: Error calculating CTS score', error);
         }
     }
 
+    /**
+     * Helper: Asset state in the form CTSEngine scores ({position, eci, velocity, date})
+     */
+    function getAssetState(record, date) {
+        const pv = OrbitalPropagator.propagateRecord(record, date);
+        if (!pv) return null;
+
+        return {
+            position: OrbitalPropagator.eciToScenePosition(pv.position, date),
+            eci: pv.position,
+            velocity: pv.velocity,
+            date: date
+        };
+    }
+
+    /**
+     * Helper: One asset's share of the fleet screening
+     */
+    function getAssetConjunctions(record) {
+        if (!record) return [];
+        return fleetConjunctions.filter(c => c.assetNoradId === record.satrec.satnum);
+    }
+
+    /**
+     * Helper: Replace the screened assets' share of the fleet screening, dropping
+     * assets removed while the screen ran
+     */
+    function mergeFleetConjunctions(screened, results) {
+        const fleet = OrbitalPropagator.getFleet();
+        const screenedIds = screened.map(record => record.satrec.satnum);
+
+        return fleetConjunctions
+            .filter(c => screenedIds.indexOf(c.assetNoradId) === -1)
+            .concat(results)
+            .filter(c => fleet.some(record => record.satrec.satnum === c.assetNoradId))
+            .sort((a, b) => a.tca - b.tca);
+    }
+
     // ==========================================
-    // 10. UPDATE UI FUNCTION
+    // 9. UPDATE UI FUNCTION
     // ==========================================
     /**
      * Updates UI elements (throttled to 10 FPS)
      */
     function updateUI() {
         try {
+            UIController.updateTimeBar(getClockState());
+
             // Get current CTS score from history
             const stats = CTSEngine.getStatistics();
             if (stats && typeof stats.current === 'number') {
@@ -441,26 +902,44 @@ const App = (function () {
             const playerSat = OrbitalPropagator.getPlayerSatellite();
             if (params && playerSat) {
                 UIController.updateAssetInfo(playerSat.name, params);
+                UIController.updateDecay(describeDecay(playerSat, currentDate));
             }
+            UIController.updateIllumination(OrbitalPropagator.getPlayerIllumination(currentDate));
 
             // Relationships: connect player to nearest threats (focus on relationships)
-            const playerPos = OrbitalPropagator.getPlayerPosition(currentDate);
+            const snapshot = PropagationService.getSnapshot();
+            const playerPos = snapshot ? OrbitalPropagator.getPlayerPosition(snapshot.date) : null;
             if (playerPos) {
-                const debrisData = OrbitalPropagator.getDebrisWithDistances(currentDate);
                 // Emphasize only nearby objects (<= 100 km)
-                const targets = debrisData
+                const targets = PropagationService.getScenePositions('debris')
+                    .map(position => ({ position: position, distance: OrbitalPropagator.calculateDistance(playerPos, position) }))
                     .filter(d => d.distance <= 100)
+                    .sort((a, b) => a.distance - b.distance)
                     .slice(0, 3)
                     .map(d => d.position);
                 SceneManager.updateRelationships(playerPos, targets);
             }
+
+            UIController.updateThreatTable(getThreatRows().concat(getCDMThreats()), currentDate);
+
+            if (playerSat) {
+                UIController.updateFleetPanel(CTSEngine.getFleetScore(), playerSat.satrec.satnum);
+            }
+
+            // Keep the inspector's distance and contribution live
+            if (selectedObject !== null) {
+                const info = describeObject(selectedObject);
+                if (info) {
+                    UIController.showInspector(info);
+                }
+            }
         } catch (error) {
             console.warn('App: Error updating UI', error);
         }
     }
 
     // ==========================================
-    // 11. SWITCH TO CRITICAL DEBRIS (DEMO)
+    // 10. SWITCH TO CRITICAL DEBRIS (DEMO)
     // ==========================================
     /**
      * Switches to critical debris scenario for demo
@@ -469,23 +948,23 @@ const App = (function () {
         try {
             console.log('App: Switching to CRITICAL DEBRIS scenario');
 
-            // Get critical debris positions
-            const criticalPositions = OrbitalPropagator.getCriticalDebrisPositions(currentDate);
-
-            if (criticalPositions && criticalPositions.length > 0) {
-                // Update scene with only critical debris
-                SceneManager.updateDebris(criticalPositions);
+            // Critical debris occupy their own block of the catalog layer
+            const block = PropagationService.getLayout() ? PropagationService.getLayout().critical : null;
 
+            if (block && block.count > 0) {
                 // Highlight all critical debris
-                const indices = criticalPositions.map((_, i) => i);
+                const indices = [];
+                for (let i = block.start; i < block.start + block.count; i++) {
+                    indices.push(i);
+                }
                 SceneManager.highlightCriticalDebris(indices);
 
                 UIController.addLogEntry(
-                    `⚠ CRITICAL DEBRIS FIELD DETECTED - ${criticalPositions.length} high-threat objects`,
+                    `⚠ CRITICAL DEBRIS FIELD DETECTED - ${block.count} high-threat objects`,
                     'critical'
                 );
 
-                console.log(`App: Switched to ${criticalPositions.length} critical debris objects`);
+                console.log(`App: Switched to ${block.count} critical debris objects`);
             } else {
                 console.warn('App: No critical debris available');
                 UIController.addLogEntry('Warning: No critical debris data available', 'warning');
@@ -497,7 +976,7 @@ const App = (function () {
     }
 
     // ==========================================
-    // 12. RESET TO NOMINAL FUNCTION
+    // 11. RESET TO NOMINAL FUNCTION
     // ==========================================
     /**
      * Resets system to nominal state
@@ -509,11 +988,8 @@ const App = (function () {
             // Clear CTS force score
             CTSEngine.setForceScore(null);
 
-            // Reload full debris dataset
-            const debrisPositions = OrbitalPropagator.getDebrisPositions(currentDate);
-            if (debrisPositions) {
-                SceneManager.updateDebris(debrisPositions);
-            }
+            // Drop critical debris highlighting
+            SceneManager.clearHighlights();
 
             // Reset UI
             UIController.hideActionPanel();
@@ -527,31 +1003,145 @@ const App = (function () {
     }
 
     // ==========================================
-    // 13. SET TIME MULTIPLIER FUNCTION
+    // 12. SET TIME MULTIPLIER FUNCTION
     // ==========================================
     /**
-     * Sets time acceleration multiplier
-     * @param {number} multiplier - Time multiplier (1.0 = real-time, 10.0 = 10x speed)
+     * Sets time acceleration multiplier. Negative rates run the clock
+     * backwards; the magnitude is clamped to 0.1-1000x.
+     * @param {number} multiplier - Time multiplier (1.0 = real-time, 10.0 = 10x speed, -10.0 = 10x rewind)
+     * @returns {number} Multiplier in use
      */
     function setTimeMultiplier(multiplier) {
         try {
-            timeMultiplier = Math.max(0.1, Math.min(multiplier, 100.0));
+            const value = Number(multiplier);
+            if (!isFinite(value) || value === 0) {
+                UIController.showToast('Time rate must be a non-zero number', 'error');
+                return timeMultiplier;
+            }
+
+            const magnitude = Math.max(MIN_TIME_MULTIPLIER, Math.min(Math.abs(value), MAX_TIME_MULTIPLIER));
+            timeMultiplier = Math.sign(value) * magnitude;
             console.log(`App: Time multiplier set to ${timeMultiplier}x`);
-            UIController.addLogEntry(`Time acceleration: ${timeMultiplier}x`);
+            UIController.addLogEntry(`Time ${timeMultiplier < 0 ? 'rewind' : 'acceleration'}: ${timeMultiplier}x`);
             UIController.showToast(`Time: ${timeMultiplier}x speed`, 'info', 2000);
         } catch (error) {
             console.error('App: Error setting time multiplier', error);
         }
+
+        return timeMultiplier;
+    }
+
+    // ==========================================
+    // 12b. SIMULATION CLOCK FUNCTIONS
+    // ==========================================
+    /**
+     * Moves the simulation clock. The player, catalog, CTS and readouts
+     * follow on the next frames; passes, forecast and screening are redone
+     * when the new time leaves their windows.
+     * @param {Date} date - New simulation time
+     * @param {Object} options - {preview: true while dragging (skips the
+     *                           trajectory refresh), keepAnchor: true to leave
+     *                           the scrub range where it is}
+     * @returns {boolean} True if the clock moved
+     */
+    function setSimulationTime(date, options = {}) {
+        if (!(date instanceof Date) || isNaN(date)) {
+            UIController.showToast('Invalid simulation time', 'error');
+            return false;
+        }
+
+        currentDate = new Date(date.getTime());
+        lastUpdateTime = Date.now();
+        if (!options.keepAnchor || Math.abs(currentDate - clockAnchor) > SCRUB_RANGE_MS) {
+            clockAnchor = new Date(currentDate.getTime());
+        }
+
+        // Propagate the catalog at the new time straight away
+        lastPropagation = 0;
+        updatePlayer();
+        updateGroundOverlay();
+
+        if (options.preview) {
+            UIController.updateTimeBar(getClockState());
+            return true;
+        }
+
+        // Redo the throttled refreshes on the next frame (now, if paused)
+        clockJumped = true;
+        lastCTSUpdate = 0;
+        lastUIUpdate = 0;
+        lastTrajectoryUpdate = 0;
+        if (!isRunning && OrbitalPropagator.getPlayerSatellite()) {
+            updateTrajectory();
+            updateGroundStations();
+            refreshScreeningWindows();
+            updateForecast();
+            updateCTSScore();
+            updateUI();
+        }
+        UIController.updateTimeBar(getClockState());
+
+        console.log(`App: Simulation time set to ${currentDate.toISOString()}`);
+        return true;
+    }
+
+    /**
+     * Moves the clock within the time bar's ±7 day range
+     * @param {number} offsetMs - Offset from the range anchor (clamped to ±7 days)
+     * @param {boolean} preview - True while the slider is being dragged
+     * @returns {boolean} True if the clock moved
+     */
+    function scrubTime(offsetMs, preview = false) {
+        const offset = Math.max(-SCRUB_RANGE_MS, Math.min(Number(offsetMs) || 0, SCRUB_RANGE_MS));
+        return setSimulationTime(new Date(clockAnchor.getTime() + offset), { preview: preview, keepAnchor: true });
+    }
+
+    /**
+     * Jumps to just before the focused asset's next conjunction (screened or
+     * from an imported CDM)
+     * @returns {Object|null} {name, noradId, tca} of the conjunction, or null if none is ahead
+     */
+    function jumpToNextConjunction() {
+        const after = currentDate.getTime() + CONJUNCTION_LEAD_MS;
+        const candidates = conjunctions
+            .map(c => ({ name: c.name, noradId: c.noradId, tca: c.tca }))
+            .concat(getCDMThreats().map(t => ({ name: t.name, noradId: t.noradId, tca: t.tca })))
+            .filter(c => c.tca && c.tca.getTime() > after);
+
+        if (candidates.length === 0) {
+            UIController.showToast('No upcoming conjunction to jump to', 'info');
+            return null;
+        }
+
+        const next = candidates.reduce((a, b) => (b.tca < a.tca ? b : a));
+        setSimulationTime(new Date(next.tca.getTime() - CONJUNCTION_LEAD_MS), { keepAnchor: true });
+        UIController.addLogEntry(`Jumped to conjunction with ${next.name} (${next.noradId}), TCA ${next.tca.toISOString()}`);
+        return next;
+    }
+
+    /**
+     * Clock state for the time bar
+     * @returns {Object} {now, anchor, rangeMs, rate, running}
+     */
+    function getClockState() {
+        return {
+            now: currentDate,
+            anchor: clockAnchor,
+            rangeMs: SCRUB_RANGE_MS,
+            rate: timeMultiplier,
+            running: isRunning
+        };
     }
 
     // ==========================================
-    // 14. PAUSE/RESUME FUNCTIONS
+    // 13. PAUSE/RESUME FUNCTIONS
     // ==========================================
     /**
-     * Pauses simulation updates
+     * Pauses simulation updates and the clock
      */
     function pause() {
         isRunning = false;
+        UIController.updateTimeBar(getClockState());
         UIController.addLogEntry('Simulation paused');
         UIController.showToast('Simulation paused', 'info', 2000);
         console.log('App: Simulation paused');
@@ -568,7 +1158,1138 @@ const App = (function () {
     }
 
     // ==========================================
-    // 15. GET STATISTICS FUNCTION
+    // 13b. DISPLAY FRAME FUNCTIONS
+    // ==========================================
+    /**
+     * Switches between the inertial (ECI) and Earth-fixed (ECEF) display.
+     * The catalog and trajectory are redrawn immediately in the new frame.
+     * @param {string} frame - 'eci' or 'ecef'
+     * @returns {string} The active frame
+     */
+    function setDisplayFrame(frame) {
+        try {
+            const previous = OrbitalPropagator.getDisplayFrame();
+            const active = OrbitalPropagator.setDisplayFrame(frame);
+
+            if (active !== previous) {
+                lastCatalogSeq = -1;
+                updateCatalog();
+                updatePlayer();
+                updateTrajectory();
+
+                const label = active === 'eci' ? 'Inertial (ECI)' : 'Earth-fixed (ECEF)';
+                UIController.addLogEntry(`Display frame: ${label}`);
+                UIController.showToast(`Frame: ${label}`, 'info', 2000);
+            }
+
+            return active;
+        } catch (error) {
+            console.error('App: Error setting display frame', error);
+            return OrbitalPropagator.getDisplayFrame();
+        }
+    }
+
+    /**
+     * Toggles between the inertial and Earth-fixed display frames
+     * @returns {string} The active frame
+     */
+    function toggleDisplayFrame() {
+        return setDisplayFrame(OrbitalPropagator.getDisplayFrame() === 'eci' ? 'ecef' : 'eci');
+    }
+
+    // ==========================================
+    // 13c. GROUND OVERLAY FUNCTIONS
+    // ==========================================
+    /**
+     * Toggles the ground track / sub-satellite overlay
+     * @returns {boolean} Whether the overlay is visible
+     */
+    function toggleGroundTrack() {
+        groundTrackVisible = !groundTrackVisible;
+        SceneManager.setGroundTrackVisible(groundTrackVisible);
+
+        if (groundTrackVisible) {
+            updateTrajectory();
+            updateGroundOverlay();
+        }
+
+        UIController.addLogEntry(`Ground track ${groundTrackVisible ? 'shown' : 'hidden'}`);
+        return groundTrackVisible;
+    }
+
+    /**
+     * Configures the visibility footprint circle
+     * @param {Object} options - {visible, elevationMask (degrees)}
+     * @returns {Object} {visible, elevationMask}
+     */
+    function setFootprint(options = {}) {
+        if (typeof options.visible === 'boolean') {
+            footprintVisible = options.visible;
+            SceneManager.setFootprintVisible(footprintVisible);
+        }
+
+        if (typeof options.elevationMask === 'number' && isFinite(options.elevationMask)) {
+            footprintElevationMask = Math.max(0, Math.min(options.elevationMask, 90));
+        }
+
+        updateGroundOverlay();
+        return { visible: footprintVisible, elevationMask: footprintElevationMask };
+    }
+
+    /**
+     * Toggles the visibility footprint circle
+     * @returns {boolean} Whether the footprint is visible
+     */
+    function toggleFootprint() {
+        const state = setFootprint({ visible: !footprintVisible });
+        UIController.addLogEntry(
+            state.visible
+                ? `Footprint shown (${state.elevationMask}° elevation mask)`
+                : 'Footprint hidden'
+        );
+        return state.visible;
+    }
+
+    // ==========================================
+    // 13d. GROUND STATION FUNCTIONS
+    // ==========================================
+    /**
+     * Adds a ground station and re-predicts passes
+     * @param {Object} station - {name, latitude, longitude, altitude, minElevation}
+     * @returns {Object|null} The stored station or null if invalid
+     */
+    function addGroundStation(station) {
+        const stored = GroundStations.addStation(station);
+
+        if (!stored) {
+            UIController.showToast('Invalid ground station', 'error');
+            return null;
+        }
+
+        SceneManager.setGroundStations(GroundStations.getStations());
+        UIController.updateStationList(GroundStations.getStations());
+        passWindowStart = null;
+        updateGroundStations();
+
+        UIController.addLogEntry(
+            `Ground station added: ${stored.name} (${stored.latitude.toFixed(2)}°, ${stored.longitude.toFixed(2)}°, mask ${stored.minElevation}°)`
+        );
+        return stored;
+    }
+
+    /**
+     * Removes a ground station and re-predicts passes
+     * @param {string} id - Station id
+     * @returns {boolean} True if a station was removed
+     */
+    function removeGroundStation(id) {
+        const station = GroundStations.getStation(id);
+        const removed = GroundStations.removeStation(id);
+
+        if (removed) {
+            SceneManager.setGroundStations(GroundStations.getStations());
+            UIController.updateStationList(GroundStations.getStations());
+            passWindowStart = null;
+            updateGroundStations();
+            UIController.addLogEntry(`Ground station removed: ${station.name}`);
+        }
+
+        return removed;
+    }
+
+    // ==========================================
+    // 13e. OBJECT INSPECTOR FUNCTIONS
+    // ==========================================
+    /**
+     * Collects inspector details for a catalog object or the player
+     * satellite at the latest snapshot time
+     * @param {number|string} object - Catalog (snapshot) index or 'player'
+     * @returns {Object|null} {name, noradId, source, epoch, altitude, inclination,
+     *                        distance, contribution, decay, isPlayer}
+     */
+    function describeObject(object) {
+        const snapshot = PropagationService.getSnapshot();
+        const date = snapshot ? snapshot.date : currentDate;
+        const player = OrbitalPropagator.getPlayerSatellite();
+        const playerPv = player ? OrbitalPropagator.propagateRecord(player, date) : null;
+
+        let record;
+        let source;
+        let position = null;
+
+        if (object === 'player') {
+            if (!player) return null;
+            record = player;
+            source = 'player';
+            position = playerPv ? playerPv.position : null;
+        } else {
+            const entry = PropagationService.getRecord(object);
+            if (!entry) return null;
+            record = entry.record;
+            source = entry.source;
+
+            if (snapshot && snapshot.valid[object]) {
+                position = {
+                    x: snapshot.positions[object * 3],
+                    y: snapshot.positions[object * 3 + 1],
+                    z: snapshot.positions[object * 3 + 2]
+                };
+            }
+        }
+
+        const satrec = record.satrec;
+        const distance = (object !== 'player' && position && playerPv)
+            ? Math.hypot(position.x - playerPv.position.x, position.y - playerPv.position.y, position.z - playerPv.position.z)
+            : null;
+
+        let contribution = null;
+        if (object !== 'player') {
+            const conjunction = conjunctions.find(c => c.tca >= currentDate && c.noradId === satrec.satnum) || null;
+
+            // Separating objects do not score (same rule as the CTS proximity sweep)
+            let closing;
+            if (distance !== null) {
+                const motion = CTSEngine.estimateCollisionTime(
+                    {
+                        x: position.x - playerPv.position.x,
+                        y: position.y - playerPv.position.y,
+                        z: position.z - playerPv.position.z
+                    },
+                    {
+                        x: snapshot.velocities[object * 3] - playerPv.velocity.x,
+                        y: snapshot.velocities[object * 3 + 1] - playerPv.velocity.y,
+                        z: snapshot.velocities[object * 3 + 2] - playerPv.velocity.z
+                    }
+                );
+                closing = motion.closing;
+            }
+
+            contribution = CTSEngine.getObjectContribution({
+                source: source,
+                distance: distance,
+                closing: closing,
+                conjunction: conjunction
+            });
+        }
+
+        return {
+            name: record.name,
+            noradId: satrec.satnum,
+            source: source,
+            // jdsatepoch is the TLE epoch as a Julian date
+            epoch: new Date((satrec.jdsatepoch - 2440587.5) * 86400000),
+            altitude: position ? OrbitalPropagator.eciToGeodetic(position, date).altitude : null,
+            inclination: satrec.inclo * (180 / Math.PI),
+            distance: distance,
+            contribution: contribution,
+            decay: describeDecay(record, date),
+            isPlayer: object === 'player'
+        };
+    }
+
+    /**
+     * Orbital lifetime estimate, flagged when reentry falls inside the
+     * CTS forecast horizon (or has already passed)
+     * @param {Object} record - Satellite record
+     * @param {Date} date - Time the remaining lifetime is measured from
+     * @returns {Object} OrbitalPropagator.estimateDecay result plus reentryInForecast
+     */
+    function describeDecay(record, date) {
+        const decay = OrbitalPropagator.estimateDecay(record, date);
+        decay.reentryInForecast = !!decay.reentryDate &&
+            decay.reentryDate.getTime() <= date.getTime() + forecastHours * 3600000;
+        return decay;
+    }
+
+    /**
+     * Opens the inspector for an object; an empty pick clears the selection
+     * @param {number|string|null} object - Catalog index, 'player' or null
+     * @returns {Object|null} Inspector details
+     */
+    function selectObject(object) {
+        if (object === null || object === undefined) {
+            clearSelection();
+            return null;
+        }
+
+        const info = describeObject(object);
+        if (!info) return null;
+
+        selectedObject = object;
+        SceneManager.setSelectedObject(object === 'player' ? null : object);
+        UIController.showInspector(info);
+
+        return info;
+    }
+
+    /**
+     * Selects an object and turns the camera towards it
+     * @param {number} index - Catalog (snapshot) index
+     * @returns {boolean} True if the camera is turning towards the object
+     */
+    function focusObject(index) {
+        const info = selectObject(index);
+        return !!info && SceneManager.focusOnObject(index);
+    }
+
+    /**
+     * Closes the inspector and removes the selection marker
+     */
+    function clearSelection() {
+        selectedObject = null;
+        SceneManager.setSelectedObject(null);
+        UIController.hideInspector();
+    }
+
+    // ==========================================
+    // 13f. MANEUVER PLANNER FUNCTIONS
+    // ==========================================
+    /**
+     * Plans an impulsive burn and re-screens the post-maneuver trajectory:
+     * a short sweep of the objects whose shells reach the new orbit for new
+     * conjunctions, plus a targeted screening of every known threat after the
+     * burn to get its new miss distance. Both run ahead of background screens
+     * and are cancelled by a newer plan or cancelManeuverPlan.
+     * @param {Object} options - {direction ('inTrack' | 'radial' | 'crossTrack'),
+     *                           deltaV (m/s, signed), burnTime (Date) or leadMinutes
+     *                           (burn this long after the current simulation time),
+     *                           onProgress(fraction) (sweep progress)}
+     * @returns {Promise<Object|null>} Maneuver report, or null if planning failed, was superseded or cancelled
+     */
+    function planManeuver(options = {}) {
+        const player = OrbitalPropagator.getPlayerSatellite();
+        if (!player) return Promise.resolve(null);
+
+        const direction = MANEUVER_DIRECTIONS.indexOf(options.direction) !== -1 ? options.direction : 'inTrack';
+        const burnTime = options.burnTime instanceof Date
+            ? options.burnTime
+            : new Date(currentDate.getTime() + (Number(options.leadMinutes) || 0) * 60000);
+        const burn = { burnTime: burnTime };
+        burn[direction] = Number(options.deltaV) || 0;
+
+        const record = OrbitalPropagator.createManeuver(player, burn);
+        if (!record) {
+            UIController.addLogEntry('Maneuver planning failed - could not propagate to burn time', 'warning');
+            return Promise.resolve(null);
+        }
+
+        const request = ++maneuverRequest;
+        const maneuver = record.maneuvers[record.maneuvers.length - 1];
+        plannedManeuver = { record: record, maneuver: maneuver, report: null };
+        updateGhostOrbit();
+
+        // Known threats the burn can still affect
+        const threats = conjunctions.filter(c => c.tca > burnTime);
+        const noradIds = threats.map(c => c.noradId).filter((id, i, ids) => ids.indexOf(id) === i);
+        const lastTca = threats.reduce((latest, c) => Math.max(latest, c.tca.getTime()), burnTime.getTime());
+
+        UIController.addLogEntry(
+            `Planning ${burn[direction].toFixed(2)} m/s ${direction} burn at ${burnTime.toISOString()} - re-screening...`
+        );
+
+        const tracked = noradIds.length === 0 ? Promise.resolve([]) : PropagationService.screenConjunctions(burnTime, {
+            primary: record,
+            noradIds: noradIds,
+            thresholdKm: PLANNER_TRACK_KM,
+            windowDays: (lastTca - burnTime.getTime() + 3600000) / 86400000
+        }, { key: 'plan-track', urgent: true });
+        const sweep = PropagationService.screenConjunctions(burnTime, {
+            primary: record,
+            windowDays: PLANNER_WINDOW_DAYS
+        }, { key: 'plan-sweep', urgent: true, onProgress: options.onProgress });
+
+        return Promise.all([sweep, tracked])
+            .then(([swept, retracked]) => {
+                if (request !== maneuverRequest || !swept || !retracked) return null;
+
+                swept.forEach(c => {
+                    c.index = PropagationService.getCatalogIndex(c.source, c.sourceIndex);
+                });
+
+                const report = buildManeuverReport(maneuver, direction, threats, retracked, swept);
+                plannedManeuver.report = report;
+
+                const worst = report.threats.reduce((min, t) => (t.newMiss !== null && t.newMiss < min ? t.newMiss : min), Infinity);
+                UIController.addLogEntry(
+                    `Maneuver plan ready - ${report.threats.length} threat(s) re-screened` +
+                    (isFinite(worst) ? `, closest now ${worst.toFixed(2)} km` : '') +
+                    `, ${report.newConjunctions.length} new conjunction(s) in ${PLANNER_WINDOW_DAYS} days`
+                );
+                return report;
+            })
+            .catch(error => {
+                console.error('App: Error planning maneuver', error);
+                return null;
+            });
+    }
+
+    /**
+     * Helper: Pair each known threat with the re-screened approach of the
+     * same object nearest its old TCA
+     */
+    function buildManeuverReport(maneuver, direction, threats, retracked, swept) {
+        const rows = threats.map(c => {
+            const match = retracked
+                .filter(r => r.noradId === c.noradId)
+                .reduce((best, r) => (!best || Math.abs(r.tca - c.tca) < Math.abs(best.tca - c.tca) ? r : best), null);
+
+            return {
+                name: c.name,
+                noradId: c.noradId,
+                index: c.index,
+                tca: c.tca,
+                oldMiss: c.missDistance,
+                // null: no approach under PLANNER_TRACK_KM any more
+                newMiss: match ? match.missDistance : null,
+                newTca: match ? match.tca : null
+            };
+        });
+
+        const known = threats.map(c => c.noradId);
+
+        return {
+            maneuver: maneuver,
+            burnTime: new Date(maneuver.burnTime),
+            direction: direction,
+            deltaV: maneuver.rtn[direction],
+            threats: rows,
+            newConjunctions: swept.filter(c => known.indexOf(c.noradId) === -1),
+            propellant: SpacecraftModel.estimateBurn(maneuver.magnitude),
+            windowDays: PLANNER_WINDOW_DAYS,
+            trackThresholdKm: PLANNER_TRACK_KM
+        };
+    }
+
+    /**
+     * Commits the planned burn to the player satellite, draws its propellant
+     * from the spacecraft model, then re-screens conjunctions and the forecast
+     * against the new trajectory
+     * @returns {Object|null} Executed maneuver, or null if there is no valid plan
+     */
+    function executeManeuver() {
+        if (!plannedManeuver) return null;
+
+        const maneuver = plannedManeuver.maneuver;
+        if (maneuver.burnTime < currentDate.getTime()) {
+            UIController.addLogEntry('Burn time has passed - re-plan the maneuver', 'warning');
+            return null;
+        }
+
+        const burn = SpacecraftModel.applyBurn(maneuver.magnitude, new Date(maneuver.burnTime));
+        if (!burn) {
+            UIController.addLogEntry('Not enough propellant for the planned burn', 'warning');
+            return null;
+        }
+
+        const maneuvers = plannedManeuver.record.maneuvers;
+        OrbitalPropagator.setPlayerManeuvers(maneuvers);
+        cancelManeuverPlan();
+
+        UIController.addLogEntry(
+            `Maneuver committed - ${maneuver.magnitude.toFixed(2)} m/s burn at ${new Date(maneuver.burnTime).toISOString()}, ` +
+            `${burn.propellantUsed.toFixed(2)} kg propellant (${burn.burnDuration.toFixed(0)} s firing)`,
+            'action'
+        );
+        recordDecision('maneuver', {
+            deltaV: maneuver.magnitude,
+            rtn: Object.assign({}, maneuver.rtn),
+            burnTime: maneuver.burnTime,
+            propellantUsed: burn.propellantUsed,
+            burnDuration: burn.burnDuration
+        });
+        UIController.updateAssetState();
+
+        updateTrajectory();
+        passWindowStart = null;
+        updateGroundStations();
+        runForecast();
+        runConjunctionScreening().then(updateGroundStations);
+
+        return maneuver;
+    }
+
+    /**
+     * Drops the planned maneuver, its ghost orbit and any screening still running for it
+     */
+    function cancelManeuverPlan() {
+        maneuverRequest++;
+        plannedManeuver = null;
+        PropagationService.cancelScreen('plan-track');
+        PropagationService.cancelScreen('plan-sweep');
+        SceneManager.clearGhostOrbit();
+    }
+
+    /**
+     * Helper: Redraw the planned post-burn trajectory (display frame and
+     * ECEF rotation change with time)
+     */
+    function updateGhostOrbit() {
+        if (!plannedManeuver) return;
+
+        const burnDate = new Date(plannedManeuver.maneuver.burnTime);
+        SceneManager.drawGhostOrbit(
+            OrbitalPropagator.getRecordTrajectory(plannedManeuver.record, burnDate, { revolutions: PLANNER_GHOST_REVS }),
+            OrbitalPropagator.eciToScenePosition(plannedManeuver.maneuver.burnState.position, burnDate)
+        );
+    }
+
+    // ==========================================
+    // 13g. SPACECRAFT FUNCTIONS
+    // ==========================================
+    /**
+     * Sets the tracked asset's mass and propulsion parameters (refills the tank)
+     * @param {Object} config - {dryMass, propellantMass, isp, thrust, stationKeepingDv}
+     * @returns {boolean} True if the configuration was applied
+     */
+    function configureSpacecraft(config) {
+        const error = SpacecraftModel.configure(config);
+
+        if (error) {
+            UIController.showToast(error, 'error');
+            return false;
+        }
+
+        const state = SpacecraftModel.getState();
+        UIController.updateAssetState();
+        UIController.addLogEntry(
+            `Spacecraft set: ${state.dryMass} kg dry + ${state.propellant} kg propellant, Isp ${state.isp} s - ` +
+            `${state.deltaVCapacity.toFixed(1)} m/s available, ${Math.floor(state.lifeDays)} days of station-keeping`
+        );
+        return true;
+    }
+
+    // ==========================================
+    // 13h. FLEET FUNCTIONS
+    // ==========================================
+    /**
+     * Registers another owned asset and screens it on its own (additions
+     * made in quick succession are screened together)
+     * @param {Object} tle - Validated TLE object {name, tle1, tle2}
+     * @returns {boolean} True if the asset was added
+     */
+    function addFleetAsset(tle) {
+        const record = OrbitalPropagator.addFleetSatellite(tle);
+
+        if (!record) {
+            UIController.showToast('Asset is invalid or already in the fleet', 'error');
+            return false;
+        }
+
+        UIController.addLogEntry(`Fleet asset added: ${record.name} (${record.satrec.satnum}) - ${OrbitalPropagator.getFleet().length} assets`);
+
+        // Screen only the new assets, once additions settle
+        pendingFleetAssets.push(record);
+        clearTimeout(fleetScreenTimer);
+        fleetScreenTimer = setTimeout(screenFleetAdditions, FLEET_SCREEN_DEBOUNCE_MS);
+        return true;
+    }
+
+    /**
+     * Finds an object's TLE in the loaded catalog by catalog number
+     * @param {string} noradId - Catalog number (leading zeros optional)
+     * @returns {Object|null} TLE object {name, tle1, tle2}
+     */
+    function findCatalogTLE(noradId) {
+        if (!tleData) return null;
+
+        const wanted = String(noradId).trim().toUpperCase().replace(/^0+(?=.)/, '');
+        const sources = ['active', 'debris', 'critical'];
+
+        for (const source of sources) {
+            const match = (tleData[source] || []).find(tle =>
+                tle.tle1.substring(2, 7).trim().toUpperCase().replace(/^0+(?=.)/, '') === wanted
+            );
+            if (match) return match;
+        }
+
+        return null;
+    }
+
+    /**
+     * Removes an asset from the fleet (the last asset stays)
+     * @param {string} noradId - Asset catalog number
+     * @returns {boolean} True if the asset was removed
+     */
+    function removeFleetAsset(noradId) {
+        const wasFocus = OrbitalPropagator.getPlayerSatellite().satrec.satnum === noradId;
+
+        if (!OrbitalPropagator.removeFleetSatellite(noradId)) {
+            UIController.showToast('The last fleet asset cannot be removed', 'error');
+            return false;
+        }
+
+        // Switch first: selecting the new focus saves the outgoing asset's state,
+        // which would otherwise bring the removed asset back
+        fleetConjunctions = fleetConjunctions.filter(c => c.assetNoradId !== noradId);
+        if (wasFocus) {
+            switchFocus(OrbitalPropagator.getPlayerSatellite());
+        }
+        SpacecraftModel.removeAsset(noradId);
+
+        UIController.addLogEntry(`Fleet asset removed: ${noradId}`);
+        return true;
+    }
+
+    /**
+     * Makes a fleet asset the focus of the scene, CTS, forecast, passes and
+     * planner. Time, catalog, fleet screening and the log carry on.
+     * @param {string} noradId - Asset catalog number
+     * @returns {boolean} True if the focus changed
+     */
+    function focusAsset(noradId) {
+        const current = OrbitalPropagator.getPlayerSatellite();
+        if (current && current.satrec.satnum === noradId) return false;
+
+        if (!OrbitalPropagator.setFocusSatellite(noradId)) return false;
+
+        switchFocus(OrbitalPropagator.getPlayerSatellite());
+        return true;
+    }
+
+    /**
+     * Helper: Point every focus-dependent view at a new asset
+     */
+    function switchFocus(record) {
+        cancelManeuverPlan();
+        SpacecraftModel.selectAsset(record.satrec.satnum);
+        conjunctions = getAssetConjunctions(record);
+
+        // The sparkline and threat list describe a single asset
+        CTSEngine.resetHistory();
+
+        const params = OrbitalPropagator.getPlayerOrbitalParams(currentDate);
+        UIController.updateAssetInfo(record.name, params);
+        UIController.updateAssetState();
+
+        updatePlayer();
+        updateTrajectory();
+        passWindowStart = null;
+        updateGroundStations();
+        forecastConjunctions = [];
+        runForecast();
+
+        UIController.addLogEntry(`Focus switched to ${record.name} (${record.satrec.satnum})`);
+    }
+
+    // ==========================================
+    // 13i. CATALOG SEARCH FUNCTIONS
+    // ==========================================
+    /**
+     * Searches the loaded catalog within the current filters
+     * @param {string} query - Name, NORAD ID or international designator
+     * @returns {Object} {total, results} (see CatalogSearch.search)
+     */
+    function searchCatalog(query) {
+        return CatalogSearch.search(query, catalogFilters);
+    }
+
+    /**
+     * Applies orbit / type filters to the catalog layer and to searches
+     * @param {Object|null} filters - {regime, type, minInclination, maxInclination,
+     *                                minAltitude, maxAltitude}; null clears them
+     * @returns {Object} {error} or {count} of objects left visible
+     */
+    function setCatalogFilter(filters) {
+        const error = CatalogSearch.validateFilters(filters);
+        if (error) {
+            return { error: error };
+        }
+
+        const result = CatalogSearch.getMask(filters);
+        catalogFilters = CatalogSearch.hasFilters(filters) ? Object.assign({}, filters) : null;
+        catalogMask = result.mask;
+        SceneManager.setCatalogFilter(catalogMask);
+
+        // A hidden object cannot stay selected
+        if (typeof selectedObject === 'number' && catalogMask && !catalogMask[selectedObject]) {
+            clearSelection();
+        }
+
+        console.log(`App: Catalog filter shows ${result.count.toLocaleString()} objects`);
+        return { count: result.count };
+    }
+
+    /**
+     * Makes a catalog object the tracked asset: it joins the fleet (if it is
+     * not already in it) and takes the focus
+     * @param {number} index - Catalog (snapshot) index
+     * @returns {boolean} True if the object is now the focused asset
+     */
+    function trackCatalogObject(index) {
+        const entry = CatalogSearch.getEntry(index);
+        const tle = entry ? findCatalogTLE(entry.noradId) : null;
+        if (!tle) {
+            UIController.showToast('Object is not in the loaded catalog', 'error');
+            return false;
+        }
+
+        const inFleet = OrbitalPropagator.getFleet().some(asset => asset.satrec.satnum === entry.noradId);
+        if (!inFleet && !addFleetAsset(tle)) {
+            return false;
+        }
+
+        focusAsset(entry.noradId);
+        return true;
+    }
+
+    // ==========================================
+    // 13j. SESSION FUNCTIONS
+    // ==========================================
+    /**
+     * Snapshot of the tracking session for SessionStore
+     * @returns {Object} Session (see SessionStore.saveSession)
+     */
+    function buildSession() {
+        const player = OrbitalPropagator.getPlayerSatellite();
+
+        return {
+            id: sessionId,
+            name: player.name,
+            createdAt: sessionCreatedAt,
+            updatedAt: Date.now(),
+            simulationTime: currentDate.getTime(),
+            timeMultiplier: timeMultiplier,
+            focusId: player.satrec.satnum,
+            fleet: OrbitalPropagator.getFleet().map(record => ({
+                noradId: record.satrec.satnum,
+                tle: Object.assign({}, record.tle),
+                maneuvers: record.maneuvers.slice()
+            })),
+            spacecraft: SpacecraftModel.exportState(),
+            cts: {
+                history: CTSEngine.getHistory(),
+                scoringMode: CTSEngine.getScoringMode()
+            },
+            assetState: UIController.getAssetState(),
+            log: UIController.getLogEntries(),
+            decisions: decisions.map(decision => Object.assign({}, decision))
+        };
+    }
+
+    /**
+     * Saves the current session (failures are logged, never thrown)
+     * @returns {Promise<string|null>} Session id, or null if nothing was saved
+     */
+    function saveSession() {
+        if (!sessionId || !SessionStore.isAvailable() || !OrbitalPropagator.getPlayerSatellite()) {
+            return Promise.resolve(null);
+        }
+
+        lastSessionSave = Date.now();
+        return SessionStore.saveSession(buildSession()).catch(error => {
+            console.warn('App: Could not save session', error);
+            return null;
+        });
+    }
+
+    /**
+     * Saves the session one last time and stops autosaving it (return to setup)
+     * @returns {Promise<string|null>} Session id, or null if nothing was saved
+     */
+    function endSession() {
+        const saving = saveSession();
+        sessionId = null;
+        return saving;
+    }
+
+    /**
+     * Continues a saved session: simulation time, fleet with executed burns,
+     * propellant, CTS history, log, asset status and decisions. Screening,
+     * forecast and passes are recomputed.
+     * @param {Object} session - From SessionStore.loadSession
+     * @returns {boolean} True if tracking resumed
+     */
+    function resumeSession(session) {
+        const error = SessionStore.validateSession(session);
+        if (error) {
+            UIController.showToast(`Cannot resume session: ${error}`, 'error', 4000);
+            return false;
+        }
+
+        const focus = session.fleet.find(asset => asset.noradId === session.focusId) || session.fleet[0];
+
+        currentDate = new Date(session.simulationTime);
+        lastUpdateTime = Date.now();
+        timeMultiplier = session.timeMultiplier || 1.0;
+
+        return initializePlayerSatellite(focus.tle, session);
+    }
+
+    /**
+     * Helper: Restore a session's state on top of a freshly initialized focus asset
+     */
+    function restoreSessionState(session) {
+        sessionId = session.id;
+        sessionCreatedAt = session.createdAt;
+        decisions = (session.decisions || []).map(decision => Object.assign({}, decision));
+
+        const player = OrbitalPropagator.getPlayerSatellite();
+        session.fleet.forEach(saved => {
+            const record = saved.noradId === player.satrec.satnum
+                ? player
+                : OrbitalPropagator.addFleetSatellite(saved.tle);
+            if (record) {
+                record.maneuvers = (saved.maneuvers || []).slice();
+            }
+        });
+
+        if (session.spacecraft) {
+            SpacecraftModel.importState(session.spacecraft);
+        }
+        SpacecraftModel.selectAsset(player.satrec.satnum);
+
+        const cts = session.cts || {};
+        CTSEngine.restoreHistory(cts.history);
+        UIController.setScoringMode(cts.scoringMode || 'proximity');
+        UIController.restoreLog(session.log);
+
+        // The servicing partner timeline is not resumed; a salvage listing stays in force
+        const assetState = session.assetState || {};
+        UIController.updateAssetState({
+            status: assetState.salvageListed ? assetState.status : 'Nominal',
+            mitigationPending: false,
+            salvageListed: !!assetState.salvageListed
+        });
+        if (assetState.salvageListed) {
+            CTSEngine.setForceScore(0);
+            isRunning = false;
+        }
+
+        UIController.addLogEntry(
+            `Session resumed - ${session.fleet.length} asset(s), ${decisions.length} decision(s) on record`,
+            'action'
+        );
+    }
+
+    /**
+     * Adds an operator decision to the session's history and saves at once
+     * @param {string} type - 'maneuver', 'mitigate' or 'monetize'
+     * @param {Object} details - Decision specifics (burn, score at the time, ...)
+     * @returns {Object|null} The recorded decision, or null for an unknown type
+     */
+    function recordDecision(type, details = {}) {
+        if (SessionStore.getDecisionTypes().indexOf(type) === -1) {
+            console.warn(`App: Unknown decision type "${type}"`);
+            return null;
+        }
+
+        const player = OrbitalPropagator.getPlayerSatellite();
+        const decision = {
+            type: type,
+            time: Date.now(),
+            simulationTime: currentDate.getTime(),
+            assetId: player ? player.satrec.satnum : null,
+            assetName: player ? player.name : null,
+            details: Object.assign({}, details)
+        };
+
+        decisions.push(decision);
+        saveSession();
+        return decision;
+    }
+
+    // ==========================================
+    // 13k. REPORT FUNCTIONS
+    // ==========================================
+    /**
+     * Gathers the focused asset's report: CTS statistics and history, current
+     * threats, screened conjunctions, orbit, its decisions, the inputs behind
+     * the numbers and the activity log
+     * @returns {Object|null} Report (see ReportGenerator.buildReport), or null if nothing is tracked
+     */
+    function buildReport() {
+        const player = OrbitalPropagator.getPlayerSatellite();
+        if (!player) return null;
+
+        const statistics = CTSEngine.getStatistics();
+
+        return ReportGenerator.buildReport({
+            generatedAt: new Date(),
+            simulationTime: currentDate,
+            asset: {
+                name: player.name,
+                noradId: player.satrec.satnum,
+                tle: player.tle,
+                orbit: OrbitalPropagator.getPlayerOrbitalParams(currentDate) || {}
+            },
+            statistics: statistics,
+            status: CTSEngine.getScoreStatus(statistics.current),
+            history: CTSEngine.getHistory(),
+            threats: CTSEngine.getClosestThreats(),
+            conjunctions: conjunctions.map(c => Object.assign({}, c, {
+                pc: CTSEngine.calculateCollisionProbability(c.missDistance)
+            })),
+            decisions: decisions.filter(decision => decision.assetId === player.satrec.satnum),
+            log: UIController.getLogEntries(),
+            inputs: {
+                spacecraft: SpacecraftModel.getState(),
+                executedBurns: player.maneuvers.length,
+                cts: CTSEngine.getConfig(),
+                screening: OrbitalPropagator.getScreeningDefaults(),
+                forecastHours: forecastHours,
+                timeMultiplier: timeMultiplier,
+                displayFrame: OrbitalPropagator.getDisplayFrame()
+            }
+        });
+    }
+
+    /**
+     * Builds the current report and saves it as a file
+     * @param {string} format - 'csv', 'json' or 'html'
+     * @returns {boolean} True if a file was produced
+     */
+    function exportReport(format) {
+        const report = buildReport();
+        if (!report) {
+            UIController.showToast('No asset is being tracked', 'error');
+            return false;
+        }
+
+        const file = ReportGenerator.render(report, format);
+        if (!file) return false;
+
+        ReportGenerator.download(file);
+        UIController.addLogEntry(`Report exported: ${file.filename}`);
+        return true;
+    }
+
+    // ==========================================
+    // 13l. CONJUNCTION DATA MESSAGE FUNCTIONS
+    // ==========================================
+    /**
+     * Builds a CDM for one of the focused asset's threats. The TCA is the
+     * object's next screened conjunction, else (for a closing threat) the
+     * closest approach refined from the propagated orbits. A CDM is an
+     * interchange format, so there is no fallback to the current range.
+     * @param {string} noradId - Threat catalog number
+     * @returns {Object|null} CDM (see CDM.buildCDM), or null if the object is
+     *                        unknown or has no closest approach ahead
+     */
+    function buildThreatCDM(noradId) {
+        const player = OrbitalPropagator.getPlayerSatellite();
+        if (!player) return null;
+
+        const conjunction = conjunctions.find(c => c.noradId === noradId && c.tca >= currentDate);
+        const threat = CTSEngine.getClosestThreats().find(t => t.noradId === noradId);
+        const index = conjunction ? conjunction.index : (threat ? threat.index : undefined);
+        const entry = typeof index === 'number' ? PropagationService.getRecord(index) : null;
+        if (!entry) return null;
+
+        let tca = null;
+        if (conjunction) {
+            tca = conjunction.tca;
+        } else if (threat && threat.closing && threat.tca) {
+            // The table's TCA is a straight-line estimate; search past it for the real minimum
+            const lead = Math.max(0, (threat.tca - currentDate) / 1000);
+            const approach = OrbitalPropagator.findClosestApproach(
+                player, entry.record.satrec, currentDate, 2 * lead + CDM_TCA_SEARCH_PAD_S
+            );
+            tca = approach ? approach.tca : null;
+        }
+        if (!tca) return null;
+
+        const primary = OrbitalPropagator.propagateRecord(player, tca);
+        const secondary = OrbitalPropagator.propagate(entry.record.satrec, tca);
+        if (!primary || !secondary) return null;
+
+        const missDistance = Math.hypot(
+            secondary.position.x - primary.position.x,
+            secondary.position.y - primary.position.y,
+            secondary.position.z - primary.position.z
+        );
+        const catalogEntry = CatalogSearch.getEntry(index);
+
+        return CDM.buildCDM({
+            tca: tca,
+            object1: {
+                noradId: player.satrec.satnum,
+                name: player.name,
+                intlDes: player.tle ? player.tle.tle1.substring(9, 17).trim() : '',
+                objectType: OrbitalPropagator.classifyObject(player.name, 'active'),
+                maneuverable: true,
+                position: primary.position,
+                velocity: primary.velocity
+            },
+            object2: {
+                noradId: entry.record.satrec.satnum,
+                name: entry.record.name,
+                intlDes: catalogEntry ? catalogEntry.intlDes : '',
+                objectType: entry.record.objectType,
+                maneuverable: entry.record.objectType === 'payload' ? null : false,
+                position: secondary.position,
+                velocity: secondary.velocity
+            },
+            pc: CTSEngine.calculateCollisionProbability(missDistance),
+            positionSigma: CTSEngine.getConfig().positionSigma
+        });
+    }
+
+    /**
+     * Helper: CTS threats for the table, marked with whether a CDM can be
+     * exported (closing, or a screened conjunction still ahead)
+     */
+    function getThreatRows() {
+        return CTSEngine.getClosestThreats().map(threat => Object.assign({}, threat, {
+            cdmExportable: threat.closing ||
+                conjunctions.some(c => c.noradId === threat.noradId && c.tca >= currentDate)
+        }));
+    }
+
+    /**
+     * Builds a threat's CDM and saves it as a file
+     * @param {string} noradId - Threat catalog number
+     * @param {string} format - 'kvn' or 'xml'
+     * @returns {boolean} True if a file was produced
+     */
+    function exportCDM(noradId, format) {
+        const cdm = buildThreatCDM(noradId);
+        if (!cdm) {
+            UIController.showToast('No closest approach ahead for that object', 'error');
+            return false;
+        }
+
+        const file = CDM.render(cdm, format);
+        if (!file) return false;
+
+        ReportGenerator.download(file);
+        UIController.addLogEntry(`CDM exported: ${file.filename} (miss ${(cdm.missDistance / 1000).toFixed(2)} km)`);
+        return true;
+    }
+
+    /**
+     * Reads CDMs (KVN or XML) received from elsewhere. They are kept for the
+     * session (a message with the same MESSAGE_ID replaces the older one),
+     * marked at TCA in the scene and listed in the threat table while they
+     * involve the focused asset.
+     * @param {string} text - Message text
+     * @param {string} sourceName - File name, for the log
+     * @returns {number} Number of messages imported
+     */
+    function importCDM(text, sourceName) {
+        const result = CDM.parse(text);
+
+        result.errors.forEach(error => {
+            UIController.addLogEntry(`CDM import (${sourceName}): ${error}`, 'warning');
+        });
+
+        result.messages.forEach(message => {
+            const [object1, object2] = message.objects;
+            const id = message.messageId || `${object1.designator}-${object2.designator}-${message.tca}`;
+
+            importedCDMs = importedCDMs.filter(cdm => cdm.id !== id).concat([{
+                id: id,
+                message: message,
+                tca: CDM.parseTime(message.tca),
+                catalogIndexes: message.objects.map(object => findCatalogIndex(object.designator))
+            }]);
+
+            const pc = message.collisionProbability !== null ? `, Pc ${message.collisionProbability.toExponential(1)}` : '';
+            UIController.addLogEntry(
+                `CDM imported: ${object1.name} / ${object2.name} at ${message.tca} UTC, ` +
+                `miss ${(message.missDistance / 1000).toFixed(2)} km${pc}`,
+                'warning'
+            );
+        });
+
+        if (result.messages.length > 0) {
+            updateCDMOverlay();
+            UIController.showToast(`${result.messages.length} CDM(s) imported`, 'info');
+        } else {
+            UIController.showToast(`No usable CDM in ${sourceName}`, 'error');
+        }
+
+        return result.messages.length;
+    }
+
+    /**
+     * Forgets an imported CDM
+     * @param {string} id - Imported CDM id
+     */
+    function dismissCDM(id) {
+        importedCDMs = importedCDMs.filter(cdm => cdm.id !== id);
+        updateCDMOverlay();
+    }
+
+    /**
+     * Threat table rows for the imported CDMs that involve the focused asset
+     * (the other object is the threat)
+     * @returns {Array} Threat-shaped rows with source 'cdm' and the CDM's
+     *                  miss distance, relative speed, TCA and Pc
+     */
+    function getCDMThreats() {
+        const player = OrbitalPropagator.getPlayerSatellite();
+        if (!player) return [];
+
+        const focusId = stripZeros(player.satrec.satnum);
+
+        return importedCDMs
+            .filter(cdm => cdm.message.objects.some(object => stripZeros(object.designator) === focusId))
+            .map(cdm => {
+                const otherSlot = stripZeros(cdm.message.objects[0].designator) === focusId ? 1 : 0;
+                const other = cdm.message.objects[otherSlot];
+                const index = cdm.catalogIndexes[otherSlot];
+                const speed = cdm.message.relativeSpeed;
+
+                return {
+                    index: index !== null ? index : undefined,
+                    name: other.name,
+                    noradId: other.designator,
+                    source: 'cdm',
+                    distance: null,
+                    relativeSpeed: speed !== null ? speed / 1000 : null,
+                    rangeRate: null,
+                    closing: cdm.tca > currentDate,
+                    missDistance: cdm.message.missDistance / 1000,
+                    tca: cdm.tca,
+                    threat: 0,
+                    contribution: null,
+                    pc: cdm.message.collisionProbability,
+                    cdmId: cdm.id
+                };
+            });
+    }
+
+    /**
+     * Marks each imported CDM at its TCA (OBJECT1's ITRF state). Messages
+     * without state vectors stay in the threat table only.
+     */
+    function updateCDMOverlay() {
+        const player = OrbitalPropagator.getPlayerSatellite();
+        const focusId = player ? stripZeros(player.satrec.satnum) : null;
+
+        const markers = importedCDMs
+            .filter(cdm => cdm.message.objects[0].state)
+            .map(cdm => {
+                const state = cdm.message.objects[0].state;
+                const position = CDM.itrfToTeme({ x: state.X, y: state.Y, z: state.Z }, cdm.tca);
+                return {
+                    position: OrbitalPropagator.eciToScenePosition(position, cdm.tca),
+                    focus: cdm.message.objects.some(object => stripZeros(object.designator) === focusId)
+                };
+            })
+            .filter(marker => marker.position);
+
+        SceneManager.setCDMMarkers(markers);
+    }
+
+    /**
+     * Helper: Catalog index of an object by catalog number, or null if it is
+     * not in the loaded catalog
+     */
+    function findCatalogIndex(noradId) {
+        const match = CatalogSearch.search(noradId, null, 1).results[0];
+        return match && stripZeros(match.noradId) === stripZeros(noradId) ? match.index : null;
+    }
+
+    /**
+     * Helper: Catalog numbers compare without leading zeros
+     */
+    function stripZeros(text) {
+        return String(text).trim().toUpperCase().replace(/^0+(?=.)/, '');
+    }
+
+    // ==========================================
+    // 14. GET STATISTICS FUNCTION
     // ==========================================
     /**
      * Returns current application statistics
@@ -582,9 +2303,11 @@ const App = (function () {
                 currentDate: currentDate.toISOString(),
                 frameCount: frameCount,
                 timeMultiplier: timeMultiplier,
+                displayFrame: OrbitalPropagator.getDisplayFrame(),
                 activeSatellites: OrbitalPropagator.getActiveSatellites().length,
                 debrisObjects: OrbitalPropagator.getDebrisSatellites().length,
                 criticalObjects: OrbitalPropagator.getCriticalSatellites().length,
+                propagation: PropagationService.getStatus(),
                 ctsStats: CTSEngine.getStatistics()
             };
         } catch (error) {
@@ -598,7 +2321,7 @@ const App = (function () {
     }
 
     // ==========================================
-    // 16. ERROR HANDLER
+    // 15. ERROR HANDLER
     // ==========================================
     /**
      * Handles application errors
@@ -621,6 +2344,7 @@ const App = (function () {
 
         // Player satellite
         initializePlayerSatellite: initializePlayerSatellite,
+        runConjunctionScreening: runConjunctionScreening,
 
         // Demo triggers
         switchToCriticalDebris: switchToCriticalDebris,
@@ -630,6 +2354,71 @@ const App = (function () {
         pause: pause,
         resume: resume,
         setTimeMultiplier: setTimeMultiplier,
+        setSimulationTime: setSimulationTime,
+        scrubTime: scrubTime,
+        jumpToNextConjunction: jumpToNextConjunction,
+        getClockState: getClockState,
+        setDisplayFrame: setDisplayFrame,
+        toggleDisplayFrame: toggleDisplayFrame,
+        toggleGroundTrack: toggleGroundTrack,
+        toggleFootprint: toggleFootprint,
+        setFootprint: setFootprint,
+
+        // Ground stations
+        addGroundStation: addGroundStation,
+        removeGroundStation: removeGroundStation,
+        getGroundPasses: function () { return groundPasses.slice(); },
+
+        // CTS forecast
+        runForecast: runForecast,
+        setForecastHours: setForecastHours,
+        getForecastHours: function () { return forecastHours; },
+
+        // Fleet
+        addFleetAsset: addFleetAsset,
+        removeFleetAsset: removeFleetAsset,
+        focusAsset: focusAsset,
+        findCatalogTLE: findCatalogTLE,
+        getFleetConjunctions: function () { return fleetConjunctions.slice(); },
+
+        // Saved sessions
+        saveSession: saveSession,
+        endSession: endSession,
+        resumeSession: resumeSession,
+        recordDecision: recordDecision,
+        getDecisions: function () { return decisions.map(decision => Object.assign({}, decision)); },
+
+        // Reports
+        buildReport: buildReport,
+        exportReport: exportReport,
+
+        // Conjunction data messages
+        buildThreatCDM: buildThreatCDM,
+        exportCDM: exportCDM,
+        importCDM: importCDM,
+        dismissCDM: dismissCDM,
+        getImportedCDMs: function () { return importedCDMs.map(cdm => Object.assign({}, cdm)); },
+
+        // Catalog search
+        searchCatalog: searchCatalog,
+        setCatalogFilter: setCatalogFilter,
+        trackCatalogObject: trackCatalogObject,
+        getCatalogFilter: function () { return catalogFilters ? Object.assign({}, catalogFilters) : null; },
+
+        // Spacecraft model
+        configureSpacecraft: configureSpacecraft,
+
+        // Maneuver planner
+        planManeuver: planManeuver,
+        executeManeuver: executeManeuver,
+        cancelManeuverPlan: cancelManeuverPlan,
+        getPlannedManeuver: function () { return plannedManeuver; },
+
+        // Object inspector
+        describeObject: describeObject,
+        selectObject: selectObject,
+        clearSelection: clearSelection,
+        focusObject: focusObject,
 
         // Statistics
         getStatistics: getStatistics,
@@ -641,6 +2430,7 @@ const App = (function () {
         isRunning: function () { return isRunning; },
         isInitialized: function () { return isInitialized; },
         getCurrentDate: function () { return currentDate; },
+        getConjunctions: function () { return conjunctions.slice(); },
         getFrameCount: function () { return frameCount; }
     };
 })();
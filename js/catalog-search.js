@@ -0,0 +1,280 @@
+// ============================================
+// CATALOG SEARCH MODULE
+// Name / NORAD ID / international designator search and orbit filters
+// over the loaded catalog
+// ============================================
+
+const CatalogSearch = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+    let entries = [];   // One entry per catalog (snapshot) index, see buildEntry
+
+    // Constants
+    const EARTH_RADIUS_KM = 6378.135;     // WGS-72, as used by SGP4 for alta/altp
+    const LEO_MAX_APOGEE_KM = 2000;
+    const GEO_ALTITUDE_KM = 35786;
+    const GEO_TOLERANCE_KM = 1000;        // Perigee and apogee both this close to GEO
+    const HEO_MIN_ECCENTRICITY = 0.25;
+    const DEFAULT_RESULT_LIMIT = 50;
+
+    const REGIMES = ['LEO', 'MEO', 'GEO', 'HEO'];
+    const OBJECT_TYPES = ['payload', 'rocket-body', 'debris', 'critical'];
+
+    // ==========================================
+    // 1. BUILD INDEX FUNCTION
+    // ==========================================
+    /**
+     * Indexes the catalog for searching. International designators are read
+     * from the raw TLE lines (SGP4 does not keep them).
+     * @param {Array} records - PropagationService.getRecords() ({source, index, record})
+     * @param {Object} tleData - Loaded TLE data {active, debris, critical}
+     * @returns {number} Number of indexed objects
+     */
+    function buildIndex(records, tleData) {
+        const designators = {};
+        ['active', 'debris', 'critical'].forEach(source => {
+            ((tleData && tleData[source]) || []).forEach(tle => {
+                const noradId = stripZeros(tle.tle1.substring(2, 7));
+                designators[noradId] = tle.tle1.substring(9, 17).trim().toUpperCase();
+            });
+        });
+
+        entries = records.map((entry, index) => buildEntry(entry, index, designators));
+
+        console.log(`CatalogSearch: Indexed ${entries.length.toLocaleString()} objects`);
+        return entries.length;
+    }
+
+    /**
+     * Helper: Searchable summary of one catalog record
+     */
+    function buildEntry(entry, index, designators) {
+        const satrec = entry.record.satrec;
+        const noradId = String(satrec.satnum);
+        const perigee = satrec.altp * EARTH_RADIUS_KM;
+        const apogee = satrec.alta * EARTH_RADIUS_KM;
+
+        return {
+            index: index,
+            name: entry.record.name,
+            noradId: noradId,
+            intlDes: designators[stripZeros(noradId)] || '',
+            source: entry.source,
+            type: entry.record.objectType,
+            regime: classifyRegime(perigee, apogee, satrec.ecco),
+            inclination: satrec.inclo * (180 / Math.PI),
+            perigee: perigee,
+            apogee: apogee,
+            period: (2 * Math.PI) / satrec.no   // no is rad/min
+        };
+    }
+
+    /**
+     * Orbit regime from perigee / apogee altitude and eccentricity:
+     * LEO below 2,000 km, GEO within 1,000 km of geostationary altitude,
+     * HEO for eccentric orbits (Molniya, GTO), MEO for everything else
+     * @param {number} perigee - Perigee altitude (km)
+     * @param {number} apogee - Apogee altitude (km)
+     * @param {number} eccentricity - Orbit eccentricity
+     * @returns {string} 'LEO', 'MEO', 'GEO' or 'HEO'
+     */
+    function classifyRegime(perigee, apogee, eccentricity) {
+        if (apogee < LEO_MAX_APOGEE_KM) return 'LEO';
+        if (Math.abs(perigee - GEO_ALTITUDE_KM) <= GEO_TOLERANCE_KM &&
+            Math.abs(apogee - GEO_ALTITUDE_KM) <= GEO_TOLERANCE_KM) return 'GEO';
+        if (eccentricity >= HEO_MIN_ECCENTRICITY) return 'HEO';
+        return 'MEO';
+    }
+
+    // ==========================================
+    // 2. FILTER FUNCTIONS
+    // ==========================================
+    /**
+     * Checks a filter set
+     * @param {Object} filters - {regime, type, minInclination, maxInclination,
+     *                           minAltitude, maxAltitude}; empty fields are ignored
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateFilters(filters) {
+        if (!filters) return null;
+
+        if (filters.regime && REGIMES.indexOf(filters.regime) === -1) {
+            return `Unknown orbit regime "${filters.regime}"`;
+        }
+        if (filters.type && OBJECT_TYPES.indexOf(filters.type) === -1) {
+            return `Unknown object type "${filters.type}"`;
+        }
+
+        const minInc = filters.minInclination;
+        const maxInc = filters.maxInclination;
+        if ((isSet(minInc) && (!isFinite(minInc) || minInc < 0 || minInc > 180)) ||
+            (isSet(maxInc) && (!isFinite(maxInc) || maxInc < 0 || maxInc > 180))) {
+            return 'Inclination band must be between 0 and 180°';
+        }
+        if (isSet(minInc) && isSet(maxInc) && minInc > maxInc) {
+            return 'Inclination band minimum is above its maximum';
+        }
+
+        const minAlt = filters.minAltitude;
+        const maxAlt = filters.maxAltitude;
+        if ((isSet(minAlt) && !isFinite(minAlt)) || (isSet(maxAlt) && !isFinite(maxAlt))) {
+            return 'Altitude band must be a number of km';
+        }
+        if (isSet(minAlt) && isSet(maxAlt) && minAlt > maxAlt) {
+            return 'Altitude band minimum is above its maximum';
+        }
+
+        return null;
+    }
+
+    /**
+     * True if any filter field is set
+     * @param {Object} filters - Filter set (see validateFilters)
+     * @returns {boolean}
+     */
+    function hasFilters(filters) {
+        return !!filters && (!!filters.regime || !!filters.type ||
+            isSet(filters.minInclination) || isSet(filters.maxInclination) ||
+            isSet(filters.minAltitude) || isSet(filters.maxAltitude));
+    }
+
+    /**
+     * Tests one entry against a filter set. An object is inside the altitude
+     * band if any part of its orbit (perigee to apogee) passes through it.
+     * @param {Object} entry - Catalog entry
+     * @param {Object} filters - Filter set (see validateFilters)
+     * @returns {boolean}
+     */
+    function matchesFilters(entry, filters) {
+        if (!filters) return true;
+
+        if (filters.regime && entry.regime !== filters.regime) return false;
+        if (filters.type && entry.type !== filters.type) return false;
+        if (isSet(filters.minInclination) && entry.inclination < filters.minInclination) return false;
+        if (isSet(filters.maxInclination) && entry.inclination > filters.maxInclination) return false;
+        if (isSet(filters.minAltitude) && entry.apogee < filters.minAltitude) return false;
+        if (isSet(filters.maxAltitude) && entry.perigee > filters.maxAltitude) return false;
+
+        return true;
+    }
+
+    /**
+     * Per-object visibility flags for the scene's catalog layer
+     * @param {Object} filters - Filter set (see validateFilters)
+     * @returns {Object} {mask: Uint8Array|null (null = show everything), count}
+     */
+    function getMask(filters) {
+        if (!hasFilters(filters)) {
+            return { mask: null, count: entries.length };
+        }
+
+        const mask = new Uint8Array(entries.length);
+        let count = 0;
+        entries.forEach((entry, i) => {
+            if (matchesFilters(entry, filters)) {
+                mask[i] = 1;
+                count++;
+            }
+        });
+
+        return { mask: mask, count: count };
+    }
+
+    // ==========================================
+    // 3. SEARCH FUNCTION
+    // ==========================================
+    /**
+     * Finds catalog objects by name, NORAD ID or international designator
+     * ("1998-067A" and "98067A" are both accepted), within the filters.
+     * Exact ID matches come first, then name prefixes, then other matches.
+     * @param {string} query - Search text (empty lists everything that passes the filters)
+     * @param {Object} filters - Filter set (see validateFilters)
+     * @param {number} limit - Maximum results returned
+     * @returns {Object} {total, results: [entry, ...]}
+     */
+    function search(query, filters, limit = DEFAULT_RESULT_LIMIT) {
+        const text = String(query || '').trim().toUpperCase();
+        const idKey = stripZeros(text);
+        const designatorKey = normalizeDesignator(text);
+        const matches = [];
+
+        entries.forEach(entry => {
+            if (!matchesFilters(entry, filters)) return;
+
+            const rank = rankEntry(entry, text, idKey, designatorKey);
+            if (rank !== null) {
+                matches.push({ entry: entry, rank: rank });
+            }
+        });
+
+        matches.sort((a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name));
+
+        return {
+            total: matches.length,
+            results: matches.slice(0, limit).map(match => Object.assign({}, match.entry))
+        };
+    }
+
+    /**
+     * Helper: Match quality of an entry (lower is better), or null for no match
+     */
+    function rankEntry(entry, text, idKey, designatorKey) {
+        if (!text) return 3;
+
+        const name = entry.name.toUpperCase();
+        if (stripZeros(entry.noradId) === idKey || (designatorKey && entry.intlDes === designatorKey)) return 0;
+        if (name.startsWith(text)) return 1;
+        if (/^\d+$/.test(idKey) && stripZeros(entry.noradId).startsWith(idKey)) return 2;
+        if (designatorKey && entry.intlDes.startsWith(designatorKey)) return 2;
+        if (name.includes(text)) return 3;
+
+        return null;
+    }
+
+    /**
+     * Helper: "1998-067A" / "98-067A" / "98067A" → TLE form "98067A"
+     */
+    function normalizeDesignator(text) {
+        const match = /^(?:\d{2})?(\d{2})-?(\d{3})([A-Z]{0,3})$/.exec(text.replace(/\s+/g, ''));
+        return match ? match[1] + match[2] + match[3] : '';
+    }
+
+    /**
+     * Helper: Catalog numbers compare without leading zeros
+     */
+    function stripZeros(text) {
+        return String(text).trim().toUpperCase().replace(/^0+(?=.)/, '');
+    }
+
+    /**
+     * Helper: Empty filter fields are null, undefined or ''
+     */
+    function isSet(value) {
+        return value !== null && value !== undefined && value !== '';
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        buildIndex: buildIndex,
+        classifyRegime: classifyRegime,
+        validateFilters: validateFilters,
+        hasFilters: hasFilters,
+        matchesFilters: matchesFilters,
+        getMask: getMask,
+        search: search,
+
+        // Getters for other modules
+        getEntry: function (index) { return entries[index] ? Object.assign({}, entries[index]) : null; },
+        getRegimes: function () { return REGIMES.slice(); },
+        getObjectTypes: function () { return OBJECT_TYPES.slice(); }
+    };
+})();
+
+// Make available globally
+window.CatalogSearch = CatalogSearch;
+console.log('CatalogSearch module initialized');
@@ -0,0 +1,640 @@
+// ============================================
+// CDM MODULE
+// CCSDS Conjunction Data Messages (508.0-B-1): builds them from propagated
+// states, writes KVN and XML, and reads messages received from elsewhere
+// ============================================
+
+const CDM = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+    let messageCount = 0;     // Sequence for generated MESSAGE_IDs
+
+    // Constants
+    const CDM_VERSION = '1.0';
+    const ORIGINATOR = 'XENONITE';
+    const EARTH_ROTATION_RAD_S = 7.292115e-5;     // WGS-72, used for the TEME <-> ITRF velocity term
+    const DEFAULT_VELOCITY_SIGMA_MS = 0.1;        // 1-sigma velocity uncertainty per axis (m/s)
+    const FORMATS = {
+        kvn: { extension: 'cdm', mimeType: 'text/plain;charset=utf-8' },
+        xml: { extension: 'xml', mimeType: 'application/xml' }
+    };
+    const OBJECT_TYPES = {
+        payload: 'PAYLOAD',
+        'rocket-body': 'ROCKET BODY',
+        debris: 'DEBRIS',
+        critical: 'DEBRIS'
+    };
+
+    // Lower-triangular RTN covariance, in the order the standard lists it
+    const COVARIANCE_KEYS = [
+        'CR_R', 'CT_R', 'CT_T', 'CN_R', 'CN_T', 'CN_N',
+        'CRDOT_R', 'CRDOT_T', 'CRDOT_N', 'CRDOT_RDOT',
+        'CTDOT_R', 'CTDOT_T', 'CTDOT_N', 'CTDOT_RDOT', 'CTDOT_TDOT',
+        'CNDOT_R', 'CNDOT_T', 'CNDOT_N', 'CNDOT_RDOT', 'CNDOT_TDOT', 'CNDOT_NDOT'
+    ];
+    const STATE_KEYS = ['X', 'Y', 'Z', 'X_DOT', 'Y_DOT', 'Z_DOT'];
+    const STATE_UNITS = { X: 'km', Y: 'km', Z: 'km', X_DOT: 'km/s', Y_DOT: 'km/s', Z_DOT: 'km/s' };
+
+    // ==========================================
+    // 1. BUILD CDM FUNCTION
+    // ==========================================
+    /**
+     * Builds a CDM from both objects' states at TCA. OBJECT1 is the tracked
+     * asset; the relative state is OBJECT2 with respect to OBJECT1 in
+     * OBJECT1's RTN frame. States are written in ITRF (TEME rotated by GMST,
+     * polar motion neglected).
+     * @param {Object} input - {tca (Date), creationDate (Date, optional),
+     *     object1, object2: {noradId, name, intlDes (TLE form, e.g. "98067A"),
+     *                        objectType, maneuverable (boolean|null),
+     *                        position, velocity (TEME km, km/s)},
+     *     pc, positionSigma (km, per object)}
+     * @returns {Object|null} CDM (see parse for the shape), or null without both states
+     */
+    function buildCDM(input) {
+        const o1 = input.object1;
+        const o2 = input.object2;
+        if (!(input.tca instanceof Date) || !o1 || !o2 ||
+            !o1.position || !o1.velocity || !o2.position || !o2.velocity) {
+            return null;
+        }
+
+        const dr = subtract(o2.position, o1.position);
+        const dv = subtract(o2.velocity, o1.velocity);
+        const frame = rtnFrame(o1.position, o1.velocity);
+        const creationDate = input.creationDate || new Date();
+
+        messageCount++;
+
+        return {
+            version: CDM_VERSION,
+            creationDate: formatTime(creationDate),
+            originator: ORIGINATOR,
+            messageId: `${ORIGINATOR}-${o1.noradId}-${o2.noradId}-${formatTime(input.tca).replace(/[-:.]/g, '')}-${messageCount}`,
+            tca: formatTime(input.tca),
+            missDistance: magnitude(dr) * 1000,
+            relativeSpeed: magnitude(dv) * 1000,
+            relativePosition: { r: dot(dr, frame.r) * 1000, t: dot(dr, frame.t) * 1000, n: dot(dr, frame.n) * 1000 },
+            relativeVelocity: { r: dot(dv, frame.r) * 1000, t: dot(dv, frame.t) * 1000, n: dot(dv, frame.n) * 1000 },
+            collisionProbability: typeof input.pc === 'number' ? input.pc : null,
+            collisionProbabilityMethod: typeof input.pc === 'number' ? 'FOSTER-1992' : null,
+            objects: [
+                buildObject('OBJECT1', o1, input.tca, input.positionSigma),
+                buildObject('OBJECT2', o2, input.tca, input.positionSigma)
+            ]
+        };
+    }
+
+    /**
+     * Helper: One object's metadata, ITRF state and default covariance
+     */
+    function buildObject(label, object, tca, positionSigma) {
+        const state = temeToItrf(object.position, object.velocity, tca);
+        const positionVariance = Math.pow((positionSigma || 0) * 1000, 2);
+        const velocityVariance = Math.pow(DEFAULT_VELOCITY_SIGMA_MS, 2);
+        const covariance = {};
+
+        COVARIANCE_KEYS.forEach(key => { covariance[key] = 0; });
+        covariance.CR_R = covariance.CT_T = covariance.CN_N = positionVariance;
+        covariance.CRDOT_RDOT = covariance.CTDOT_TDOT = covariance.CNDOT_NDOT = velocityVariance;
+
+        let maneuverable = 'N/A';
+        if (object.maneuverable === true) maneuverable = 'YES';
+        if (object.maneuverable === false) maneuverable = 'NO';
+
+        return {
+            object: label,
+            designator: String(object.noradId),
+            catalogName: 'SATCAT',
+            name: object.name,
+            intlDes: formatDesignator(object.intlDes),
+            objectType: OBJECT_TYPES[object.objectType] || 'UNKNOWN',
+            ephemerisName: 'NONE',
+            covarianceMethod: 'DEFAULT',
+            maneuverable: maneuverable,
+            refFrame: 'ITRF',
+            state: {
+                X: state.position.x, Y: state.position.y, Z: state.position.z,
+                X_DOT: state.velocity.x, Y_DOT: state.velocity.y, Z_DOT: state.velocity.z
+            },
+            covariance: covariance
+        };
+    }
+
+    // ==========================================
+    // 2. FRAME FUNCTIONS
+    // ==========================================
+    /**
+     * TEME to ITRF: rotate about Z by GMST and remove the Earth-rotation
+     * velocity (v_ecf = R v - w x r_ecf)
+     * @param {Object} position - TEME position {x, y, z} (km)
+     * @param {Object} velocity - TEME velocity {x, y, z} (km/s)
+     * @param {Date} date - Epoch of the state
+     * @returns {Object} {position, velocity} in ITRF
+     */
+    function temeToItrf(position, velocity, date) {
+        const gmst = satellite.gstime(date);
+        const r = rotateZ(position, gmst);
+        const v = rotateZ(velocity, gmst);
+
+        return {
+            position: r,
+            velocity: {
+                x: v.x + EARTH_ROTATION_RAD_S * r.y,
+                y: v.y - EARTH_ROTATION_RAD_S * r.x,
+                z: v.z
+            }
+        };
+    }
+
+    /**
+     * ITRF position to TEME (inverse of temeToItrf)
+     * @param {Object} position - ITRF position {x, y, z} (km)
+     * @param {Date} date - Epoch of the position
+     * @returns {Object} TEME position {x, y, z} (km)
+     */
+    function itrfToTeme(position, date) {
+        return rotateZ(position, -satellite.gstime(date));
+    }
+
+    /**
+     * Helper: Frame rotation about Z (x' = x cos + y sin, y' = -x sin + y cos)
+     */
+    function rotateZ(vector, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: vector.x * cos + vector.y * sin,
+            y: -vector.x * sin + vector.y * cos,
+            z: vector.z
+        };
+    }
+
+    /**
+     * Helper: Unit vectors of the RTN frame (radial, in-track, cross-track)
+     */
+    function rtnFrame(position, velocity) {
+        const r = scale(position, 1 / magnitude(position));
+        const h = cross(position, velocity);
+        const n = scale(h, 1 / magnitude(h));
+        return { r: r, t: cross(n, r), n: n };
+    }
+
+    function subtract(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }; }
+    function scale(a, k) { return { x: a.x * k, y: a.y * k, z: a.z * k }; }
+    function dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; }
+    function magnitude(a) { return Math.sqrt(dot(a, a)); }
+    function cross(a, b) {
+        return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+    }
+
+    // ==========================================
+    // 3. KVN FORMAT
+    // ==========================================
+    /**
+     * Writes a CDM as KVN (KEY = value [units])
+     * @param {Object} cdm - From buildCDM or parse
+     * @returns {string} KVN text
+     */
+    function toKVN(cdm) {
+        const lines = [];
+        const line = (key, value, units) => {
+            if (value === null || value === undefined || value === '') return;
+            lines.push(`${key.padEnd(36)} = ${value}${units ? ` [${units}]` : ''}`);
+        };
+
+        line('CCSDS_CDM_VERS', cdm.version);
+        line('CREATION_DATE', cdm.creationDate);
+        line('ORIGINATOR', cdm.originator);
+        line('MESSAGE_ID', cdm.messageId);
+        line('TCA', cdm.tca);
+        line('MISS_DISTANCE', fixed(cdm.missDistance, 3), 'm');
+        line('RELATIVE_SPEED', fixed(cdm.relativeSpeed, 3), 'm/s');
+        if (cdm.relativePosition) {
+            line('RELATIVE_POSITION_R', fixed(cdm.relativePosition.r, 3), 'm');
+            line('RELATIVE_POSITION_T', fixed(cdm.relativePosition.t, 3), 'm');
+            line('RELATIVE_POSITION_N', fixed(cdm.relativePosition.n, 3), 'm');
+        }
+        if (cdm.relativeVelocity) {
+            line('RELATIVE_VELOCITY_R', fixed(cdm.relativeVelocity.r, 3), 'm/s');
+            line('RELATIVE_VELOCITY_T', fixed(cdm.relativeVelocity.t, 3), 'm/s');
+            line('RELATIVE_VELOCITY_N', fixed(cdm.relativeVelocity.n, 3), 'm/s');
+        }
+        line('COLLISION_PROBABILITY', exponential(cdm.collisionProbability));
+        line('COLLISION_PROBABILITY_METHOD', cdm.collisionProbabilityMethod);
+
+        cdm.objects.forEach(object => {
+            line('OBJECT', object.object);
+            line('OBJECT_DESIGNATOR', object.designator);
+            line('CATALOG_NAME', object.catalogName);
+            line('OBJECT_NAME', object.name);
+            line('INTERNATIONAL_DESIGNATOR', object.intlDes);
+            line('OBJECT_TYPE', object.objectType);
+            line('EPHEMERIS_NAME', object.ephemerisName);
+            line('COVARIANCE_METHOD', object.covarianceMethod);
+            line('MANEUVERABLE', object.maneuverable);
+            line('REF_FRAME', object.refFrame);
+            if (object.state) {
+                STATE_KEYS.forEach(key => line(key, fixed(object.state[key], 6), STATE_UNITS[key]));
+            }
+            if (object.covariance) {
+                COVARIANCE_KEYS.forEach(key => line(key, exponential(object.covariance[key]), covarianceUnits(key)));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // ==========================================
+    // 4. XML FORMAT
+    // ==========================================
+    /**
+     * Writes a CDM as NDM/XML
+     * @param {Object} cdm - From buildCDM or parse
+     * @returns {string} XML text
+     */
+    function toXML(cdm) {
+        const leaf = (indent, key, value, units) => {
+            if (value === null || value === undefined || value === '') return '';
+            const attribute = units ? ` units="${units}"` : '';
+            return `${indent}<${key}${attribute}>${escapeXml(value)}</${key}>\n`;
+        };
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += `<cdm id="CCSDS_CDM_VERS" version="${escapeXml(cdm.version)}">\n`;
+        xml += '  <header>\n';
+        xml += leaf('    ', 'CREATION_DATE', cdm.creationDate);
+        xml += leaf('    ', 'ORIGINATOR', cdm.originator);
+        xml += leaf('    ', 'MESSAGE_ID', cdm.messageId);
+        xml += '  </header>\n';
+        xml += '  <body>\n';
+        xml += '    <relativeMetadataData>\n';
+        xml += leaf('      ', 'TCA', cdm.tca);
+        xml += leaf('      ', 'MISS_DISTANCE', fixed(cdm.missDistance, 3), 'm');
+        xml += leaf('      ', 'RELATIVE_SPEED', fixed(cdm.relativeSpeed, 3), 'm/s');
+        if (cdm.relativePosition && cdm.relativeVelocity) {
+            xml += '      <relativeStateVector>\n';
+            ['r', 't', 'n'].forEach(axis => {
+                xml += leaf('        ', `RELATIVE_POSITION_${axis.toUpperCase()}`, fixed(cdm.relativePosition[axis], 3), 'm');
+            });
+            ['r', 't', 'n'].forEach(axis => {
+                xml += leaf('        ', `RELATIVE_VELOCITY_${axis.toUpperCase()}`, fixed(cdm.relativeVelocity[axis], 3), 'm/s');
+            });
+            xml += '      </relativeStateVector>\n';
+        }
+        xml += leaf('      ', 'COLLISION_PROBABILITY', exponential(cdm.collisionProbability));
+        xml += leaf('      ', 'COLLISION_PROBABILITY_METHOD', cdm.collisionProbabilityMethod);
+        xml += '    </relativeMetadataData>\n';
+
+        cdm.objects.forEach(object => {
+            xml += '    <segment>\n';
+            xml += '      <metadata>\n';
+            xml += leaf('        ', 'OBJECT', object.object);
+            xml += leaf('        ', 'OBJECT_DESIGNATOR', object.designator);
+            xml += leaf('        ', 'CATALOG_NAME', object.catalogName);
+            xml += leaf('        ', 'OBJECT_NAME', object.name);
+            xml += leaf('        ', 'INTERNATIONAL_DESIGNATOR', object.intlDes);
+            xml += leaf('        ', 'OBJECT_TYPE', object.objectType);
+            xml += leaf('        ', 'EPHEMERIS_NAME', object.ephemerisName);
+            xml += leaf('        ', 'COVARIANCE_METHOD', object.covarianceMethod);
+            xml += leaf('        ', 'MANEUVERABLE', object.maneuverable);
+            xml += leaf('        ', 'REF_FRAME', object.refFrame);
+            xml += '      </metadata>\n';
+            xml += '      <data>\n';
+            if (object.state) {
+                xml += '        <stateVector>\n';
+                STATE_KEYS.forEach(key => {
+                    xml += leaf('          ', key, fixed(object.state[key], 6), STATE_UNITS[key]);
+                });
+                xml += '        </stateVector>\n';
+            }
+            if (object.covariance) {
+                xml += '        <covarianceMatrix>\n';
+                COVARIANCE_KEYS.forEach(key => {
+                    xml += leaf('          ', key, exponential(object.covariance[key]), covarianceUnits(key));
+                });
+                xml += '        </covarianceMatrix>\n';
+            }
+            xml += '      </data>\n';
+            xml += '    </segment>\n';
+        });
+
+        xml += '  </body>\n';
+        xml += '</cdm>\n';
+        return xml;
+    }
+
+    // ==========================================
+    // 5. PARSE FUNCTIONS
+    // ==========================================
+    /**
+     * Reads CDMs in KVN or XML (detected from the first character). Several
+     * messages may be concatenated (KVN) or wrapped in an <ndm> (XML).
+     * @param {string} text - Raw message text
+     * @returns {Object} {messages: [cdm], errors: [string]} where cdm is
+     *     {version, creationDate, originator, messageId, tca, missDistance (m),
+     *      relativeSpeed (m/s), relativePosition, relativeVelocity ({r, t, n} m, m/s),
+     *      collisionProbability, collisionProbabilityMethod,
+     *      objects: [{object, designator, catalogName, name, intlDes, objectType,
+     *                 ephemerisName, covarianceMethod, maneuverable, refFrame,
+     *                 state: {X..Z_DOT} (km, km/s), covariance}]}
+     */
+    function parse(text) {
+        const source = String(text || '').trim();
+        const blocks = source.startsWith('<') ? parseXML(source) : parseKVN(source);
+        const messages = [];
+        const errors = [];
+
+        if (blocks.length === 0) {
+            errors.push('No CDM found');
+        }
+
+        blocks.forEach((block, i) => {
+            const error = validateFields(block);
+            if (error) {
+                errors.push(`CDM ${i + 1}: ${error}`);
+                return;
+            }
+            messages.push(fromFields(block));
+        });
+
+        return { messages: messages, errors: errors };
+    }
+
+    /**
+     * Helper: KVN into {fields, objects: [fields]} blocks; each
+     * CCSDS_CDM_VERS starts a message and each OBJECT line a segment
+     */
+    function parseKVN(text) {
+        const blocks = [];
+        let block = null;
+        let target = null;
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('COMMENT')) {
+                return;
+            }
+
+            const match = line.match(/^([A-Z0-9_]+)\s*=\s*(.*?)\s*(?:\[[^\]]*\])?$/i);
+            if (!match) {
+                return;
+            }
+
+            const key = match[1].toUpperCase();
+            if (key === 'CCSDS_CDM_VERS' || !block) {
+                block = { fields: {}, objects: [] };
+                blocks.push(block);
+                target = block.fields;
+            }
+            if (key === 'OBJECT') {
+                target = {};
+                block.objects.push(target);
+            }
+
+            target[key] = match[2];
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Helper: NDM/XML into the same blocks as parseKVN
+     */
+    function parseXML(text) {
+        const messages = text.match(/<cdm[\s>][\s\S]*?<\/cdm>/gi) || [];
+
+        return messages.map(message => {
+            const segments = message.match(/<segment[\s>][\s\S]*?<\/segment>/gi) || [];
+            const common = message.replace(/<segment[\s>][\s\S]*?<\/segment>/gi, '');
+            const fields = readLeaves(common);
+
+            const version = message.match(/<cdm[^>]*\sversion="([^"]*)"/i);
+            if (version) fields.CCSDS_CDM_VERS = version[1];
+
+            return { fields: fields, objects: segments.map(readLeaves) };
+        });
+    }
+
+    /**
+     * Helper: Leaf elements of an XML fragment as a field map
+     */
+    function readLeaves(fragment) {
+        const fields = {};
+        const leafPattern = /<([A-Za-z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+        let match;
+
+        while ((match = leafPattern.exec(fragment)) !== null) {
+            fields[match[1].toUpperCase()] = decodeXmlEntities(match[2].trim());
+        }
+
+        return fields;
+    }
+
+    /**
+     * Helper: Checks the fields an overlay needs
+     * @returns {string|null} Error message, or null if usable
+     */
+    function validateFields(block) {
+        const fields = block.fields;
+
+        if (!fields.TCA || parseTime(fields.TCA) === null) {
+            return 'TCA is missing or invalid';
+        }
+        if (!isFinite(parseFloat(fields.MISS_DISTANCE))) {
+            return 'MISS_DISTANCE is missing';
+        }
+        if (block.objects.length !== 2) {
+            return `Expected OBJECT1 and OBJECT2, found ${block.objects.length} object(s)`;
+        }
+        if (block.objects.some(object => !object.OBJECT_DESIGNATOR)) {
+            return 'OBJECT_DESIGNATOR is missing';
+        }
+
+        return null;
+    }
+
+    /**
+     * Helper: Field maps to a CDM object
+     */
+    function fromFields(block) {
+        const fields = block.fields;
+        const number = key => (isFinite(parseFloat(fields[key])) ? parseFloat(fields[key]) : null);
+        const vector = prefix => {
+            const r = number(`${prefix}_R`);
+            const t = number(`${prefix}_T`);
+            const n = number(`${prefix}_N`);
+            return r === null || t === null || n === null ? null : { r: r, t: t, n: n };
+        };
+
+        return {
+            version: fields.CCSDS_CDM_VERS || CDM_VERSION,
+            creationDate: fields.CREATION_DATE || null,
+            originator: fields.ORIGINATOR || null,
+            messageId: fields.MESSAGE_ID || null,
+            tca: fields.TCA,
+            missDistance: number('MISS_DISTANCE'),
+            relativeSpeed: number('RELATIVE_SPEED'),
+            relativePosition: vector('RELATIVE_POSITION'),
+            relativeVelocity: vector('RELATIVE_VELOCITY'),
+            collisionProbability: number('COLLISION_PROBABILITY'),
+            collisionProbabilityMethod: fields.COLLISION_PROBABILITY_METHOD || null,
+            objects: block.objects.map(object => {
+                const hasState = STATE_KEYS.every(key => isFinite(parseFloat(object[key])));
+                const state = {};
+                STATE_KEYS.forEach(key => { state[key] = parseFloat(object[key]); });
+
+                const covariance = {};
+                COVARIANCE_KEYS.forEach(key => {
+                    if (isFinite(parseFloat(object[key]))) covariance[key] = parseFloat(object[key]);
+                });
+
+                return {
+                    object: (object.OBJECT || '').toUpperCase(),
+                    designator: object.OBJECT_DESIGNATOR,
+                    catalogName: object.CATALOG_NAME || null,
+                    name: object.OBJECT_NAME || object.OBJECT_DESIGNATOR,
+                    intlDes: object.INTERNATIONAL_DESIGNATOR || null,
+                    objectType: object.OBJECT_TYPE || null,
+                    ephemerisName: object.EPHEMERIS_NAME || null,
+                    covarianceMethod: object.COVARIANCE_METHOD || null,
+                    maneuverable: object.MANEUVERABLE || null,
+                    refFrame: (object.REF_FRAME || '').toUpperCase() || null,
+                    state: hasState ? state : null,
+                    covariance: Object.keys(covariance).length > 0 ? covariance : null
+                };
+            })
+        };
+    }
+
+    // ==========================================
+    // 6. FORMAT HELPERS
+    // ==========================================
+    /**
+     * CCSDS epoch "YYYY-MM-DDThh:mm:ss.sss" (UTC, no zone designator)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatTime(date) {
+        return date.toISOString().replace('Z', '');
+    }
+
+    /**
+     * Reads a CCSDS epoch (calendar or day-of-year form, UTC)
+     * @param {string} value - Epoch text
+     * @returns {Date|null}
+     */
+    function parseTime(value) {
+        let text = String(value).trim();
+
+        const doy = text.match(/^(\d{4})-(\d{3})(T.*)$/);
+        if (doy) {
+            const base = parseTime(`${doy[1]}-01-01${doy[3]}`);
+            return base === null ? null : new Date(base.getTime() + (parseInt(doy[2], 10) - 1) * 86400000);
+        }
+
+        if (!/[zZ]|[+-]\d\d:?\d\d$/.test(text)) {
+            text += 'Z';
+        }
+
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * TLE international designator "98067A" → CDM form "1998-067A"
+     * (designators already in CDM form are returned unchanged)
+     * @param {string} designator
+     * @returns {string|null}
+     */
+    function formatDesignator(designator) {
+        const text = String(designator || '').trim().toUpperCase();
+        const match = text.match(/^(\d{2})(\d{3})([A-Z]{0,3})$/);
+        if (!match) return text || null;
+
+        const year = parseInt(match[1], 10);
+        return `${year < 57 ? 2000 + year : 1900 + year}-${match[2]}${match[3]}`;
+    }
+
+    /**
+     * Helper: Units of a covariance term (m**2, m**2/s or m**2/s**2)
+     */
+    function covarianceUnits(key) {
+        const rates = (key.match(/DOT/g) || []).length;
+        return ['m**2', 'm**2/s', 'm**2/s**2'][rates];
+    }
+
+    function fixed(value, digits) {
+        return typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : null;
+    }
+
+    function exponential(value) {
+        return typeof value === 'number' && isFinite(value) ? value.toExponential(6).toUpperCase() : null;
+    }
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function decodeXmlEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // ==========================================
+    // 7. RENDER FUNCTION
+    // ==========================================
+    /**
+     * Renders a CDM as a file (save it with ReportGenerator.download)
+     * @param {Object} cdm - From buildCDM
+     * @param {string} format - 'kvn' or 'xml'
+     * @returns {Object|null} {content, filename, mimeType}, or null for an unknown format
+     */
+    function render(cdm, format) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            console.warn(`CDM: Unknown format "${format}"`);
+            return null;
+        }
+
+        const stamp = cdm.tca.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+        return {
+            content: format === 'kvn' ? toKVN(cdm) : toXML(cdm),
+            filename: `cdm-${cdm.objects[0].designator}-${cdm.objects[1].designator}-${stamp}.${spec.extension}`,
+            mimeType: spec.mimeType
+        };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        buildCDM: buildCDM,
+        toKVN: toKVN,
+        toXML: toXML,
+        parse: parse,
+        render: render,
+        temeToItrf: temeToItrf,
+        itrfToTeme: itrfToTeme,
+        parseTime: parseTime,
+        formatDesignator: formatDesignator,
+
+        // Getters for other modules
+        getFormats: function () { return Object.keys(FORMATS); }
+    };
+})();
+
+// Make available globally
+window.CDM = CDM;
+console.log('CDM module initialized');
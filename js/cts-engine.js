@@ -20,6 +20,27 @@ const CTSEngine = (function () {
     const CRITICAL_BONUS = 50;    // Large bonus for critical proximity
     const EXTREME_BONUS = 80;     // Massive bonus for extreme proximity
 
+    // Probability of collision (Pc) mode
+    const HARD_BODY_RADIUS_KM = 0.02;     // Combined hard-body radius (20 m)
+    const POSITION_SIGMA_KM = 0.5;        // Default 1-sigma position uncertainty per object, per axis
+    const PC_MANEUVER_THRESHOLD = 1e-4;   // Industry maneuver threshold -> CRITICAL
+    const PC_WARNING_THRESHOLD = 1e-5;    // -> WARNING
+    const PC_ELEVATED_THRESHOLD = 1e-7;   // -> ELEVATED
+    const PC_FLOOR = 1e-10;               // Below this the score is 0
+
+    // Pc -> score anchors (log10 Pc, score), chosen so the Pc thresholds land on
+    // the same status boundaries getScoreStatus() uses for proximity scores
+    const PC_SCORE_ANCHORS = [
+        [Math.log10(PC_FLOOR), 0],
+        [Math.log10(PC_ELEVATED_THRESHOLD), 31],
+        [Math.log10(PC_WARNING_THRESHOLD), 61],
+        [Math.log10(PC_MANEUVER_THRESHOLD), 86],
+        [-3, 100]
+    ];
+
+    let scoringMode = 'proximity'; // 'proximity' | 'pc'
+    let lastMaxPc = 0;             // Highest Pc from the last Pc-mode evaluation
+
     // History tracking
     const MAX_HISTORY = 120;      // 2 minutes at 1 update/second
     let historicalScores = [];    // Stores recent scores for sparkline
@@ -28,45 +49,70 @@ const CTSEngine = (function () {
     let forceScore = null;        // Override score for demo purposes
 
     // Threat details
+    const MAX_TRACKED_THREATS = 20;   // Rows kept for the threat table
     let lastThreats = [];         // Array of closest threats
 
+    // Forecast (forward-looking score timeline)
+    const FORECAST_BIN_MINUTES = 15;  // Score resolution of the timeline
+    const FORECAST_MAX_PEAKS = 3;     // Labeled peaks
+    let lastForecast = null;
+
+    // Fleet roll-up
+    let lastFleet = null;
+
     // ==========================================
     // 1. CALCULATE SCORE FUNCTION
     // ==========================================
     /**
      * Calculates collision threat score based on debris proximity
-     * @param {THREE.Vector3} playerPosition - Player satellite position
-     * @param {Array} debrisPositions - Array of debris Vector3 positions
+     * @param {Object} player - {position (THREE.Vector3 scene), eci (km), velocity (km/s), date}
+     * @param {Array} debrisObjects - Array of {index, name, noradId, source, position, eci, velocity}
+     *                                (see PropagationService.getSceneObjects)
      * @returns {number} Threat score (0-100)
      */
-    function calculateScore(playerPosition, debrisPositions) {
+    function calculateScore(player, debrisObjects) {
         if (forceScore !== null) {
             console.log(`CTSEngine: Force score active: ${forceScore}`);
             // ADD THIS: Update history even in force mode
-            historicalScores.push(forceScore);
-            if (historicalScores.length > MAX_HISTORY) {
-                historicalScores.shift();
-            }
+            pushHistory(forceScore);
             return forceScore;
         }
 
+        const result = evaluateProximity(player, debrisObjects);
+        const threatScore = result.score;
+        const threats = result.threats;
+
+        // Store in history
+        pushHistory(threatScore);
+
+        lastThreats = threats.slice(0, MAX_TRACKED_THREATS);
+
+        // Log significant events
+        if (threatScore > 70) {
+            console.warn(`CTSEngine: HIGH THREAT SCORE: ${threatScore} (${threats.length} objects in danger zone)`);
+        }
+
+        return threatScore;
+    }
+
+    /**
+     * Helper: Proximity score and threats (closest first) for one asset,
+     * without touching the engine's history or threat list
+     * @returns {Object} {score, threats}
+     */
+    function evaluateProximity(player, debrisObjects) {
         // Validate inputs
-        if (!playerPosition || !debrisPositions || debrisPositions.length === 0) {
-            // PUSH 0 TO HISTORY
-            historicalScores.push(0);
-            if (historicalScores.length > MAX_HISTORY) {
-                historicalScores.shift();
-            }
-            return 0;
+        if (!player || !player.position || !debrisObjects || debrisObjects.length === 0) {
+            return { score: 0, threats: [] };
         }
 
         let threatScore = 0;
         let threats = [];
 
         // Analyze each debris object
-        debrisPositions.forEach((debrisPos, index) => {
+        debrisObjects.forEach(object => {
             // Calculate distance (THREE.js Vector3.distanceTo returns scene units)
-            const distance = playerPosition.distanceTo(debrisPos);
+            const distance = player.position.distanceTo(object.position);
 
             // Convert to kilometers (distance is in scene units, 1 unit = 1000 km)
             const distanceKm = distance * 1000;  // FIXED: Was missing multiplication
@@ -78,48 +124,505 @@ const CTSEngine = (function () {
 
             // Check if within danger radius
             if (distanceKm < DANGER_RADIUS) {
+                // Only closing objects score: a separating one is past its closest
+                // approach. Without velocities the motion is unknown and it scores.
+                const motion = getRelativeMotion(player, object);
+                const scored = !motion || motion.closing;
+
                 // Base threat score (closer = higher)
-                const proximityThreat = (DANGER_RADIUS - distanceKm) * DANGER_WEIGHT;
-                threatScore += proximityThreat;
+                const proximityThreat = scored ? (DANGER_RADIUS - distanceKm) * DANGER_WEIGHT : 0;
+
+                // Base score plus critical/extreme proximity bonuses
+                const contribution = scored ? getProximityContribution(distanceKm) : 0;
+                threatScore += contribution;
 
                 // Track this threat
                 threats.push({
-                    index: index,
+                    index: object.index,
+                    name: object.name,
+                    noradId: object.noradId,
+                    source: object.source,
                     distance: distanceKm,
-                    threat: proximityThreat
+                    relativeSpeed: motion ? motion.relativeSpeed : null,
+                    rangeRate: motion ? motion.rangeRate : null,
+                    closing: motion ? motion.closing : false,
+                    missDistance: motion ? motion.missDistance : null,
+                    tca: motion ? motion.tca : null,
+                    threat: proximityThreat,
+                    contribution: contribution,
+                    scored: scored
                 });
-
-                // Critical proximity bonus
-                if (distanceKm < CRITICAL_RADIUS) {
-                    threatScore += CRITICAL_BONUS;
-
-                    // Extreme proximity bonus
-                    if (distanceKm < EXTREME_RADIUS) {
-                        threatScore += EXTREME_BONUS;
-                    }
-                }
             }
         });
 
         // Cap score at 100
         threatScore = Math.min(Math.round(threatScore), 100);
 
-        // Store in history
-        historicalScores.push(threatScore);
+        // Sort threats by distance (closest first)
+        threats.sort((a, b) => a.distance - b.distance);
+
+        return { score: threatScore, threats: threats };
+    }
+
+    /**
+     * Helper: Relative motion of one object with respect to the player from
+     * their ECI states (see estimateCollisionTime)
+     * @returns {Object|null} {relativeSpeed, rangeRate, closing, timeToTca, missDistance,
+     *                        tca (Date, null unless closing)}
+     */
+    function getRelativeMotion(player, object) {
+        if (!player.eci || !player.velocity || !object.eci || !object.velocity) {
+            return null;
+        }
+
+        const motion = estimateCollisionTime(
+            {
+                x: object.eci.x - player.eci.x,
+                y: object.eci.y - player.eci.y,
+                z: object.eci.z - player.eci.z
+            },
+            {
+                x: object.velocity.x - player.velocity.x,
+                y: object.velocity.y - player.velocity.y,
+                z: object.velocity.z - player.velocity.z
+            }
+        );
+
+        motion.tca = (motion.closing && player.date)
+            ? new Date(player.date.getTime() + motion.timeToTca * 1000)
+            : null;
+        return motion;
+    }
+
+    /**
+     * Points a single object at a given distance adds to the proximity score
+     * (base threat plus critical/extreme bonuses, before the 100 cap)
+     * @param {number} distanceKm - Distance to the player in km
+     * @returns {number} Score contribution
+     */
+    function getProximityContribution(distanceKm) {
+        if (!isFinite(distanceKm) || distanceKm >= DANGER_RADIUS) {
+            return 0;
+        }
+
+        let contribution = (DANGER_RADIUS - distanceKm) * DANGER_WEIGHT;
+        if (distanceKm < CRITICAL_RADIUS) {
+            contribution += CRITICAL_BONUS;
+            if (distanceKm < EXTREME_RADIUS) {
+                contribution += EXTREME_BONUS;
+            }
+        }
+
+        return contribution;
+    }
+
+    // ==========================================
+    // 1b. CALCULATE PC SCORE FUNCTION
+    // ==========================================
+    /**
+     * Calculates the threat score from probability of collision of upcoming
+     * conjunctions (see OrbitalPropagator.screenConjunctions). The highest Pc
+     * is mapped onto the 0-100 scale so the existing statuses still apply.
+     * @param {Array} conjunctions - Array of {name, noradId, source, index, tca, missDistance, relativeVelocity}
+     *                               (index is the catalog index, optional)
+     * @param {Object} options - {hardBodyRadius, sigma} in km (optional)
+     * @returns {number} Threat score (0-100)
+     */
+    function calculatePcScore(conjunctions, options = {}) {
+        if (forceScore !== null) {
+            pushHistory(forceScore);
+            return forceScore;
+        }
+
+        const result = evaluatePc(conjunctions, options);
+        lastThreats = result.threats.slice(0, MAX_TRACKED_THREATS);
+        lastMaxPc = result.maxPc;
+        pushHistory(result.score);
+
+        if (lastMaxPc >= PC_MANEUVER_THRESHOLD) {
+            console.warn(`CTSEngine: Pc ${lastMaxPc.toExponential(2)} exceeds maneuver threshold (${result.threats[0].name})`);
+        }
+
+        return result.score;
+    }
+
+    /**
+     * Helper: Pc score and threats (highest Pc first) for one asset's
+     * conjunctions, without touching the engine's history or threat list
+     * @returns {Object} {score, threats, maxPc}
+     */
+    function evaluatePc(conjunctions, options) {
+        if (!Array.isArray(conjunctions) || conjunctions.length === 0) {
+            return { score: 0, threats: [], maxPc: 0 };
+        }
+
+        const threats = conjunctions.map(conjunction => {
+            const pc = calculateCollisionProbability(conjunction.missDistance, options);
+            const score = pcToScore(pc);
+            return {
+                index: typeof conjunction.index === 'number' ? conjunction.index : null,
+                name: conjunction.name,
+                noradId: conjunction.noradId,
+                source: conjunction.source,
+                distance: conjunction.missDistance,
+                relativeSpeed: conjunction.relativeVelocity,
+                rangeRate: null,
+                closing: true,  // Callers pass upcoming conjunctions only
+                missDistance: conjunction.missDistance,
+                tca: conjunction.tca,
+                threat: score,
+                contribution: score,
+                scored: true,
+                pc: pc
+            };
+        });
+
+        threats.sort((a, b) => b.pc - a.pc);
+
+        return { score: pcToScore(threats[0].pc), threats: threats, maxPc: threats[0].pc };
+    }
+
+    // ==========================================
+    // 1c. CALCULATE COLLISION PROBABILITY FUNCTION
+    // ==========================================
+    /**
+     * 2D probability of collision in the encounter plane (Foster/Chan style).
+     * The encounter plane is perpendicular to the relative velocity, with the
+     * miss vector along its x axis. The combined covariance is the sum of both
+     * objects' position covariances, and the Gaussian is integrated over the
+     * combined hard-body disk.
+     * @param {number} missDistance - Miss distance at TCA in km
+     * @param {Object} options - {hardBodyRadius, sigma, sigmaX, sigmaZ} in km (optional)
+     * @returns {number} Probability of collision (0-1)
+     */
+    function calculateCollisionProbability(missDistance, options = {}) {
+        if (typeof missDistance !== 'number' || !isFinite(missDistance)) {
+            return 0;
+        }
+
+        const radius = options.hardBodyRadius || HARD_BODY_RADIUS_KM;
+        const sigma = options.sigma || POSITION_SIGMA_KM;
+
+        // Combined (primary + secondary) 1-sigma in each encounter-plane axis
+        const sigmaX = options.sigmaX || Math.SQRT2 * sigma;
+        const sigmaZ = options.sigmaZ || Math.SQRT2 * sigma;
+
+        // Midpoint integration over the disk in polar coordinates
+        const radialSteps = 32;
+        const angularSteps = 64;
+        const dRho = radius / radialSteps;
+        const dTheta = (Math.PI * 2) / angularSteps;
+        const norm = 1 / (2 * Math.PI * sigmaX * sigmaZ);
+
+        let pc = 0;
+        for (let i = 0; i < radialSteps; i++) {
+            const rho = (i + 0.5) * dRho;
+            for (let j = 0; j < angularSteps; j++) {
+                const theta = (j + 0.5) * dTheta;
+                const x = missDistance + rho * Math.cos(theta);
+                const z = rho * Math.sin(theta);
+                pc += Math.exp(-0.5 * ((x * x) / (sigmaX * sigmaX) + (z * z) / (sigmaZ * sigmaZ))) * rho;
+            }
+        }
+
+        return Math.min(pc * norm * dRho * dTheta, 1);
+    }
+
+    /**
+     * Helper: Map Pc onto the 0-100 score scale (piecewise linear in log10 Pc)
+     */
+    function pcToScore(pc) {
+        if (!(pc > PC_FLOOR)) {
+            return 0;
+        }
+
+        const logPc = Math.log10(pc);
+        for (let i = 1; i < PC_SCORE_ANCHORS.length; i++) {
+            const [x1, y1] = PC_SCORE_ANCHORS[i];
+            if (logPc <= x1) {
+                const [x0, y0] = PC_SCORE_ANCHORS[i - 1];
+                return Math.round(y0 + (y1 - y0) * (logPc - x0) / (x1 - x0));
+            }
+        }
+
+        return 100;
+    }
+
+    /**
+     * Helper: Append a score to the sparkline history
+     */
+    function pushHistory(score) {
+        historicalScores.push(score);
         if (historicalScores.length > MAX_HISTORY) {
             historicalScores.shift();
         }
+    }
 
-        // Sort threats by distance (closest first)
-        threats.sort((a, b) => a.distance - b.distance);
-        lastThreats = threats.slice(0, 5);
+    // ==========================================
+    // 1d. SCORING MODE FUNCTIONS
+    // ==========================================
+    /**
+     * Switches between proximity scoring and Pc scoring
+     * @param {string} mode - 'proximity' or 'pc'
+     * @returns {string} Active mode
+     */
+    function setScoringMode(mode) {
+        if (mode !== 'proximity' && mode !== 'pc') {
+            console.warn(`CTSEngine: Unknown scoring mode "${mode}"`);
+            return scoringMode;
+        }
 
-        // Log significant events
-        if (threatScore > 70) {
-            console.warn(`CTSEngine: HIGH THREAT SCORE: ${threatScore} (${threats.length} objects in danger zone)`);
+        if (mode !== scoringMode) {
+            scoringMode = mode;
+            lastMaxPc = 0;
+            // Scores from the two modes are not comparable; start a fresh sparkline
+            resetHistory();
+            console.log(`CTSEngine: Scoring mode set to ${mode}`);
         }
 
-        return threatScore;
+        return scoringMode;
+    }
+
+    // ==========================================
+    // 1e. OBJECT CONTRIBUTION FUNCTION
+    // ==========================================
+    /**
+     * Describes how much one object feeds the current score. Proximity mode
+     * only scores debris-catalog objects; Pc mode scores screened conjunctions.
+     * @param {Object} object - {source, distance (km), closing (false when separating, optional),
+     *                          conjunction (next upcoming for this object, optional)}
+     * @returns {Object} {mode, scored, score, pc, separating}
+     */
+    function getObjectContribution(object) {
+        if (scoringMode === 'pc') {
+            if (!object.conjunction) {
+                return { mode: scoringMode, scored: false, score: 0, pc: 0 };
+            }
+
+            const pc = calculateCollisionProbability(object.conjunction.missDistance);
+            return { mode: scoringMode, scored: true, score: pcToScore(pc), pc: pc };
+        }
+
+        if (object.source !== 'debris') {
+            return { mode: scoringMode, scored: false, score: 0, pc: null };
+        }
+
+        if (object.closing === false) {
+            return { mode: scoringMode, scored: false, score: 0, pc: null, separating: true };
+        }
+
+        return { mode: scoringMode, scored: true, score: getProximityContribution(object.distance), pc: null };
+    }
+
+    // ==========================================
+    // 1f. FORECAST FUNCTIONS
+    // ==========================================
+    /**
+     * Scores the coming hours from screened close approaches. Encounters last
+     * seconds, so each approach is binned at its TCA and scored at its miss
+     * distance rather than sampled on a fixed grid, where it would be missed.
+     * Proximity mode sums debris contributions per bin (capped at 100); Pc
+     * mode scores the highest Pc in the bin.
+     * @param {Array} conjunctions - From OrbitalPropagator.screenConjunctions
+     *                               (proximity mode wants thresholdKm = danger radius)
+     * @param {Date} startDate - Start of the timeline
+     * @param {Object} options - {hours (default 24), binMinutes, mode (default current)}
+     * @returns {Object} {start, hours, binMinutes, mode, bins: [{start, score, conjunction}],
+     *                   peaks: [{score, conjunction}]}
+     */
+    function calculateForecast(conjunctions, startDate, options = {}) {
+        const hours = options.hours || 24;
+        const binMinutes = options.binMinutes || FORECAST_BIN_MINUTES;
+        const mode = options.mode || scoringMode;
+        const startMs = startDate.getTime();
+        const binMs = binMinutes * 60000;
+        const binCount = Math.ceil((hours * 60) / binMinutes);
+
+        const bins = [];
+        for (let i = 0; i < binCount; i++) {
+            bins.push({ start: new Date(startMs + i * binMs), score: 0, conjunction: null, top: 0, maxPc: 0 });
+        }
+
+        (conjunctions || []).forEach(conjunction => {
+            const i = Math.floor((conjunction.tca - startMs) / binMs);
+            if (i < 0 || i >= binCount) return;
+
+            const bin = bins[i];
+            let contribution;
+
+            if (mode === 'pc') {
+                const pc = calculateCollisionProbability(conjunction.missDistance);
+                bin.maxPc = Math.max(bin.maxPc, pc);
+                contribution = pcToScore(pc);
+            } else {
+                if (conjunction.source !== 'debris') return;
+                contribution = getProximityContribution(conjunction.missDistance);
+                bin.score += contribution;
+            }
+
+            if (contribution > bin.top) {
+                bin.top = contribution;
+                bin.conjunction = conjunction;
+            }
+        });
+
+        bins.forEach(bin => {
+            bin.score = mode === 'pc' ? pcToScore(bin.maxPc) : Math.min(Math.round(bin.score), 100);
+            delete bin.top;
+            delete bin.maxPc;
+        });
+
+        // Local maxima, highest first
+        const peaks = bins
+            .filter((bin, i) => bin.score > 0 && bin.conjunction &&
+                (i === 0 || bin.score >= bins[i - 1].score) &&
+                (i === binCount - 1 || bin.score > bins[i + 1].score))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, FORECAST_MAX_PEAKS)
+            .map(bin => ({ score: bin.score, conjunction: bin.conjunction }));
+
+        lastForecast = {
+            start: startDate,
+            hours: hours,
+            binMinutes: binMinutes,
+            mode: mode,
+            bins: bins,
+            peaks: peaks
+        };
+
+        return lastForecast;
+    }
+
+    /**
+     * Draws the forecast as a bar timeline with labeled peaks and a marker
+     * for the current time
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object} forecast - From calculateForecast (defaults to the last one)
+     * @param {Date} now - Current simulation time
+     */
+    function drawForecast(canvas, forecast, now) {
+        if (!canvas) return;
+
+        try {
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+
+            const width = canvas.width;
+            const height = canvas.height;
+            const data = forecast || lastForecast;
+
+            ctx.clearRect(0, 0, width, height);
+
+            if (!data || data.bins.length === 0) {
+                ctx.fillStyle = '#606060';
+                ctx.font = '10px monospace';
+                ctx.textAlign = 'center';
+                ctx.fillText('Forecast pending', width / 2, height / 2);
+                return;
+            }
+
+            const padding = 5;
+            const axisHeight = 12;
+            const labelHeight = 12;
+            const graphWidth = width - padding * 2;
+            const graphHeight = height - padding - axisHeight - labelHeight;
+            const top = labelHeight;
+            const spanMs = data.hours * 3600000;
+            const startMs = data.start.getTime();
+            const toX = ms => padding + ((ms - startMs) / spanMs) * graphWidth;
+
+            // Status zones (same bands as the sparkline)
+            [[0, 0.14, 'rgba(255, 0, 85, 0.1)'], [0.14, 0.25, 'rgba(255, 136, 0, 0.05)'], [0.39, 0.30, 'rgba(255, 204, 0, 0.05)']]
+                .forEach(([offset, size, color]) => {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(padding, top + graphHeight * offset, graphWidth, graphHeight * size);
+                });
+
+            // Bars
+            const barWidth = Math.max(1, graphWidth / data.bins.length - 1);
+            data.bins.forEach(bin => {
+                if (bin.score <= 0) return;
+                const barHeight = (bin.score / 100) * graphHeight;
+                ctx.fillStyle = getSparklineColor(bin.score);
+                ctx.fillRect(toX(bin.start.getTime()), top + graphHeight - barHeight, barWidth, barHeight);
+            });
+
+            // Hour ticks every 6 h
+            ctx.fillStyle = '#606060';
+            ctx.font = '9px monospace';
+            ctx.textAlign = 'center';
+            for (let h = 6; h < data.hours; h += 6) {
+                const x = toX(startMs + h * 3600000);
+                ctx.fillRect(x, top + graphHeight, 1, 3);
+                ctx.fillText(`+${h}h`, x, height - 2);
+            }
+
+            // Peak labels
+            ctx.font = '9px monospace';
+            data.peaks.forEach(peak => {
+                const x = Math.min(Math.max(toX(peak.conjunction.tca.getTime()), padding + 30), width - padding - 30);
+                const label = peak.conjunction.name.length > 14 ? peak.conjunction.name.slice(0, 13) + '…' : peak.conjunction.name;
+                const barTop = top + graphHeight - (peak.score / 100) * graphHeight;
+                ctx.fillStyle = getSparklineColor(peak.score);
+                ctx.fillText(label, x, Math.max(labelHeight - 3, barTop - 3));
+            });
+
+            // Current time marker
+            if (now) {
+                const x = toX(now.getTime());
+                if (x >= padding && x <= width - padding) {
+                    ctx.fillStyle = '#00d4ff';
+                    ctx.fillRect(x, top, 1, graphHeight);
+                }
+            }
+        } catch (error) {
+            console.error('CTSEngine: Error drawing forecast', error);
+        }
+    }
+
+    // ==========================================
+    // 1g. FLEET ROLL-UP FUNCTION
+    // ==========================================
+    /**
+     * Scores every fleet asset in the current scoring mode. The fleet score is
+     * the worst asset's score. Does not touch the focused asset's history.
+     * @param {Array} assets - Array of {id, name, player (as calculateScore), conjunctions
+     *                         (upcoming, as calculatePcScore)}
+     * @param {Array} debrisObjects - As calculateScore (proximity mode)
+     * @returns {Object} {score, status, mode, counts {NOMINAL, ELEVATED, WARNING, CRITICAL},
+     *                   assets: [{id, name, score, status, threatCount, topThreat, maxPc}]}
+     */
+    function calculateFleetScore(assets, debrisObjects) {
+        const counts = { NOMINAL: 0, ELEVATED: 0, WARNING: 0, CRITICAL: 0 };
+
+        const rows = (assets || []).map(asset => {
+            const result = scoringMode === 'pc'
+                ? evaluatePc(asset.conjunctions)
+                : evaluateProximity(asset.player, debrisObjects);
+            const status = getScoreStatus(result.score);
+            counts[status]++;
+
+            return {
+                id: asset.id,
+                name: asset.name,
+                score: result.score,
+                status: status,
+                threatCount: result.threats.filter(threat => threat.scored).length,
+                topThreat: result.threats.find(threat => threat.scored) || null,
+                maxPc: scoringMode === 'pc' ? result.maxPc : null
+            };
+        });
+
+        const score = rows.reduce((max, row) => Math.max(max, row.score), 0);
+
+        lastFleet = {
+            score: score,
+            status: getScoreStatus(score),
+            mode: scoringMode,
+            counts: counts,
+            assets: rows
+        };
+        return lastFleet;
     }
 
     // ==========================================
@@ -306,13 +809,26 @@ const CTSEngine = (function () {
     // 5. GET CLOSEST THREATS FUNCTION
     // ==========================================
     /**
-     * Returns details of closest threats
-     * @returns {Array} Array of threat objects {index, distance, threat}
+     * Returns details of closest threats (closest first in proximity mode,
+     * highest Pc first in Pc mode)
+     * @returns {Array} Array of threat objects {index, name, noradId, source, distance,
+     *                  relativeSpeed, rangeRate, closing, missDistance, tca, threat,
+     *                  contribution, pc (Pc mode only)}
      */
     function getClosestThreats() {
         return lastThreats;
     }
 
+    /**
+     * Returns the closing threat with the earliest closest approach
+     * @returns {Object|null} Threat object (see getClosestThreats) or null
+     */
+    function getNextApproach() {
+        return lastThreats
+            .filter(threat => threat.closing && threat.tca)
+            .reduce((next, threat) => (!next || threat.tca < next.tca ? threat : next), null);
+    }
+
     // ==========================================
     // 6. SET FORCE SCORE FUNCTION (Demo Override)
     // ==========================================
@@ -339,9 +855,20 @@ const CTSEngine = (function () {
     function resetHistory() {
         historicalScores = [];
         lastThreats = [];
+        lastMaxPc = 0;
         console.log('CTSEngine: History reset');
     }
 
+    /**
+     * Replaces the sparkline history (resumed session)
+     * @param {Array} scores - Saved scores, oldest first
+     */
+    function restoreHistory(scores) {
+        historicalScores = (scores || [])
+            .filter(score => typeof score === 'number' && isFinite(score))
+            .slice(-MAX_HISTORY);
+    }
+
     // ==========================================
     // 8. GET THREAT DESCRIPTION FUNCTION
     // ==========================================
@@ -354,18 +881,39 @@ const CTSEngine = (function () {
             return 'No immediate threats detected.';
         }
 
+        if (scoringMode === 'pc') {
+            const top = lastThreats[0];
+            const pcText = top.pc.toExponential(1);
+            const tcaText = top.tca ? top.tca.toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : 'unknown';
+            if (top.pc >= PC_MANEUVER_THRESHOLD) {
+                return `MANEUVER THRESHOLD EXCEEDED: Pc <strong>${pcText}</strong> with ${top.name} (miss ${top.distance.toFixed(2)} km, TCA ${tcaText}).`;
+            }
+            return `Highest Pc <strong>${pcText}</strong> with ${top.name} (miss ${top.distance.toFixed(2)} km, TCA ${tcaText}). Threshold ${PC_MANEUVER_THRESHOLD.toExponential(0)}.`;
+        }
+
         const closest = lastThreats[0];
         const distanceKm = closest.distance.toFixed(1);
         const count = lastThreats.length;
+        const label = `${closest.name} (NORAD ${closest.noradId})`;
+        const closingCount = lastThreats.filter(threat => threat.closing).length;
+
+        // Range rate is unknown only when velocities were not supplied
+        let motion = '';
+        if (closest.rangeRate !== null) {
+            motion = closest.closing
+                ? `, closing at ${(-closest.rangeRate).toFixed(2)} km/s (predicted miss ${closest.missDistance.toFixed(1)} km)`
+                : ', separating';
+        }
 
         if (closest.distance < EXTREME_RADIUS) {
-            return `EXTREME DANGER: Debris at <strong>${distanceKm} km</strong>. Immediate action required!`;
+            return `EXTREME DANGER: ${label} at <strong>${distanceKm} km</strong>${motion}. Immediate action required!`;
         } else if (closest.distance < CRITICAL_RADIUS) {
-            return `CRITICAL: Debris fragment at <strong>${distanceKm} km</strong> proximity. Collision risk imminent.`;
+            return `CRITICAL: ${label} at <strong>${distanceKm} km</strong> proximity${motion}.` +
+                (closest.closing ? ' Collision risk imminent.' : '');
         } else if (closest.distance < 50) {
-            return `WARNING: ${count} object(s) within 50 km. Closest at <strong>${distanceKm} km</strong>.`;
+            return `WARNING: ${count} object(s) within 50 km, ${closingCount} closing. Closest: ${label} at <strong>${distanceKm} km</strong>${motion}.`;
         } else {
-            return `ELEVATED: ${count} object(s) within danger zone. Closest at <strong>${distanceKm} km</strong>.`;
+            return `ELEVATED: ${count} object(s) within danger zone, ${closingCount} closing. Closest: ${label} at <strong>${distanceKm} km</strong>${motion}.`;
         }
     }
 
@@ -389,8 +937,10 @@ const CTSEngine = (function () {
             current: currentScore,
             average: avgScore.toFixed(1),
             maximum: maxScore,
-            threatsInRange: lastThreats.length,
-            historyLength: historicalScores.length
+            threatsInRange: lastThreats.filter(threat => threat.scored).length,
+            historyLength: historicalScores.length,
+            mode: scoringMode,
+            maxPc: lastMaxPc
         };
     }
 
@@ -398,25 +948,38 @@ const CTSEngine = (function () {
     // 10. CALCULATE COLLISION TIME ESTIMATE
     // ==========================================
     /**
-     * Estimates time to potential collision (simplified)
-     * @param {number} distance - Distance in km
-     * @param {number} relativeVelocity - Relative velocity in km/s (default 1 km/s)
-     * @returns {string} Time estimate string
+     * Estimates the closest approach from a relative state (object minus
+     * player), assuming straight-line relative motion. That holds for the
+     * tens of seconds a danger-zone encounter lasts at LEO closing speeds;
+     * screening (OrbitalPropagator.screenConjunctions) covers longer horizons.
+     * @param {Object} relativePosition - {x, y, z} in km
+     * @param {Object} relativeVelocity - {x, y, z} in km/s
+     * @returns {Object} {relativeSpeed (km/s), rangeRate (km/s, negative when closing),
+     *                   closing, timeToTca (s, 0 unless closing), missDistance (km)}
      */
-    function estimateCollisionTime(distance, relativeVelocity = 1.0) {
-        if (distance > DANGER_RADIUS) {
-            return 'N/A';
-        }
+    function estimateCollisionTime(relativePosition, relativeVelocity) {
+        const r = relativePosition;
+        const v = relativeVelocity;
 
-        const timeSeconds = distance / relativeVelocity;
+        const range = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+        const speedSq = v.x * v.x + v.y * v.y + v.z * v.z;
+        const radialDot = r.x * v.x + r.y * v.y + r.z * v.z;
 
-        if (timeSeconds < 60) {
-            return `${Math.round(timeSeconds)} seconds`;
-        } else if (timeSeconds < 3600) {
-            return `${Math.round(timeSeconds / 60)} minutes`;
-        } else {
-            return `${(timeSeconds / 3600).toFixed(1)} hours`;
-        }
+        const rangeRate = range > 0 ? radialDot / range : 0;
+        const closing = rangeRate < 0 && speedSq > 0;
+        const timeToTca = closing ? -radialDot / speedSq : 0;
+
+        const mx = r.x + v.x * timeToTca;
+        const my = r.y + v.y * timeToTca;
+        const mz = r.z + v.z * timeToTca;
+
+        return {
+            relativeSpeed: Math.sqrt(speedSq),
+            rangeRate: rangeRate,
+            closing: closing,
+            timeToTca: timeToTca,
+            missDistance: Math.sqrt(mx * mx + my * my + mz * mz)
+        };
     }
 
     // ==========================================
@@ -425,21 +988,41 @@ const CTSEngine = (function () {
     return {
         // Core functions
         calculateScore: calculateScore,
+        calculatePcScore: calculatePcScore,
+        getProximityContribution: getProximityContribution,
+        getObjectContribution: getObjectContribution,
+        calculateCollisionProbability: calculateCollisionProbability,
+        pcToScore: pcToScore,
         getScoreStatus: getScoreStatus,
         getScoreColor: getScoreColor,
         drawSparkline: drawSparkline,
 
         // Threat analysis
         getClosestThreats: getClosestThreats,
+        getNextApproach: getNextApproach,
         getThreatDescription: getThreatDescription,
         estimateCollisionTime: estimateCollisionTime,
 
+        // Forecast
+        calculateForecast: calculateForecast,
+        drawForecast: drawForecast,
+        getForecast: function () { return lastForecast; },
+
+        // Fleet roll-up
+        calculateFleetScore: calculateFleetScore,
+        getFleetScore: function () { return lastFleet; },
+
         // Statistics
         getStatistics: getStatistics,
 
+        // Scoring mode
+        setScoringMode: setScoringMode,
+        getScoringMode: function () { return scoringMode; },
+
         // Demo controls
         setForceScore: setForceScore,
         resetHistory: resetHistory,
+        restoreHistory: restoreHistory,
 
         // Configuration getters
         getConfig: function () {
@@ -447,7 +1030,10 @@ const CTSEngine = (function () {
                 dangerRadius: DANGER_RADIUS,
                 criticalRadius: CRITICAL_RADIUS,
                 extremeRadius: EXTREME_RADIUS,
-                maxHistory: MAX_HISTORY
+                maxHistory: MAX_HISTORY,
+                hardBodyRadius: HARD_BODY_RADIUS_KM,
+                positionSigma: POSITION_SIGMA_KM,
+                pcManeuverThreshold: PC_MANEUVER_THRESHOLD
             };
         },
 
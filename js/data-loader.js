@@ -1,11 +1,43 @@
 // ============================================
 // DATA LOADER MODULE
-// Handles TLE parsing and file loading
+// Handles TLE / CCSDS OMM parsing and file loading
 // ============================================
 
 const DataLoader = (function () {
     'use strict';
 
+    // OMM fields required to build a TLE (TLE mean elements, SGP4 theory)
+    const OMM_REQUIRED_FIELDS = [
+        'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION',
+        'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID'
+    ];
+
+    // Alpha-5 leading characters for catalog numbers 100000-339999 (I and O are skipped)
+    const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+    // TLE validation limits
+    const TLE_STALE_DAYS = 30;     // Warn when the epoch is older than this
+    const MAX_MEAN_MOTION = 20;    // rev/day; nothing bound survives much above ~17
+
+    // OMM keyword behind each TLE field checkTLE reports on, by "line:column"
+    const OMM_TLE_FIELDS = {
+        '1:3': 'NORAD_CAT_ID',
+        '1:8': 'CLASSIFICATION_TYPE',
+        '1:19': 'EPOCH',
+        '1:21': 'EPOCH',
+        '1:34': 'MEAN_MOTION_DOT',
+        '1:45': 'MEAN_MOTION_DDOT',
+        '1:54': 'BSTAR',
+        '2:3': 'NORAD_CAT_ID',
+        '2:9': 'INCLINATION',
+        '2:18': 'RA_OF_ASC_NODE',
+        '2:27': 'ECCENTRICITY',
+        '2:35': 'ARG_OF_PERICENTER',
+        '2:44': 'MEAN_ANOMALY',
+        '2:53': 'MEAN_MOTION',
+        '2:64': 'REV_AT_EPOCH'
+    };
+
     // ==========================================
     // 1. PARSE TLE FUNCTION
     // ==========================================
@@ -58,12 +90,393 @@ const DataLoader = (function () {
         return satellites;
     }
 
+    // ==========================================
+    // 1b. DETECT FORMAT FUNCTION
+    // ==========================================
+    /**
+     * Guesses the element-set format of a text blob
+     * @param {string} text - Raw catalog text
+     * @returns {string} 'omm-json', 'omm-xml', 'omm-kvn' or 'tle'
+     */
+    function detectFormat(text) {
+        const trimmed = (text || '').trim();
+
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return 'omm-json';
+        }
+        if (trimmed.startsWith('<')) {
+            return 'omm-xml';
+        }
+        if (/^\s*(CCSDS_OMM_VERS|OBJECT_NAME|MEAN_MOTION)\s*=/m.test(trimmed)) {
+            return 'omm-kvn';
+        }
+        return 'tle';
+    }
+
+    // ==========================================
+    // 1c. PARSE OMM FUNCTIONS (JSON / XML / KVN)
+    // ==========================================
+    /**
+     * Parses OMM JSON (a single message or an array, e.g. CelesTrak/Space-Track output)
+     * @param {string} text - Raw JSON
+     * @returns {Array} Array of OMM field maps (upper-case keys)
+     */
+    function parseOMMJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            console.warn('DataLoader: Invalid OMM JSON', error.message);
+            return [];
+        }
+
+        const messages = Array.isArray(parsed) ? parsed : [parsed];
+
+        return messages
+            .filter(message => message && typeof message === 'object')
+            .map(message => {
+                const fields = {};
+                Object.keys(message).forEach(key => {
+                    fields[key.toUpperCase()] = message[key];
+                });
+                return fields;
+            });
+    }
+
+    /**
+     * Parses OMM XML (one <omm> or an <ndm> wrapping several)
+     * @param {string} text - Raw XML
+     * @returns {Array} Array of OMM field maps
+     */
+    function parseOMMXML(text) {
+        const blocks = text.match(/<omm[\s>][\s\S]*?<\/omm>/gi) || [text];
+
+        return blocks.map(block => {
+            const fields = {};
+            const leafPattern = /<([A-Za-z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+            let match;
+
+            while ((match = leafPattern.exec(block)) !== null) {
+                fields[match[1].toUpperCase()] = decodeXmlEntities(match[2].trim());
+            }
+
+            return fields;
+        }).filter(fields => Object.keys(fields).length > 0);
+    }
+
+    /**
+     * Parses OMM KVN (KEY = value lines; each CCSDS_OMM_VERS starts a new message)
+     * @param {string} text - Raw KVN
+     * @returns {Array} Array of OMM field maps
+     */
+    function parseOMMKVN(text) {
+        const messages = [];
+        let fields = null;
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('COMMENT')) {
+                return;
+            }
+
+            const match = line.match(/^([A-Z0-9_]+)\s*=\s*(.*?)\s*(?:\[[^\]]*\])?$/i);
+            if (!match) {
+                return;
+            }
+
+            const key = match[1].toUpperCase();
+            if (key === 'CCSDS_OMM_VERS' || !fields || (key === 'OBJECT_NAME' && fields.OBJECT_NAME !== undefined)) {
+                fields = {};
+                messages.push(fields);
+            }
+
+            fields[key] = match[2];
+        });
+
+        return messages;
+    }
+
+    /**
+     * Helper: Decode the predefined XML entities
+     */
+    function decodeXmlEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // ==========================================
+    // 1d. OMM TO TLE FUNCTION
+    // ==========================================
+    /**
+     * Converts OMM mean elements to the {name, tle1, tle2} record
+     * OrbitalPropagator.initSatellites consumes
+     * @param {Object} omm - OMM field map (upper-case keys)
+     * @returns {Object} {record: {name, tle1, tle2}|null, error: string|null}
+     */
+    function convertOMM(omm) {
+        const missing = OMM_REQUIRED_FIELDS.filter(field =>
+            omm[field] === undefined || omm[field] === null || String(omm[field]).trim() === '');
+        if (missing.length > 0) {
+            return { record: null, error: `OMM is missing ${missing.join(', ')}` };
+        }
+
+        const theory = String(omm.MEAN_ELEMENT_THEORY || 'SGP4').toUpperCase();
+        if (theory !== 'SGP4' && theory !== 'SGP/SGP4') {
+            return { record: null, error: `OMM mean element theory ${theory} is not supported (SGP4 required)` };
+        }
+
+        const noradId = parseInt(omm.NORAD_CAT_ID, 10);
+        const satnum = encodeCatalogNumber(noradId);
+        if (!satnum) {
+            return { record: null, error: `NORAD_CAT_ID ${omm.NORAD_CAT_ID} cannot be represented in a TLE` };
+        }
+
+        const epoch = parseOMMEpoch(String(omm.EPOCH));
+        if (epoch === null) {
+            return { record: null, error: `Invalid OMM EPOCH "${omm.EPOCH}"` };
+        }
+
+        const number = (field, fallback = 0) => {
+            const value = omm[field] !== undefined ? parseFloat(omm[field]) : fallback;
+            return isFinite(value) ? value : NaN;
+        };
+
+        const elements = {
+            meanMotion: number('MEAN_MOTION'),
+            eccentricity: number('ECCENTRICITY'),
+            inclination: number('INCLINATION'),
+            raan: number('RA_OF_ASC_NODE'),
+            argPerigee: number('ARG_OF_PERICENTER'),
+            meanAnomaly: number('MEAN_ANOMALY'),
+            bstar: number('BSTAR'),
+            ndot: number('MEAN_MOTION_DOT'),
+            nddot: number('MEAN_MOTION_DDOT')
+        };
+
+        const invalid = Object.keys(elements).filter(key => isNaN(elements[key]));
+        if (invalid.length > 0) {
+            return { record: null, error: `OMM has non-numeric ${invalid.join(', ')}` };
+        }
+
+        const classification = String(omm.CLASSIFICATION_TYPE || 'U').charAt(0).toUpperCase();
+        const designator = formatDesignator(omm.OBJECT_ID);
+        const ephemerisType = String(omm.EPHEMERIS_TYPE !== undefined ? omm.EPHEMERIS_TYPE : 0).charAt(0);
+        const elementSet = (parseInt(omm.ELEMENT_SET_NO, 10) || 999) % 10000;
+        const revolutions = (parseInt(omm.REV_AT_EPOCH, 10) || 0) % 100000;
+
+        const line1 = '1 ' + satnum + classification + ' ' +
+            designator + ' ' +
+            formatEpoch(epoch) + ' ' +
+            formatMeanMotionDot(elements.ndot) + ' ' +
+            formatExponent(elements.nddot) + ' ' +
+            formatExponent(elements.bstar) + ' ' +
+            ephemerisType + ' ' +
+            String(elementSet).padStart(4, ' ');
+
+        const line2 = '2 ' + satnum + ' ' +
+            formatAngle(elements.inclination) + ' ' +
+            formatAngle(elements.raan) + ' ' +
+            String(Math.round(elements.eccentricity * 1e7)).padStart(7, '0') + ' ' +
+            formatAngle(elements.argPerigee) + ' ' +
+            formatAngle(elements.meanAnomaly) + ' ' +
+            elements.meanMotion.toFixed(8).padStart(11, ' ') +
+            String(revolutions).padStart(5, ' ');
+
+        const name = omm.OBJECT_NAME ? String(omm.OBJECT_NAME).trim() : `NORAD ${noradId}`;
+
+        return {
+            record: {
+                name: name,
+                tle1: line1 + tleChecksum(line1),
+                tle2: line2 + tleChecksum(line2)
+            },
+            error: null
+        };
+    }
+
+    /**
+     * Converts OMM mean elements to a {name, tle1, tle2} record
+     * @param {Object} omm - OMM field map
+     * @returns {Object|null} Record or null if the OMM cannot be converted
+     */
+    function ommToTLE(omm) {
+        const result = convertOMM(omm);
+        if (result.error) {
+            console.warn(`DataLoader: ${result.error}`, omm.OBJECT_NAME || '');
+        }
+        return result.record;
+    }
+
+    /**
+     * Helper: 5-character TLE catalog number (Alpha-5 above 99999)
+     * @returns {string|null} Encoded number or null if out of range
+     */
+    function encodeCatalogNumber(noradId) {
+        if (!isFinite(noradId) || noradId < 0) {
+            return null;
+        }
+        if (noradId < 100000) {
+            return String(noradId).padStart(5, '0');
+        }
+
+        const letterIndex = Math.floor(noradId / 10000) - 10;
+        if (letterIndex >= ALPHA5_LETTERS.length) {
+            return null;
+        }
+        return ALPHA5_LETTERS.charAt(letterIndex) + String(noradId % 10000).padStart(4, '0');
+    }
+
+    /**
+     * Helper: Parse an OMM epoch (ISO 8601 or YYYY-DDDThh:mm:ss, UTC)
+     * @returns {number|null} Epoch in milliseconds, keeping sub-millisecond
+     *                        precision that a Date would truncate
+     */
+    function parseOMMEpoch(value) {
+        let text = value.trim();
+
+        // Day-of-year form: 2025-276T11:58:27.67
+        const doy = text.match(/^(\d{4})-(\d{3})(T.*)$/);
+        if (doy) {
+            const base = parseOMMEpoch(`${doy[1]}-01-01${doy[3]}`);
+            return base === null ? null : base + (parseInt(doy[2], 10) - 1) * 86400000;
+        }
+
+        if (!/[zZ]|[+-]\d\d:?\d\d$/.test(text)) {
+            text += 'Z';
+        }
+
+        const fraction = text.match(/\.(\d+)/);
+        const date = new Date(text.replace(/\.(\d+)/, ''));
+        if (isNaN(date)) {
+            return null;
+        }
+        return date.getTime() + (fraction ? parseFloat('0.' + fraction[1]) * 1000 : 0);
+    }
+
+    /**
+     * Helper: TLE epoch field YYDDD.DDDDDDDD
+     * @param {number} epochMs - Epoch in milliseconds
+     */
+    function formatEpoch(epochMs) {
+        const year = new Date(epochMs).getUTCFullYear();
+        const dayOfYear = (epochMs - Date.UTC(year, 0, 1)) / 86400000 + 1;
+        return String(year % 100).padStart(2, '0') + dayOfYear.toFixed(8).padStart(12, '0');
+    }
+
+    /**
+     * Helper: International designator YYNNNPPP from an OBJECT_ID like 1998-067A
+     */
+    function formatDesignator(objectId) {
+        const match = String(objectId || '').trim().match(/^\d{2}(\d{2})-(\d{3})([A-Z]{0,3})$/i);
+        return match ? (match[1] + match[2] + match[3].toUpperCase()).padEnd(8, ' ') : '        ';
+    }
+
+    /**
+     * Helper: First derivative of mean motion field, e.g. " .00013095"
+     */
+    function formatMeanMotionDot(value) {
+        const clamped = Math.min(Math.abs(value), 0.99999999);
+        return (value < 0 ? '-' : ' ') + clamped.toFixed(8).substring(1);
+    }
+
+    /**
+     * Helper: Assumed-decimal exponent field, e.g. 0.00023997 -> " 23997-3"
+     */
+    function formatExponent(value) {
+        if (value === 0) {
+            return ' 00000+0';
+        }
+
+        let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+        let mantissa = Math.round(Math.abs(value) / Math.pow(10, exponent) * 1e5);
+        if (mantissa >= 100000) {
+            mantissa = 10000;
+            exponent += 1;
+        }
+        exponent = Math.max(-9, Math.min(exponent, 9));
+
+        return (value < 0 ? '-' : ' ') +
+            String(mantissa).padStart(5, '0') +
+            (exponent < 0 ? '-' : '+') +
+            Math.abs(exponent);
+    }
+
+    /**
+     * Helper: Angle field in degrees, 8 characters with 4 decimals
+     */
+    function formatAngle(value) {
+        const normalized = ((value % 360) + 360) % 360;
+        return normalized.toFixed(4).padStart(8, ' ');
+    }
+
+    /**
+     * Helper: TLE mod-10 checksum of the first 68 characters
+     * (digits count as their value, '-' as 1, everything else as 0)
+     * @param {string} line - TLE line (68 or 69 characters)
+     * @returns {number} Checksum digit
+     */
+    function tleChecksum(line) {
+        let sum = 0;
+        for (let i = 0; i < Math.min(line.length, 68); i++) {
+            const ch = line.charAt(i);
+            if (ch >= '0' && ch <= '9') {
+                sum += ch.charCodeAt(0) - 48;
+            } else if (ch === '-') {
+                sum += 1;
+            }
+        }
+        return sum % 10;
+    }
+
+    // ==========================================
+    // 1e. PARSE CATALOG FUNCTION
+    // ==========================================
+    /**
+     * Parses TLE or OMM (JSON/XML/KVN) text into {name, tle1, tle2} records
+     * @param {string} text - Raw catalog text
+     * @param {string} format - Optional format override (see detectFormat)
+     * @returns {Array} Array of {name, tle1, tle2} objects
+     */
+    function parseCatalog(text, format) {
+        if (!text || typeof text !== 'string') {
+            console.warn('DataLoader: Invalid catalog text provided');
+            return [];
+        }
+
+        const detected = format || detectFormat(text);
+        if (detected === 'tle') {
+            return parseTLE(text);
+        }
+
+        const messages = parseOMMMessages(text, detected);
+        const satellites = messages.map(ommToTLE).filter(record => record !== null);
+
+        console.log(`DataLoader: Parsed ${satellites.length} of ${messages.length} OMM records (${detected})`);
+        return satellites;
+    }
+
+    /**
+     * Helper: Dispatch to the OMM parser for a detected format
+     */
+    function parseOMMMessages(text, format) {
+        switch (format) {
+            case 'omm-json': return parseOMMJSON(text);
+            case 'omm-xml': return parseOMMXML(text);
+            case 'omm-kvn': return parseOMMKVN(text);
+            default: return [];
+        }
+    }
+
     // ==========================================
     // 2. LOAD TLE FILE FUNCTION
     // ==========================================
     /**
-     * Loads and parses a TLE file from local path
-     * @param {string} filePath - Path to TLE file (e.g., 'data/active.txt')
+     * Loads and parses a TLE or OMM file from local path (format auto-detected)
+     * @param {string} filePath - Path to TLE/OMM file (e.g., 'data/active.txt')
      * @param {Function} callback - Callback(error, satellites)
      */
     function loadTLEFile(filePath, callback) {
@@ -77,7 +490,7 @@ const DataLoader = (function () {
                 return response.text();
             })
             .then(tleText => {
-                const satellites = parseTLE(tleText);
+                const satellites = parseCatalog(tleText);
                 console.log(`DataLoader: Successfully loaded ${satellites.length} satellites from ${filePath}`);
                 callback(null, satellites);
             })
@@ -142,98 +555,330 @@ const DataLoader = (function () {
     // 4. VALIDATE TLE INPUT FUNCTION
     // ==========================================
     /**
-     * Validates user-pasted TLE input from textarea
+     * Validates user-pasted TLE or OMM (JSON/XML/KVN) input from textarea
      * @param {string} inputText - User input text
-     * @returns {Object} {valid: boolean, satellite: object|null, error: string|null}
+     * @returns {Object} {valid: boolean, satellite: object|null, error: string|null,
+     *                   diagnostics: Array of {line, column, severity, message} against the raw input}
      */
     function validateTLEInput(inputText) {
         // Check for empty input
         if (!inputText || inputText.trim().length === 0) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'Please paste TLE data into the input field.'
-            };
+            return invalidInput('Please paste TLE or OMM data into the input field.');
         }
 
-        const lines = inputText.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
+        const format = detectFormat(inputText);
+        if (format !== 'tle') {
+            return validateOMMInput(inputText, format);
+        }
+
+        // Keep raw line numbers and indentation so diagnostics point at the textarea
+        const lines = [];
+        inputText.split('\n').forEach((raw, index) => {
+            const text = raw.trim();
+            if (text.length > 0) {
+                lines.push({ text: text, number: index + 1, offset: raw.length - raw.replace(/^\s+/, '').length });
+            }
+        });
 
         // Need at least 2 lines (TLE1 and TLE2), name is optional
         if (lines.length < 2) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'TLE data must contain at least 2 lines (Line 1 and Line 2).'
-            };
+            return invalidInput('TLE data must contain at least 2 lines (Line 1 and Line 2).');
         }
 
         // Find line 1 (starts with "1 ")
-        let line1Index = lines.findIndex(line => line.startsWith('1 '));
+        const line1Index = lines.findIndex(line => line.text.startsWith('1 '));
 
         if (line1Index === -1) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'TLE Line 1 not found. Line 1 must start with "1 " followed by catalog number.'
-            };
+            return invalidInput('TLE Line 1 not found. Line 1 must start with "1 " followed by catalog number.');
         }
 
         // Check if line 2 follows immediately
         if (line1Index + 1 >= lines.length) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'TLE Line 2 is missing. Line 2 must follow Line 1.'
-            };
+            return invalidInput('TLE Line 2 is missing. Line 2 must follow Line 1.', [
+                { line: lines[line1Index].number + 1, column: 1, severity: 'error', message: 'TLE Line 2 is missing' }
+            ]);
         }
 
+        const line1 = lines[line1Index];
         const line2 = lines[line1Index + 1];
-        if (!line2.startsWith('2 ')) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'TLE Line 2 is invalid. Line 2 must start with "2 " followed by catalog number.'
-            };
+        if (!line2.text.startsWith('2 ')) {
+            return invalidInput('TLE Line 2 is invalid. Line 2 must start with "2 " followed by catalog number.', [
+                { line: line2.number, column: line2.offset + 1, severity: 'error', message: 'Line 2 must start with "2 "' }
+            ]);
         }
 
-        // Extract name (line before line1, if exists)
+        // Extract name (line before line1, if exists; 3LE files prefix it with "0 ")
         let name = 'USER SATELLITE';
         if (line1Index > 0) {
-            name = lines[line1Index - 1];
+            name = lines[line1Index - 1].text.replace(/^0 /, '');
         }
 
-        // Validate TLE line format (basic check)
-        const line1 = lines[line1Index];
-        if (line1.length < 69) {
+        // Field-level checks, mapped back to textarea line/column
+        const diagnostics = checkTLE(line1.text, line2.text).map(diagnostic => {
+            const source = diagnostic.tleLine === 1 ? line1 : line2;
             return {
-                valid: false,
-                satellite: null,
-                error: 'TLE Line 1 is too short. Standard TLE Line 1 should be 69 characters.'
+                line: source.number,
+                column: source.offset + diagnostic.column,
+                severity: diagnostic.severity,
+                message: diagnostic.message
             };
-        }
+        });
 
-        if (line2.length < 69) {
-            return {
-                valid: false,
-                satellite: null,
-                error: 'TLE Line 2 is too short. Standard TLE Line 2 should be 69 characters.'
-            };
+        const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        if (errors.length > 0) {
+            const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+            return invalidInput(`${formatDiagnostic(errors[0])}${more}`, diagnostics);
         }
 
         // Validation passed!
         console.log(`DataLoader: TLE validation successful for ${name}`);
+        diagnostics.forEach(diagnostic => console.warn(`DataLoader: ${formatDiagnostic(diagnostic)}`));
 
         return {
             valid: true,
             satellite: {
                 name: name.trim(),
-                tle1: line1.trim(),
-                tle2: line2.trim()
+                tle1: line1.text,
+                tle2: line2.text
             },
-            error: null
+            error: null,
+            diagnostics: diagnostics
+        };
+    }
+
+    /**
+     * Helper: Failed validation result
+     */
+    function invalidInput(error, diagnostics = []) {
+        return {
+            valid: false,
+            satellite: null,
+            error: error,
+            diagnostics: diagnostics
+        };
+    }
+
+    /**
+     * Helper: "Line 3, column 69: ..." for a diagnostic
+     */
+    function formatDiagnostic(diagnostic) {
+        return `Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+    }
+
+    // ==========================================
+    // 4b. CHECK TLE FUNCTION
+    // ==========================================
+    /**
+     * Checks the fixed-width fields of a TLE: checksums, matching catalog
+     * numbers (including Alpha-5), numeric ranges and epoch age
+     * @param {string} tle1 - Line 1 (trimmed)
+     * @param {string} tle2 - Line 2 (trimmed)
+     * @param {Object} options - {now (Date), staleDays}
+     * @returns {Array} Array of {tleLine (1|2), column (1-based), severity ('error'|'warning'), message}
+     */
+    function checkTLE(tle1, tle2, options = {}) {
+        const now = options.now || new Date();
+        const staleDays = options.staleDays || TLE_STALE_DAYS;
+        const diagnostics = [];
+
+        const report = (tleLine, column, severity, message) => {
+            diagnostics.push({ tleLine: tleLine, column: column, severity: severity, message: message });
+        };
+        const field = (line, from, to) => line.substring(from - 1, to);
+
+        // Length (69 columns, column 69 is the checksum)
+        [tle1, tle2].forEach((line, i) => {
+            if (line.length < 69) {
+                report(i + 1, line.length + 1, 'error', `Line ${i + 1} is ${line.length} characters, expected 69`);
+            } else if (line.length > 69) {
+                report(i + 1, 70, 'error', `Line ${i + 1} has ${line.length - 69} extra character(s) after column 69`);
+            }
+        });
+        if (diagnostics.length > 0) {
+            return diagnostics;
+        }
+
+        // Checksums
+        [tle1, tle2].forEach((line, i) => {
+            const expected = tleChecksum(line);
+            const actual = line.charAt(68);
+            if (!/\d/.test(actual)) {
+                report(i + 1, 69, 'error', `Checksum must be a digit (expected ${expected})`);
+            } else if (parseInt(actual, 10) !== expected) {
+                report(i + 1, 69, 'error', `Checksum mismatch: found ${actual}, expected ${expected}`);
+            }
+        });
+
+        // Catalog numbers (5 digits or Alpha-5) and agreement between lines
+        const catalog1 = decodeCatalogNumber(field(tle1, 3, 7));
+        const catalog2 = decodeCatalogNumber(field(tle2, 3, 7));
+        if (catalog1 === null) {
+            report(1, 3, 'error', `Invalid catalog number "${field(tle1, 3, 7)}" (5 digits or Alpha-5, letters I and O not allowed)`);
+        }
+        if (catalog2 === null) {
+            report(2, 3, 'error', `Invalid catalog number "${field(tle2, 3, 7)}" (5 digits or Alpha-5, letters I and O not allowed)`);
+        }
+        if (catalog1 !== null && catalog2 !== null && catalog1 !== catalog2) {
+            report(2, 3, 'error', `Catalog number ${catalog2} does not match Line 1 (${catalog1})`);
+        }
+
+        if (!/[UCS]/.test(tle1.charAt(7))) {
+            report(1, 8, 'warning', `Unknown classification "${tle1.charAt(7)}" (expected U, C or S)`);
+        }
+
+        // Epoch YYDDD.DDDDDDDD
+        const epochText = field(tle1, 19, 32);
+        if (!/^\d{5}\.\d{8}$/.test(epochText)) {
+            report(1, 19, 'error', `Epoch "${epochText}" must be YYDDD.DDDDDDDD`);
+        } else {
+            const yy = parseInt(epochText.substring(0, 2), 10);
+            const dayOfYear = parseFloat(epochText.substring(2));
+            const year = yy < 57 ? 2000 + yy : 1900 + yy;
+
+            if (dayOfYear < 1 || dayOfYear >= 367) {
+                report(1, 21, 'error', `Epoch day of year ${dayOfYear} is out of range (1-366)`);
+            } else {
+                const epoch = new Date(Date.UTC(year, 0, 1) + (dayOfYear - 1) * 86400000);
+                const ageDays = (now - epoch) / 86400000;
+
+                if (ageDays > staleDays) {
+                    report(1, 19, 'warning', `Epoch ${epoch.toISOString().slice(0, 10)} is ${Math.floor(ageDays)} days old; SGP4 accuracy degrades quickly`);
+                } else if (ageDays < -1) {
+                    report(1, 19, 'warning', `Epoch ${epoch.toISOString().slice(0, 10)} is in the future`);
+                }
+            }
+        }
+
+        // Drag terms
+        if (!/^[ +-]\.\d{8}$/.test(field(tle1, 34, 43))) {
+            report(1, 34, 'error', `First derivative of mean motion "${field(tle1, 34, 43)}" must look like " .00012345"`);
+        }
+        if (!/^[ +-]\d{5}[+-]\d$/.test(field(tle1, 45, 52))) {
+            report(1, 45, 'error', `Second derivative of mean motion "${field(tle1, 45, 52)}" must look like " 00000+0"`);
+        }
+        if (!/^[ +-]\d{5}[+-]\d$/.test(field(tle1, 54, 61))) {
+            report(1, 54, 'error', `BSTAR "${field(tle1, 54, 61)}" must look like " 12345-4"`);
+        }
+
+        // Line 2 angles, eccentricity and mean motion
+        const checkRange = (from, to, label, min, max, maxInclusive) => {
+            const text = field(tle2, from, to);
+            const value = parseFloat(text);
+
+            if (!/^\s*\d+(\.\d+)?$/.test(text) || isNaN(value)) {
+                report(2, from, 'error', `${label} "${text.trim()}" is not a number`);
+            } else if (value < min || (maxInclusive ? value > max : value >= max)) {
+                report(2, from, 'error', `${label} ${value} is out of range (${min}-${max})`);
+            }
         };
+
+        checkRange(9, 16, 'Inclination', 0, 180, true);
+        checkRange(18, 25, 'Right ascension of the ascending node', 0, 360, false);
+        checkRange(35, 42, 'Argument of perigee', 0, 360, false);
+        checkRange(44, 51, 'Mean anomaly', 0, 360, false);
+
+        if (!/^\d{7}$/.test(field(tle2, 27, 33))) {
+            report(2, 27, 'error', `Eccentricity "${field(tle2, 27, 33)}" must be 7 digits with an implied leading decimal point`);
+        }
+
+        const meanMotionText = field(tle2, 53, 63);
+        const meanMotion = parseFloat(meanMotionText);
+        if (!/^\s*\d+\.\d+$/.test(meanMotionText) || isNaN(meanMotion)) {
+            report(2, 53, 'error', `Mean motion "${meanMotionText.trim()}" is not a number`);
+        } else if (meanMotion <= 0 || meanMotion > MAX_MEAN_MOTION) {
+            report(2, 53, 'error', `Mean motion ${meanMotion} rev/day is out of range (0-${MAX_MEAN_MOTION})`);
+        }
+
+        if (!/^[ \d]{5}$/.test(field(tle2, 64, 68))) {
+            report(2, 64, 'error', `Revolution number "${field(tle2, 64, 68)}" must be digits`);
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Helper: Decode a 5-character catalog number (digits or Alpha-5)
+     * @returns {number|null} Catalog number or null if malformed
+     */
+    function decodeCatalogNumber(text) {
+        if (/^[ \d]{4}\d$/.test(text)) {
+            return parseInt(text, 10);
+        }
+
+        const letterIndex = ALPHA5_LETTERS.indexOf(text.charAt(0));
+        if (letterIndex !== -1 && /^\d{4}$/.test(text.substring(1))) {
+            return (letterIndex + 10) * 10000 + parseInt(text.substring(1), 10);
+        }
+
+        return null;
+    }
+
+    /**
+     * Helper: Validate pasted OMM input (first message is used)
+     */
+    function validateOMMInput(inputText, format) {
+        const messages = parseOMMMessages(inputText, format);
+        const label = format.replace('omm-', '').toUpperCase();
+
+        if (messages.length === 0) {
+            return invalidInput(`Could not read any OMM message from the ${label} input.`);
+        }
+
+        const result = convertOMM(messages[0]);
+        if (result.error) {
+            return invalidInput(`${result.error}.`);
+        }
+
+        if (messages.length > 1) {
+            console.warn(`DataLoader: ${messages.length} OMM messages pasted, using the first`);
+        }
+
+        // Same field checks as pasted TLEs, pointed at the OMM keyword they came from
+        const diagnostics = checkTLE(result.record.tle1, result.record.tle2).map(diagnostic => {
+            const keyword = OMM_TLE_FIELDS[`${diagnostic.tleLine}:${diagnostic.column}`];
+            const position = keyword ? findOMMField(inputText, keyword) : null;
+            return {
+                line: position ? position.line : 1,
+                column: position ? position.column : 1,
+                severity: diagnostic.severity,
+                message: keyword ? `${keyword}: ${diagnostic.message}` : diagnostic.message
+            };
+        });
+
+        const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        if (errors.length > 0) {
+            const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+            return invalidInput(`${formatDiagnostic(errors[0])}${more}`, diagnostics);
+        }
+
+        console.log(`DataLoader: OMM (${label}) validation successful for ${result.record.name}`);
+        diagnostics.forEach(diagnostic => console.warn(`DataLoader: ${formatDiagnostic(diagnostic)}`));
+
+        return {
+            valid: true,
+            satellite: result.record,
+            error: null,
+            diagnostics: diagnostics
+        };
+    }
+
+    /**
+     * Helper: Line and column of the first occurrence of an OMM keyword
+     * (KVN key, XML tag or JSON property) in the raw input
+     * @returns {Object|null} {line, column} (1-based) or null if absent
+     */
+    function findOMMField(inputText, keyword) {
+        const pattern = new RegExp(`\\b${keyword}\\b`);
+        const lines = inputText.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const match = pattern.exec(lines[i]);
+            if (match) {
+                return { line: i + 1, column: match.index + 1 };
+            }
+        }
+
+        return null;
     }
 
     // ==========================================
@@ -251,12 +896,12 @@ const DataLoader = (function () {
       2 25544  51.6325 130.2428 0001007 193.4972 166.5990 15.49648180531963`,
 
             starlink: `STARLINK-1234
-      1 44713U 19074A   25276.50000000  .00001234  00000+0  12345-3 0  9999
-      2 44713  53.0540 123.4567 0001234  98.7654 261.3456 15.06491234567890`,
+      1 44713U 19074A   25276.50000000  .00001234  00000+0  12345-3 0  9994
+      2 44713  53.0540 123.4567 0001234  98.7654 261.3456 15.06491234567892`,
 
             hubble: `HST
-      1 20580U 90037B   25276.50000000  .00001000  00000+0  50000-4 0  9999
-      2 20580  28.4690 123.4560 0002500  12.3456 347.7890 15.09678910123456`,
+      1 20580U 90037B   25276.50000000  .00001000  00000+0  50000-4 0  9990
+      2 20580  28.4690 123.4560 0002500  12.3456 347.7890 15.09678910123454`,
 
             // cosmos and debris load from files
             cosmos: null,
@@ -271,9 +916,16 @@ const DataLoader = (function () {
     // ==========================================
     return {
         parseTLE: parseTLE,
+        parseCatalog: parseCatalog,
+        detectFormat: detectFormat,
+        parseOMMJSON: parseOMMJSON,
+        parseOMMXML: parseOMMXML,
+        parseOMMKVN: parseOMMKVN,
+        ommToTLE: ommToTLE,
         loadTLEFile: loadTLEFile,
         loadAllData: loadAllData,
         validateTLEInput: validateTLEInput,
+        checkTLE: checkTLE,
         getScenario: getScenario
     };
 })();
@@ -0,0 +1,388 @@
+// ============================================
+// GROUND STATIONS MODULE
+// Station list and pass prediction (AOS / TCA / LOS) for the player satellite
+// ============================================
+
+const GroundStations = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+    let stations = [];       // Array of {id, name, latitude, longitude, altitude, minElevation}
+    let nextStationId = 1;
+
+    // Constants
+    const DEG2RAD = Math.PI / 180;
+    const RAD2DEG = 180 / Math.PI;
+
+    // Pass prediction defaults (the window follows the conjunction screening
+    // horizon so contacts near any screened TCA are listed)
+    const PASS_STEP_SECONDS = 30;      // Coarse sampling step
+    const PASS_TOLERANCE_MS = 1000;    // AOS/LOS/TCA refinement tolerance
+
+    // Default network (lat/lon in degrees, altitude in km, mask in degrees)
+    const DEFAULT_STATIONS = [
+        { name: 'Svalbard', latitude: 78.2298, longitude: 15.4078, altitude: 0.5, minElevation: 5 },
+        { name: 'Fairbanks', latitude: 64.8587, longitude: -147.8576, altitude: 0.2, minElevation: 5 },
+        { name: 'Wallops', latitude: 37.9249, longitude: -75.4765, altitude: 0.0, minElevation: 5 },
+        { name: 'Kiruna', latitude: 67.8571, longitude: 20.9642, altitude: 0.4, minElevation: 5 },
+        { name: 'Hartebeesthoek', latitude: -25.8872, longitude: 27.7077, altitude: 1.4, minElevation: 5 },
+        { name: 'Santiago', latitude: -33.1511, longitude: -70.6664, altitude: 0.7, minElevation: 5 }
+    ];
+
+    // ==========================================
+    // 1. INIT FUNCTION
+    // ==========================================
+    /**
+     * Loads the default station network (replaces any existing stations)
+     * @returns {Array} The station list
+     */
+    function init() {
+        stations = [];
+        nextStationId = 1;
+        DEFAULT_STATIONS.forEach(station => addStation(station));
+
+        console.log(`GroundStations: Initialized with ${stations.length} stations`);
+        return getStations();
+    }
+
+    /**
+     * Returns copies of the configured stations
+     * @returns {Array} Array of {id, name, latitude, longitude, altitude, minElevation}
+     */
+    function getStations() {
+        return stations.map(station => Object.assign({}, station));
+    }
+
+    // ==========================================
+    // 2. ADD / REMOVE STATION FUNCTIONS
+    // ==========================================
+    /**
+     * Adds a ground station after validating its coordinates
+     * @param {Object} station - {name, latitude, longitude, altitude, minElevation}
+     * @returns {Object|null} The stored station or null if invalid
+     */
+    function addStation(station) {
+        const error = validateStation(station);
+        if (error) {
+            console.warn(`GroundStations: ${error}`, station);
+            return null;
+        }
+
+        const stored = {
+            id: `station-${nextStationId++}`,
+            name: String(station.name).trim(),
+            latitude: Number(station.latitude),
+            longitude: Number(station.longitude),
+            altitude: Number(station.altitude) || 0,
+            minElevation: station.minElevation !== undefined ? Number(station.minElevation) : 0
+        };
+
+        stations.push(stored);
+        return Object.assign({}, stored);
+    }
+
+    /**
+     * Removes a ground station
+     * @param {string} id - Station id
+     * @returns {boolean} True if a station was removed
+     */
+    function removeStation(id) {
+        const before = stations.length;
+        stations = stations.filter(station => station.id !== id);
+        return stations.length !== before;
+    }
+
+    /**
+     * Checks a station definition
+     * @param {Object} station - Station to check
+     * @returns {string|null} Error message or null if valid
+     */
+    function validateStation(station) {
+        if (!station || !station.name || !String(station.name).trim()) {
+            return 'Station name is required';
+        }
+
+        const latitude = Number(station.latitude);
+        const longitude = Number(station.longitude);
+        const altitude = Number(station.altitude) || 0;
+        const minElevation = station.minElevation !== undefined ? Number(station.minElevation) : 0;
+
+        if (!isFinite(latitude) || latitude < -90 || latitude > 90) {
+            return 'Latitude must be between -90 and 90 degrees';
+        }
+        if (!isFinite(longitude) || longitude < -180 || longitude > 180) {
+            return 'Longitude must be between -180 and 180 degrees';
+        }
+        if (!isFinite(altitude) || altitude < -0.5 || altitude > 10) {
+            return 'Altitude must be between -0.5 and 10 km';
+        }
+        if (!isFinite(minElevation) || minElevation < 0 || minElevation >= 90) {
+            return 'Minimum elevation must be between 0 and 90 degrees';
+        }
+
+        return null;
+    }
+
+    // ==========================================
+    // 3. LOOK ANGLES FUNCTION
+    // ==========================================
+    /**
+     * Computes azimuth/elevation/range from a station to a satellite
+     * @param {Object} station - Station from getStations()
+     * @param {Object} record - Satellite record {satrec, maneuvers}
+     * @param {Date} date - Time of observation
+     * @returns {Object|null} {azimuth, elevation, range} in degrees and km
+     */
+    function getLookAngles(station, record, date) {
+        const pv = OrbitalPropagator.propagateRecord(record, date);
+        if (!pv) {
+            return null;
+        }
+
+        return lookAnglesFromEcf(toObserver(station), satellite.eciToEcf(pv.position, satellite.gstime(date)));
+    }
+
+    /**
+     * Helper: Station as a satellite.js observer (radians, km)
+     */
+    function toObserver(station) {
+        return {
+            latitude: station.latitude * DEG2RAD,
+            longitude: station.longitude * DEG2RAD,
+            height: station.altitude
+        };
+    }
+
+    /**
+     * Helper: Look angles in degrees from an observer to an ECF position
+     */
+    function lookAnglesFromEcf(observer, positionEcf) {
+        const look = satellite.ecfToLookAngles(observer, positionEcf);
+
+        return {
+            azimuth: look.azimuth * RAD2DEG,
+            elevation: look.elevation * RAD2DEG,
+            range: look.rangeSat
+        };
+    }
+
+    // ==========================================
+    // 4. PREDICT PASSES FUNCTION
+    // ==========================================
+    /**
+     * Predicts passes of a satellite over every station. The orbit is sampled
+     * once on a coarse grid and shared by all stations; each rise/set crossing
+     * of the station's elevation mask is refined by bisection and the maximum
+     * elevation by golden-section search.
+     * @param {Object} record - Satellite record {satrec, maneuvers}
+     * @param {Date} startDate - Start of the prediction window
+     * @param {Object} options - {days (default: screening window), stepSeconds, stations}
+     * @returns {Array} Array of {stationId, stationName, aos, tca, los, maxElevation,
+     *                  aosAzimuth, tcaAzimuth, losAzimuth, duration} sorted by AOS
+     */
+    function predictPasses(record, startDate, options = {}) {
+        const days = options.days || getWindowDays();
+        const stepMs = (options.stepSeconds || PASS_STEP_SECONDS) * 1000;
+        const targets = options.stations || stations;
+        const startMs = startDate.getTime();
+        const endMs = startMs + days * 86400000;
+
+        if (!record || targets.length === 0) {
+            return [];
+        }
+
+        // Coarse grid of ECF positions shared by every station
+        const samples = [];
+        for (let t = startMs; t <= endMs; t += stepMs) {
+            const date = new Date(t);
+            const pv = OrbitalPropagator.propagateRecord(record, date);
+            samples.push({
+                time: t,
+                ecf: pv ? satellite.eciToEcf(pv.position, satellite.gstime(date)) : null
+            });
+        }
+
+        const passes = [];
+
+        targets.forEach(station => {
+            const observer = toObserver(station);
+            const elevationAt = (timeMs) => {
+                const look = lookAt(record, observer, timeMs);
+                return look ? look.elevation - station.minElevation : -90;
+            };
+
+            let previous = null;
+            let aosMs = null;
+
+            samples.forEach(sample => {
+                const value = sample.ecf
+                    ? lookAnglesFromEcf(observer, sample.ecf).elevation - station.minElevation
+                    : -90;
+
+                if (previous !== null) {
+                    if (previous.value < 0 && value >= 0) {
+                        aosMs = bisectCrossing(elevationAt, previous.time, sample.time, true);
+                    } else if (previous.value >= 0 && value < 0 && aosMs !== null) {
+                        const losMs = bisectCrossing(elevationAt, previous.time, sample.time, false);
+                        passes.push(buildPass(station, record, observer, aosMs, losMs));
+                        aosMs = null;
+                    }
+                } else if (value >= 0) {
+                    // Already in view at the start of the window
+                    aosMs = sample.time;
+                }
+
+                previous = { time: sample.time, value: value };
+            });
+
+            // Still in view at the end of the window
+            if (aosMs !== null && previous) {
+                passes.push(buildPass(station, record, observer, aosMs, previous.time));
+            }
+        });
+
+        passes.sort((a, b) => a.aos - b.aos);
+        return passes;
+    }
+
+    /**
+     * Helper: Prediction window in days (the conjunction screening window)
+     */
+    function getWindowDays() {
+        return OrbitalPropagator.getScreeningDefaults().windowDays;
+    }
+
+    /**
+     * Helper: Look angles at a time in milliseconds
+     */
+    function lookAt(record, observer, timeMs) {
+        const date = new Date(timeMs);
+        const pv = OrbitalPropagator.propagateRecord(record, date);
+        if (!pv) {
+            return null;
+        }
+
+        return lookAnglesFromEcf(observer, satellite.eciToEcf(pv.position, satellite.gstime(date)));
+    }
+
+    /**
+     * Helper: Bisect a mask crossing inside [lowMs, highMs]
+     * @param {Function} f - Elevation above the mask at a time
+     * @param {boolean} rising - True for AOS, false for LOS
+     * @returns {number} Crossing time in milliseconds
+     */
+    function bisectCrossing(f, lowMs, highMs, rising) {
+        while (highMs - lowMs > PASS_TOLERANCE_MS) {
+            const midMs = (lowMs + highMs) / 2;
+            const above = f(midMs) >= 0;
+
+            if (above === rising) {
+                highMs = midMs;
+            } else {
+                lowMs = midMs;
+            }
+        }
+
+        return Math.round((lowMs + highMs) / 2);
+    }
+
+    /**
+     * Helper: Build a pass record, locating maximum elevation between AOS and LOS
+     */
+    function buildPass(station, record, observer, aosMs, losMs) {
+        const elevation = (timeMs) => {
+            const look = lookAt(record, observer, timeMs);
+            return look ? look.elevation : -90;
+        };
+
+        // Golden-section search for the elevation peak
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = aosMs;
+        let b = losMs;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = elevation(c);
+        let fd = elevation(d);
+
+        while (b - a > PASS_TOLERANCE_MS) {
+            if (fc > fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = elevation(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = elevation(d);
+            }
+        }
+
+        const tcaMs = Math.round((a + b) / 2);
+        const aosLook = lookAt(record, observer, aosMs);
+        const tcaLook = lookAt(record, observer, tcaMs);
+        const losLook = lookAt(record, observer, losMs);
+
+        return {
+            stationId: station.id,
+            stationName: station.name,
+            aos: new Date(aosMs),
+            tca: new Date(tcaMs),
+            los: new Date(losMs),
+            maxElevation: tcaLook ? tcaLook.elevation : null,
+            aosAzimuth: aosLook ? aosLook.azimuth : null,
+            tcaAzimuth: tcaLook ? tcaLook.azimuth : null,
+            losAzimuth: losLook ? losLook.azimuth : null,
+            duration: (losMs - aosMs) / 1000
+        };
+    }
+
+    // ==========================================
+    // 5. UPLINK WINDOW FUNCTION
+    // ==========================================
+    /**
+     * Filters passes to those that give contact before a deadline, e.g. the
+     * next conjunction's TCA
+     * @param {Array} passes - Passes from predictPasses
+     * @param {Date} fromDate - Earliest usable time (usually now)
+     * @param {Date} deadline - Latest usable time
+     * @returns {Array} Passes whose contact overlaps [fromDate, deadline]
+     */
+    function getUplinkWindows(passes, fromDate, deadline) {
+        return passes.filter(pass => pass.los > fromDate && pass.aos < deadline);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init: init,
+        addStation: addStation,
+        removeStation: removeStation,
+        validateStation: validateStation,
+        getLookAngles: getLookAngles,
+        predictPasses: predictPasses,
+        getUplinkWindows: getUplinkWindows,
+
+        // Getters for other modules
+        getStations: getStations,
+        getStation: function (id) {
+            const station = stations.find(s => s.id === id);
+            return station ? Object.assign({}, station) : null;
+        },
+        getConfig: function () {
+            return {
+                windowDays: getWindowDays(),
+                stepSeconds: PASS_STEP_SECONDS
+            };
+        }
+    };
+})();
+
+// Make available globally
+window.GroundStations = GroundStations;
+console.log('GroundStations module initialized');
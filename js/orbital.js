@@ -11,14 +11,63 @@ const OrbitalPropagator = (function () {
     // ==========================================
 
     // Satellite record storage
-    let activeSatellites = [];    // Array of {name, satrec}
-    let debrisSatellites = [];    // Array of {name, satrec}
-    let criticalSatellites = [];  // Array of {name, satrec}
-    let playerSatellite = null;   // Single {name, satrec}
+    let activeSatellites = [];    // Array of {name, satrec, objectType}
+    let debrisSatellites = [];    // Array of {name, satrec, objectType}
+    let criticalSatellites = [];  // Array of {name, satrec, objectType}
+    let playerSatellite = null;   // Focused fleet asset {name, satrec, maneuvers}
+    let fleet = [];               // Owned assets; playerSatellite is one of these records
+    let displayFrame = 'eci';     // 'eci' (inertial) or 'ecef' (Earth-fixed)
+    const decayCache = new WeakMap();  // satrec or maneuver → decay estimate from that orbit
     // Constants
     const EARTH_RADIUS_KM = 6371.0;  // Earth radius in kilometers
     const SCALE_FACTOR = 1000.0;     // 1 scene unit = 1000 km
-    const MAX_ACTIVE_RENDER = 500;   // Performance limit for active satellites
+    const SGP4_EARTH_RADIUS_KM = 6378.135; // WGS-72 radius used by satrec.alta/altp
+
+    // Conjunction screening defaults
+    const SCREENING_WINDOW_DAYS = 7;      // How far ahead to sweep
+    const SCREENING_STEP_SECONDS = 60;    // Coarse sampling step
+    const SCREENING_THRESHOLD_KM = 25;    // Report conjunctions closer than this
+    const SCREENING_SHELL_PAD_KM = 25;    // Extra margin for the perigee/apogee prefilter
+    const TCA_TOLERANCE_MS = 1;           // Refinement tolerance for time of closest approach
+
+    // Trajectory sampling defaults
+    const TRAJECTORY_PAST_REVS = 0.5;     // Revolutions drawn behind the satellite
+    const TRAJECTORY_FUTURE_REVS = 1.5;   // Revolutions drawn ahead of the satellite
+    const TRAJECTORY_SAMPLES_PER_REV = 180;
+
+    // Ground track sampling defaults
+    const GROUND_TRACK_PAST_REVS = 1;     // Revolutions of track behind the satellite
+    const GROUND_TRACK_FUTURE_REVS = 3;   // Revolutions of track ahead of the satellite
+    const GROUND_TRACK_SAMPLES_PER_REV = 120;
+
+    // Maneuver modelling
+    const MU_EARTH = 398600.4418;         // Earth's gravitational parameter (km^3/s^2)
+    const KEPLER_TOLERANCE = 1e-9;        // Universal anomaly convergence
+
+    // Sun and eclipse modelling
+    const AU_KM = 149597870.7;            // Astronomical unit
+    const SUN_RADIUS_KM = 696000;
+    const SHADOW_EARTH_RADIUS_KM = 6378.137;  // Equatorial radius casting the shadow
+
+    // Orbital decay modelling
+    const REENTRY_ALTITUDE_KM = 100;      // Perigee altitude treated as reentry
+    const DECAY_HORIZON_YEARS = 100;      // Lifetimes beyond this are reported as "> horizon"
+    const DECAY_ORBIT_SAMPLES = 36;       // Mean anomaly samples for orbit-averaged drag
+    const DECAY_MAX_STEP_KM = 1;          // Largest change in a or perigee radius per step
+    const DECAY_MAX_STEP_DAYS = 30;
+    const BSTAR_TO_BALLISTIC = 2 / 0.15696615;  // B* (1/ER) → Cd·A/m (m²/kg), SGP4 reference density
+    const MAX_BALLISTIC_COEFF = 2;        // m²/kg; larger ṅ-derived values are treated as noise
+
+    // Exponential atmosphere (Vallado, Table 8-4): [base altitude km, density kg/m³, scale height km]
+    const ATMOSPHERE_LAYERS = [
+        [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473],
+        [130, 8.484e-9, 12.636], [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523],
+        [180, 5.464e-10, 29.740], [200, 2.789e-10, 37.105], [250, 7.248e-11, 45.546],
+        [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298], [400, 3.725e-12, 58.515],
+        [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835],
+        [700, 3.614e-14, 88.667], [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05],
+        [1000, 3.019e-15, 268.00]
+    ];
 
     // ==========================================
     // 1. INIT SATELLITES FUNCTION
@@ -44,7 +93,8 @@ const OrbitalPropagator = (function () {
                 if (satrec.error === 0) {
                     activeSatellites.push({
                         name: tle.name,
-                        satrec: satrec
+                        satrec: satrec,
+                        objectType: classifyObject(tle.name, 'active')
                     });
                 } else {
                     console.warn(`OrbitalPropagator: Invalid TLE for ${tle.name}, error code ${satrec.error}`);
@@ -60,7 +110,8 @@ const OrbitalPropagator = (function () {
                 if (satrec.error === 0) {
                     debrisSatellites.push({
                         name: tle.name,
-                        satrec: satrec
+                        satrec: satrec,
+                        objectType: classifyObject(tle.name, 'debris')
                     });
                 } else {
                     console.warn(`OrbitalPropagator: Invalid debris TLE for ${tle.name}, error code ${satrec.error}`);
@@ -76,7 +127,8 @@ const OrbitalPropagator = (function () {
                 if (satrec.error === 0) {
                     criticalSatellites.push({
                         name: tle.name,
-                        satrec: satrec
+                        satrec: satrec,
+                        objectType: classifyObject(tle.name, 'critical')
                     });
                 } else {
                     console.warn(`OrbitalPropagator: Invalid critical TLE for ${tle.name}, error code ${satrec.error}`);
@@ -98,36 +150,137 @@ const OrbitalPropagator = (function () {
         return counts;
     }
 
+    /**
+     * Helper: Classify a catalog object from its name and source file
+     * @param {string} name - Object name (e.g. "COSMOS 2251 DEB", "SL-16 R/B")
+     * @param {string} source - 'active', 'debris' or 'critical'
+     * @returns {string} 'payload', 'rocket-body', 'debris' or 'critical'
+     */
+    function classifyObject(name, source) {
+        if (source === 'critical') {
+            return 'critical';
+        }
+
+        const upper = (name || '').toUpperCase();
+        if (/\bR\/B\b/.test(upper)) {
+            return 'rocket-body';
+        }
+        if (/\bDEB\b/.test(upper) || source === 'debris') {
+            return 'debris';
+        }
+
+        return 'payload';
+    }
+
     // ==========================================
     // 2. INIT PLAYER SATELLITE FUNCTION
     // ==========================================
     /**
-     * Initializes player's satellite from single TLE
+     * Initializes player's satellite from single TLE (starts a new fleet
+     * containing only this asset)
      * @param {Object} tle - TLE object with {name, tle1, tle2}
      * @returns {boolean} Success/failure
      */
     function initPlayerSatellite(tle) {
         console.log(`OrbitalPropagator: Initializing player satellite "${tle.name}"...`);
 
+        const record = createAssetRecord(tle);
+        if (!record) {
+            return false;
+        }
+
+        playerSatellite = record;
+        fleet = [record];
+
+        console.log(`OrbitalPropagator: Player satellite "${tle.name}" initialized successfully`);
+        return true;
+    }
+
+    /**
+     * Helper: Owned-asset record from a TLE, or null if SGP4 rejects it
+     */
+    function createAssetRecord(tle) {
         try {
             const satrec = satellite.twoline2satrec(tle.tle1, tle.tle2);
 
-            if (satrec.error === 0) {
-                playerSatellite = {
-                    name: tle.name,
-                    satrec: satrec
-                };
-
-                console.log(`OrbitalPropagator: Player satellite "${tle.name}" initialized successfully`);
-                return true;
-            } else {
-                console.error(`OrbitalPropagator: Failed to initialize player satellite, error code ${satrec.error}`);
-                return false;
+            if (satrec.error !== 0) {
+                console.error(`OrbitalPropagator: Failed to initialize "${tle.name}", error code ${satrec.error}`);
+                return null;
             }
+
+            return {
+                name: tle.name,
+                satrec: satrec,
+                maneuvers: [],
+                tle: { name: tle.name, tle1: tle.tle1, tle2: tle.tle2 }  // Source elements (saved with sessions)
+            };
         } catch (error) {
-            console.error('OrbitalPropagator: Exception during player satellite initialization', error);
+            console.error(`OrbitalPropagator: Exception initializing "${tle.name}"`, error);
+            return null;
+        }
+    }
+
+    // ==========================================
+    // 2b. FLEET FUNCTIONS
+    // ==========================================
+    /**
+     * Adds an owned asset to the fleet (the focus stays where it is)
+     * @param {Object} tle - TLE object with {name, tle1, tle2}
+     * @returns {Object|null} The asset record, or null if invalid or already in the fleet
+     */
+    function addFleetSatellite(tle) {
+        const record = createAssetRecord(tle);
+        if (!record) {
+            return null;
+        }
+
+        if (fleet.some(asset => asset.satrec.satnum === record.satrec.satnum)) {
+            console.warn(`OrbitalPropagator: ${record.satrec.satnum} is already in the fleet`);
+            return null;
+        }
+
+        fleet.push(record);
+        if (!playerSatellite) {
+            playerSatellite = record;
+        }
+
+        console.log(`OrbitalPropagator: Added "${record.name}" to the fleet (${fleet.length} assets)`);
+        return record;
+    }
+
+    /**
+     * Removes an asset from the fleet. The last asset cannot be removed;
+     * removing the focused asset moves the focus to the first remaining one.
+     * @param {string} noradId - Catalog number (satrec.satnum)
+     * @returns {boolean} True if the asset was removed
+     */
+    function removeFleetSatellite(noradId) {
+        const index = fleet.findIndex(asset => asset.satrec.satnum === noradId);
+        if (index === -1 || fleet.length === 1) {
+            return false;
+        }
+
+        const removed = fleet.splice(index, 1)[0];
+        if (removed === playerSatellite) {
+            playerSatellite = fleet[0];
+        }
+
+        return true;
+    }
+
+    /**
+     * Makes a fleet asset the player satellite (scene, trajectory, CTS focus)
+     * @param {string} noradId - Catalog number (satrec.satnum)
+     * @returns {boolean} True if the asset is in the fleet
+     */
+    function setFocusSatellite(noradId) {
+        const record = fleet.find(asset => asset.satrec.satnum === noradId);
+        if (!record) {
             return false;
         }
+
+        playerSatellite = record;
+        return true;
     }
 
     // ==========================================
@@ -158,15 +311,155 @@ const OrbitalPropagator = (function () {
         }
     }
 
+    // ==========================================
+    // 3b. PROPAGATE RECORD FUNCTION
+    // ==========================================
+    /**
+     * Propagates a satellite record including any impulsive maneuvers. Each
+     * burn adds the two-body difference between the burned and unburned
+     * state to the SGP4 solution, so drag and J2 still come from SGP4.
+     * @param {Object} record - {satrec, maneuvers (optional, see createManeuver)}
+     * @param {Date} date - JavaScript Date object
+     * @returns {Object|null} {position, velocity} in ECI coordinates (km, km/s) or null on error
+     */
+    function propagateRecord(record, date) {
+        const pv = propagate(record.satrec, date);
+        if (!pv || !record.maneuvers || record.maneuvers.length === 0) {
+            return pv;
+        }
+
+        const time = date.getTime();
+        const position = { x: pv.position.x, y: pv.position.y, z: pv.position.z };
+        const velocity = { x: pv.velocity.x, y: pv.velocity.y, z: pv.velocity.z };
+
+        for (const maneuver of record.maneuvers) {
+            if (time < maneuver.burnTime) continue;
+
+            const dt = (time - maneuver.burnTime) / 1000;
+            const burned = keplerPropagate(maneuver.burnState.position, addVectors(maneuver.burnState.velocity, maneuver.deltaV), dt);
+            const coasting = keplerPropagate(maneuver.burnState.position, maneuver.burnState.velocity, dt);
+            if (!burned || !coasting) {
+                return null;
+            }
+
+            ['x', 'y', 'z'].forEach(axis => {
+                position[axis] += burned.position[axis] - coasting.position[axis];
+                velocity[axis] += burned.velocity[axis] - coasting.velocity[axis];
+            });
+        }
+
+        return { position: position, velocity: velocity };
+    }
+
+    /**
+     * Helper: Two-body propagation by universal variables (Curtis, Alg. 3.3/3.4)
+     * @param {Object} r0 - Position {x, y, z} in km
+     * @param {Object} v0 - Velocity {x, y, z} in km/s
+     * @param {number} dt - Seconds to propagate
+     * @returns {Object|null} {position, velocity} or null if the iteration fails
+     */
+    function keplerPropagate(r0, v0, dt) {
+        const sqrtMu = Math.sqrt(MU_EARTH);
+        const r0Mag = Math.sqrt(r0.x * r0.x + r0.y * r0.y + r0.z * r0.z);
+        const v0Sq = v0.x * v0.x + v0.y * v0.y + v0.z * v0.z;
+        const vr0 = (r0.x * v0.x + r0.y * v0.y + r0.z * v0.z) / r0Mag;
+        const alpha = 2 / r0Mag - v0Sq / MU_EARTH;  // Reciprocal of the semi-major axis
+
+        let chi = sqrtMu * Math.abs(alpha) * dt;
+        let converged = false;
+
+        for (let i = 0; i < 100; i++) {
+            const chiSq = chi * chi;
+            const z = alpha * chiSq;
+            const C = stumpffC(z);
+            const S = stumpffS(z);
+
+            const F = (r0Mag * vr0 / sqrtMu) * chiSq * C + (1 - alpha * r0Mag) * chiSq * chi * S + r0Mag * chi - sqrtMu * dt;
+            const dF = (r0Mag * vr0 / sqrtMu) * chi * (1 - z * S) + (1 - alpha * r0Mag) * chiSq * C + r0Mag;
+            const ratio = F / dF;
+
+            chi -= ratio;
+            if (Math.abs(ratio) < KEPLER_TOLERANCE) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged || !isFinite(chi)) {
+            return null;
+        }
+
+        const chiSq = chi * chi;
+        const z = alpha * chiSq;
+        const C = stumpffC(z);
+        const S = stumpffS(z);
+
+        const f = 1 - (chiSq / r0Mag) * C;
+        const g = dt - (chiSq * chi / sqrtMu) * S;
+        const position = {
+            x: f * r0.x + g * v0.x,
+            y: f * r0.y + g * v0.y,
+            z: f * r0.z + g * v0.z
+        };
+
+        const rMag = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+        const fDot = (sqrtMu / (rMag * r0Mag)) * (z * chi * S - chi);
+        const gDot = 1 - (chiSq / rMag) * C;
+
+        return {
+            position: position,
+            velocity: {
+                x: fDot * r0.x + gDot * v0.x,
+                y: fDot * r0.y + gDot * v0.y,
+                z: fDot * r0.z + gDot * v0.z
+            }
+        };
+    }
+
+    /**
+     * Helper: Stumpff functions S(z) and C(z)
+     */
+    function stumpffS(z) {
+        if (z > 0) {
+            const sz = Math.sqrt(z);
+            return (sz - Math.sin(sz)) / (sz * sz * sz);
+        }
+        if (z < 0) {
+            const sz = Math.sqrt(-z);
+            return (Math.sinh(sz) - sz) / (sz * sz * sz);
+        }
+        return 1 / 6;
+    }
+
+    function stumpffC(z) {
+        if (z > 0) {
+            return (1 - Math.cos(Math.sqrt(z))) / z;
+        }
+        if (z < 0) {
+            return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+        }
+        return 1 / 2;
+    }
+
+    /**
+     * Helper: Component-wise vector sum
+     */
+    function addVectors(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
     // ==========================================
     // 4. ECI TO SCENE POSITION FUNCTION
     // ==========================================
     /**
-     * Converts ECI coordinates (km) to Three.js scene coordinates
+     * Converts ECI coordinates (km) to Three.js scene coordinates.
+     * In the Earth-fixed display frame the position is rotated into ECEF
+     * using GMST at the given date.
      * @param {Object} eciPosition - ECI position {x, y, z} in kilometers
+     * @param {Date} date - Time of the position (required for the ECEF frame)
      * @returns {THREE.Vector3|null} Position in scene coordinates or null if invalid
      */
-    function eciToScenePosition(eciPosition) {
+    function eciToScenePosition(eciPosition, date) {
         // Validate input exists
         if (!eciPosition) {
             console.warn('OrbitalPropagator: No ECI position provided');
@@ -203,11 +496,22 @@ const OrbitalPropagator = (function () {
             // ECI uses Z-up, X-right, Y-forward (inertial frame)
             // Three.js uses Y-up, X-right, Z-forward
             // Scale: 1 scene unit = 1000 km
+            let px = eciPosition.x;
+            let py = eciPosition.y;
+
+            // Earth-fixed display: rotate about Z by -GMST
+            if (displayFrame === 'ecef' && date) {
+                const gmst = satellite.gstime(date);
+                const cos = Math.cos(gmst);
+                const sin = Math.sin(gmst);
+                px = eciPosition.x * cos + eciPosition.y * sin;
+                py = -eciPosition.x * sin + eciPosition.y * cos;
+            }
 
             // Convert km to scene units and swap axes
-            const x = eciPosition.x / SCALE_FACTOR;
+            const x = px / SCALE_FACTOR;
             const y = eciPosition.z / SCALE_FACTOR;  // ECI Z becomes Three.js Y
-            const z = -eciPosition.y / SCALE_FACTOR; // ECI Y becomes Three.js -Z
+            const z = -py / SCALE_FACTOR;            // ECI Y becomes Three.js -Z
 
             // Validate converted values
             if (isNaN(x) || isNaN(y) || isNaN(z)) {
@@ -223,6 +527,61 @@ const OrbitalPropagator = (function () {
         }
     }
 
+    /**
+     * Converts packed ECI positions (x, y, z per object, km) to packed scene
+     * coordinates without allocating a Vector3 per object
+     * @param {Float32Array} eciPositions - Packed ECI positions
+     * @param {Float32Array} target - Output array of the same length
+     * @param {Date} date - Time of the positions (required for the ECEF frame)
+     * @returns {Float32Array} The target array
+     */
+    function eciToSceneArray(eciPositions, target, date) {
+        const gmst = (displayFrame === 'ecef' && date) ? satellite.gstime(date) : 0;
+        const cos = Math.cos(gmst);
+        const sin = Math.sin(gmst);
+
+        for (let i = 0; i < eciPositions.length; i += 3) {
+            const px = eciPositions[i] * cos + eciPositions[i + 1] * sin;
+            const py = -eciPositions[i] * sin + eciPositions[i + 1] * cos;
+
+            target[i] = px / SCALE_FACTOR;
+            target[i + 1] = eciPositions[i + 2] / SCALE_FACTOR;  // ECI Z becomes Three.js Y
+            target[i + 2] = -py / SCALE_FACTOR;                  // ECI Y becomes Three.js -Z
+        }
+
+        return target;
+    }
+
+    // ==========================================
+    // 4b. DISPLAY FRAME FUNCTIONS
+    // ==========================================
+    /**
+     * Switches the frame scene positions are expressed in
+     * @param {string} frame - 'eci' (inertial, Earth rotates) or 'ecef' (Earth-fixed)
+     * @returns {string} The active frame
+     */
+    function setDisplayFrame(frame) {
+        if (frame !== 'eci' && frame !== 'ecef') {
+            console.warn(`OrbitalPropagator: Unknown display frame "${frame}"`);
+            return displayFrame;
+        }
+
+        displayFrame = frame;
+        console.log(`OrbitalPropagator: Display frame set to ${frame.toUpperCase()}`);
+        return displayFrame;
+    }
+
+    /**
+     * Rotation of the Earth model about the scene Y axis for a given time.
+     * The texture is Earth-fixed at rotation 0, so in the inertial frame the
+     * mesh turns with GMST and in the Earth-fixed frame it stays put.
+     * @param {Date} date - Current time
+     * @returns {number} Rotation in radians
+     */
+    function getEarthRotation(date) {
+        return displayFrame === 'eci' ? satellite.gstime(date) : 0;
+    }
+
     // ==========================================
     // 5. GET PLAYER POSITION FUNCTION
     // ==========================================
@@ -236,12 +595,12 @@ const OrbitalPropagator = (function () {
             return null;
         }
 
-        const pv = propagate(playerSatellite.satrec, date);
+        const pv = propagateRecord(playerSatellite, date);
         if (!pv) {
             return null;
         }
 
-        return eciToScenePosition(pv.position);
+        return eciToScenePosition(pv.position, date);
     }
 
     // ==========================================
@@ -250,35 +609,116 @@ const OrbitalPropagator = (function () {
     /**
      * Calculates orbital parameters for player satellite
      * @param {Date} date - Current time
-     * @returns {Object|null} {altitude, velocity, inclination} as formatted strings
+     * @returns {Object|null} Orbital elements as numbers (see getOrbitalElements)
      */
     function getPlayerOrbitalParams(date) {
         if (!playerSatellite) {
             return null;
         }
 
-        const pv = propagate(playerSatellite.satrec, date);
+        return getOrbitalElements(playerSatellite, date);
+    }
+
+    /**
+     * Osculating orbital elements of a record at a given time, derived from
+     * the propagated state vector so post-burn orbits are reflected. B* and
+     * the epoch come from the TLE itself.
+     * @param {Object} record - Satellite record {satrec, maneuvers?}
+     * @param {Date} date - Current time
+     * @returns {Object|null} {altitude, velocity (km, km/s), inclination, raan,
+     *                        argPerigee, trueAnomaly, meanAnomaly (degrees),
+     *                        semiMajorAxis, apogeeAltitude, perigeeAltitude (km),
+     *                        eccentricity, period (minutes), bstar (1/earth radii),
+     *                        epoch (Date), epochAgeDays}, or null if propagation fails
+     */
+    function getOrbitalElements(record, date) {
+        const pv = propagateRecord(record, date);
         if (!pv) {
             return null;
         }
 
-        // Calculate altitude (distance from Earth center minus Earth radius)
-        const pos = pv.position;
-        const distanceFromCenter = Math.sqrt(pos.x * pos.x + pos.y * pos.y + pos.z * pos.z);
-        const altitude = distanceFromCenter - EARTH_RADIUS_KM;
+        const r = pv.position;
+        const v = pv.velocity;
+        const rMag = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+        const vMag = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        const rDotV = r.x * v.x + r.y * v.y + r.z * v.z;
+
+        // Angular momentum, node vector (k × h) and eccentricity vector
+        const h = {
+            x: r.y * v.z - r.z * v.y,
+            y: r.z * v.x - r.x * v.z,
+            z: r.x * v.y - r.y * v.x
+        };
+        const hMag = Math.sqrt(h.x * h.x + h.y * h.y + h.z * h.z);
+        const n = { x: -h.y, y: h.x };
+        const nMag = Math.sqrt(n.x * n.x + n.y * n.y);
+        const ec = vMag * vMag - MU_EARTH / rMag;
+        const eVec = {
+            x: (ec * r.x - rDotV * v.x) / MU_EARTH,
+            y: (ec * r.y - rDotV * v.y) / MU_EARTH,
+            z: (ec * r.z - rDotV * v.z) / MU_EARTH
+        };
+        const e = Math.sqrt(eVec.x * eVec.x + eVec.y * eVec.y + eVec.z * eVec.z);
+        const a = 1 / (2 / rMag - vMag * vMag / MU_EARTH);
+
+        const angle = (cosine) => Math.acos(Math.max(-1, Math.min(1, cosine)));
+        const inclination = angle(h.z / hMag);
+
+        // Node and perigee are undefined for equatorial or circular orbits; they
+        // collapse to zero and the anomaly is then measured from the x-axis / node
+        let raan = 0;
+        if (nMag > 1e-9) {
+            raan = angle(n.x / nMag);
+            if (n.y < 0) raan = 2 * Math.PI - raan;
+        }
+
+        let argPerigee = 0;
+        let trueAnomaly;
+        if (e > 1e-9) {
+            if (nMag > 1e-9) {
+                argPerigee = angle((n.x * eVec.x + n.y * eVec.y) / (nMag * e));
+                if (eVec.z < 0) argPerigee = 2 * Math.PI - argPerigee;
+            }
+            trueAnomaly = angle((eVec.x * r.x + eVec.y * r.y + eVec.z * r.z) / (e * rMag));
+            if (rDotV < 0) trueAnomaly = 2 * Math.PI - trueAnomaly;
+        } else {
+            const ref = nMag > 1e-9 ? { x: n.x / nMag, y: n.y / nMag, z: 0 } : { x: 1, y: 0, z: 0 };
+            trueAnomaly = angle((ref.x * r.x + ref.y * r.y + ref.z * r.z) / rMag);
+            if (r.z < 0 || (nMag <= 1e-9 && r.y < 0)) trueAnomaly = 2 * Math.PI - trueAnomaly;
+        }
 
-        // Calculate velocity magnitude
-        const vel = pv.velocity;
-        const velocityMagnitude = Math.sqrt(vel.x * vel.x + vel.y * vel.y + vel.z * vel.z);
+        // Mean anomaly via the eccentric anomaly (elliptic orbits only)
+        let meanAnomaly = null;
+        if (e < 1) {
+            const eccentricAnomaly = 2 * Math.atan2(
+                Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+                Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2)
+            );
+            meanAnomaly = eccentricAnomaly - e * Math.sin(eccentricAnomaly);
+            if (meanAnomaly < 0) meanAnomaly += 2 * Math.PI;
+        }
 
-        // Extract inclination from satrec (stored in radians)
-        const inclinationRad = playerSatellite.satrec.inclo;
-        const inclinationDeg = inclinationRad * (180 / Math.PI);
+        const toDeg = 180 / Math.PI;
+        const satrec = record.satrec;
+        // jdsatepoch is the TLE epoch as a Julian date
+        const epoch = new Date((satrec.jdsatepoch - 2440587.5) * 86400000);
 
         return {
-            altitude: altitude.toFixed(2),           // km
-            velocity: velocityMagnitude.toFixed(2),  // km/s
-            inclination: inclinationDeg.toFixed(2)   // degrees
+            altitude: rMag - EARTH_RADIUS_KM,
+            velocity: vMag,
+            inclination: inclination * toDeg,
+            semiMajorAxis: a,
+            eccentricity: e,
+            raan: raan * toDeg,
+            argPerigee: argPerigee * toDeg,
+            trueAnomaly: trueAnomaly * toDeg,
+            meanAnomaly: meanAnomaly !== null ? meanAnomaly * toDeg : null,
+            period: a > 0 ? 2 * Math.PI * Math.sqrt(a * a * a / MU_EARTH) / 60 : null,
+            apogeeAltitude: e < 1 ? a * (1 + e) - EARTH_RADIUS_KM : null,
+            perigeeAltitude: a * (1 - e) - EARTH_RADIUS_KM,
+            bstar: satrec.bstar,
+            epoch: epoch,
+            epochAgeDays: (date.getTime() - epoch.getTime()) / 86400000
         };
     }
 
@@ -287,22 +727,21 @@ const OrbitalPropagator = (function () {
     // ==========================================
     /**
      * Gets positions of all active satellites
+     * (the render loop reads these from PropagationService instead)
      * @param {Date} date - Current time
-     * @returns {Array} Array of THREE.Vector3 positions (limited to MAX_ACTIVE_RENDER)
+     * @returns {Array} Array of THREE.Vector3 positions
      */
     function getActiveSatellitePositions(date) {
         const positions = [];
-        const limit = Math.min(activeSatellites.length, MAX_ACTIVE_RENDER);
 
-        for (let i = 0; i < limit; i++) {
-            const sat = activeSatellites[i];
+        activeSatellites.forEach(sat => {
             const pv = propagate(sat.satrec, date);
 
             if (pv) {
-                const scenePos = eciToScenePosition(pv.position);
+                const scenePos = eciToScenePosition(pv.position, date);
                 positions.push(scenePos);
             }
-        }
+        });
 
         return positions;
     }
@@ -322,7 +761,7 @@ const OrbitalPropagator = (function () {
             const pv = propagate(debris.satrec, date);
 
             if (pv) {
-                const scenePos = eciToScenePosition(pv.position);
+                const scenePos = eciToScenePosition(pv.position, date);
                 positions.push(scenePos);
             }
         });
@@ -345,7 +784,7 @@ const OrbitalPropagator = (function () {
             const pv = propagate(critical.satrec, date);
 
             if (pv) {
-                const scenePos = eciToScenePosition(pv.position);
+                const scenePos = eciToScenePosition(pv.position, date);
                 positions.push(scenePos);
             }
         });
@@ -394,7 +833,7 @@ const OrbitalPropagator = (function () {
             const pv = propagate(debris.satrec, date);
 
             if (pv) {
-                const scenePos = eciToScenePosition(pv.position);
+                const scenePos = eciToScenePosition(pv.position, date);
                 const distance = calculateDistance(playerPos, scenePos);
 
                 debrisData.push({
@@ -444,7 +883,7 @@ const OrbitalPropagator = (function () {
             return null;
         }
 
-        const pv = propagate(playerSatellite.satrec, date);
+        const pv = propagateRecord(playerSatellite, date);
         if (!pv) {
             return null;
         }
@@ -452,6 +891,835 @@ const OrbitalPropagator = (function () {
         return eciToGeodetic(pv.position, date);
     }
 
+    // ==========================================
+    // 13b. GET PLAYER TRAJECTORY FUNCTION
+    // ==========================================
+    /**
+     * Samples the player's SGP4 trajectory around a date
+     * @param {Date} date - Current time (split point between past and future)
+     * @param {Object} options - {pastRevolutions, futureRevolutions, samplesPerRevolution}
+     * @returns {Object|null} {past, future, periodMinutes, samplesPerRevolution} with arrays of THREE.Vector3;
+     *                        both arcs include the point at `date`
+     */
+    function getPlayerTrajectory(date, options = {}) {
+        if (!playerSatellite) {
+            return null;
+        }
+
+        const pastRevs = options.pastRevolutions !== undefined ? options.pastRevolutions : TRAJECTORY_PAST_REVS;
+        const futureRevs = options.futureRevolutions !== undefined ? options.futureRevolutions : TRAJECTORY_FUTURE_REVS;
+        const samplesPerRev = options.samplesPerRevolution || TRAJECTORY_SAMPLES_PER_REV;
+
+        // satrec.no is the mean motion in rad/min
+        const periodMinutes = (2 * Math.PI) / playerSatellite.satrec.no;
+        const stepMs = (periodMinutes * 60000) / samplesPerRev;
+        const now = date.getTime();
+
+        const sampleArc = (revolutions, direction) => {
+            const points = [];
+            const count = Math.round(revolutions * samplesPerRev);
+
+            for (let i = 0; i <= count; i++) {
+                const sampleDate = new Date(now + direction * i * stepMs);
+                const pv = propagateRecord(playerSatellite, sampleDate);
+                const scenePos = pv ? eciToScenePosition(pv.position, sampleDate) : null;
+                if (scenePos) {
+                    points.push(scenePos);
+                }
+            }
+
+            return points;
+        };
+
+        return {
+            past: sampleArc(pastRevs, -1).reverse(),
+            future: sampleArc(futureRevs, 1),
+            periodMinutes: periodMinutes,
+            samplesPerRevolution: samplesPerRev
+        };
+    }
+
+    // ==========================================
+    // 13c. GET PLAYER GROUND TRACK FUNCTION
+    // ==========================================
+    /**
+     * Samples the player's sub-satellite points around a date
+     * @param {Date} date - Current time (split point between past and future)
+     * @param {Object} options - {pastRevolutions, futureRevolutions, samplesPerRevolution}
+     * @returns {Object|null} {past, future, periodMinutes} with arrays of
+     *                        {latitude, longitude, altitude, date}; both arcs include the point at `date`
+     */
+    function getPlayerGroundTrack(date, options = {}) {
+        if (!playerSatellite) {
+            return null;
+        }
+
+        const pastRevs = options.pastRevolutions !== undefined ? options.pastRevolutions : GROUND_TRACK_PAST_REVS;
+        const futureRevs = options.futureRevolutions !== undefined ? options.futureRevolutions : GROUND_TRACK_FUTURE_REVS;
+        const samplesPerRev = options.samplesPerRevolution || GROUND_TRACK_SAMPLES_PER_REV;
+
+        const periodMinutes = (2 * Math.PI) / playerSatellite.satrec.no;
+        const stepMs = (periodMinutes * 60000) / samplesPerRev;
+        const now = date.getTime();
+
+        const sampleArc = (revolutions, direction) => {
+            const points = [];
+            const count = Math.round(revolutions * samplesPerRev);
+
+            for (let i = 0; i <= count; i++) {
+                const sampleDate = new Date(now + direction * i * stepMs);
+                const pv = propagateRecord(playerSatellite, sampleDate);
+                if (pv) {
+                    const geodetic = eciToGeodetic(pv.position, sampleDate);
+                    geodetic.date = sampleDate;
+                    points.push(geodetic);
+                }
+            }
+
+            return points;
+        };
+
+        return {
+            past: sampleArc(pastRevs, -1).reverse(),
+            future: sampleArc(futureRevs, 1),
+            periodMinutes: periodMinutes
+        };
+    }
+
+    // ==========================================
+    // 13d. FOOTPRINT RADIUS FUNCTION
+    // ==========================================
+    /**
+     * Earth central angle of the region that sees the satellite above an
+     * elevation mask: lambda = acos(Re / (Re + h) * cos(eps)) - eps
+     * @param {number} altitude - Satellite altitude in km
+     * @param {number} elevationMask - Minimum elevation in degrees (0 = horizon)
+     * @returns {Object} {angle, radius} in degrees and km along the surface
+     */
+    function calculateFootprint(altitude, elevationMask = 0) {
+        const eps = Math.max(0, Math.min(elevationMask, 90)) * (Math.PI / 180);
+        const ratio = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + Math.max(altitude, 0));
+        const lambda = Math.max(0, Math.acos(ratio * Math.cos(eps)) - eps);
+
+        return {
+            angle: lambda * (180 / Math.PI),
+            radius: lambda * EARTH_RADIUS_KM
+        };
+    }
+
+    // ==========================================
+    // 14. SCREEN CONJUNCTIONS FUNCTION
+    // ==========================================
+    /**
+     * Sweeps a future window for close approaches between the player satellite
+     * (or several owned assets) and the loaded catalog in one blocking call.
+     * See createScreening for the method and options.
+     * @param {Date} startDate - Start of the screening window
+     * @param {Object} options - As createScreening
+     * @returns {Array} Conjunctions sorted by TCA (see createScreening)
+     */
+    function screenConjunctions(startDate, options = {}) {
+        const screening = createScreening(startDate, options);
+        while (!screening.step(Infinity)) {
+            // Run to completion
+        }
+        return screening.getResults();
+    }
+
+    /**
+     * Sets up a conjunction sweep that runs in bounded slices, so callers can
+     * interleave other work (catalog ticks) and drop it part-way. Objects whose
+     * perigee/apogee shell cannot come within the threshold of an asset are
+     * skipped for that asset, every other object is sampled once on a coarse
+     * grid and compared with each asset it can reach; each range-rate sign
+     * change (closing -> opening) is refined to the time of closest approach.
+     * @param {Date} startDate - Start of the screening window
+     * @param {Object} options - {windowDays, stepSeconds, thresholdKm, sources,
+     *                           primary (record, may carry maneuvers), primaries (array of
+     *                           records, screened in one pass), noradIds (limit the candidates)}
+     * @returns {Object} {step(budgetMs) → true once finished, getProgress() → 0..1,
+     *                   getResults() → array of {name, noradId, source, sourceIndex, tca,
+     *                   missDistance, relativeVelocity, assetName, assetNoradId} sorted by TCA
+     *                   (km, km/s); sourceIndex is the object's position in its source list,
+     *                   asset* identify the screened primary}
+     */
+    function createScreening(startDate, options = {}) {
+        const primaries = (options.primaries || [options.primary || playerSatellite]).filter(Boolean);
+        const windowDays = options.windowDays || SCREENING_WINDOW_DAYS;
+        const stepSeconds = options.stepSeconds || SCREENING_STEP_SECONDS;
+        const thresholdKm = options.thresholdKm || SCREENING_THRESHOLD_KM;
+        const sources = options.sources || ['debris', 'critical', 'active'];
+
+        const collections = {
+            active: activeSatellites,
+            debris: debrisSatellites,
+            critical: criticalSatellites
+        };
+
+        // Candidates in source order; each step screens as many as its budget allows
+        const candidates = [];
+        if (primaries.length > 0 && startDate) {
+            sources.forEach(source => {
+                (collections[source] || []).forEach((object, sourceIndex) => {
+                    if (!options.noradIds || options.noradIds.indexOf(object.satrec.satnum) !== -1) {
+                        candidates.push({ source: source, sourceIndex: sourceIndex, object: object });
+                    }
+                });
+            });
+        }
+
+        const startMs = startDate ? startDate.getTime() : 0;
+        const stepMs = stepSeconds * 1000;
+        const stepCount = Math.ceil((windowDays * 86400) / stepSeconds);
+
+        // Each primary is sampled once over the window and reused by every candidate
+        const screenedPrimaries = primaries.map(primary => ({ record: primary, states: [], shell: getShell(primary) }));
+        let sampling = 0;               // Primary being sampled (screening starts once all are)
+        let next = 0;
+        let screened = 0;
+        let finished = primaries.length === 0 || !startDate;
+        const conjunctions = [];
+
+        function screenCandidate(candidate) {
+            const object = candidate.object;
+            const objectShell = getShell(object);
+            const reachable = screenedPrimaries.filter(primary =>
+                object.satrec.satnum !== primary.record.satrec.satnum &&
+                shellsOverlap(primary.shell, objectShell, thresholdKm + SCREENING_SHELL_PAD_KM)
+            );
+            if (reachable.length === 0) {
+                return;
+            }
+            screened++;
+
+            const previous = reachable.map(() => null);
+
+            for (let k = 0; k <= stepCount; k++) {
+                const objectState = propagate(object.satrec, new Date(startMs + k * stepMs));
+
+                reachable.forEach((primary, p) => {
+                    const primaryState = primary.states[k];
+
+                    if (!primaryState || !objectState) {
+                        previous[p] = null;
+                        return;
+                    }
+
+                    const relative = relativeState(primaryState, objectState);
+
+                    // Closing at the previous sample, opening now: a minimum lies in between
+                    if (previous[p] && previous[p].rangeRate < 0 && relative.rangeRate >= 0) {
+                        // Range can shrink by at most |v_rel| * step inside the bracket
+                        const bound = Math.min(previous[p].range, relative.range) - relative.speed * stepSeconds;
+
+                        if (bound < thresholdKm) {
+                            const event = refineClosestApproach(
+                                primary.record,
+                                object.satrec,
+                                startMs + (k - 1) * stepMs,
+                                startMs + k * stepMs
+                            );
+
+                            if (event && event.missDistance < thresholdKm) {
+                                conjunctions.push({
+                                    name: object.name,
+                                    noradId: object.satrec.satnum,
+                                    source: candidate.source,
+                                    sourceIndex: candidate.sourceIndex,
+                                    tca: event.tca,
+                                    missDistance: event.missDistance,
+                                    relativeVelocity: event.relativeVelocity,
+                                    assetName: primary.record.name,
+                                    assetNoradId: primary.record.satrec.satnum
+                                });
+                            }
+                        }
+                    }
+
+                    previous[p] = relative;
+                });
+            }
+        }
+
+        return {
+            step: function (budgetMs) {
+                if (finished) return true;
+
+                const deadline = Date.now() + budgetMs;
+
+                // Sample the primaries within the budget too (one SGP4 call per state)
+                while (sampling < screenedPrimaries.length && Date.now() < deadline) {
+                    const primary = screenedPrimaries[sampling];
+                    const k = primary.states.length;
+
+                    primary.states.push(propagateRecord(primary.record, new Date(startMs + k * stepMs)));
+                    if (primary.states.length > stepCount) {
+                        sampling++;
+                    }
+                }
+                if (sampling < screenedPrimaries.length) return false;
+
+                while (next < candidates.length && Date.now() < deadline) {
+                    screenCandidate(candidates[next++]);
+                }
+
+                if (next < candidates.length) return false;
+
+                finished = true;
+                conjunctions.sort((a, b) => a.tca - b.tca);
+                console.log(`OrbitalPropagator: Screened ${screened} objects against ${primaries.length} asset(s) over ${windowDays} days, ${conjunctions.length} conjunction(s) under ${thresholdKm} km`);
+                return true;
+            },
+            getProgress: function () {
+                return finished || candidates.length === 0 ? 1 : next / candidates.length;
+            },
+            getResults: function () {
+                return conjunctions;
+            }
+        };
+    }
+
+    /**
+     * Helper: Check whether two orbits' perigee/apogee shells come within a margin
+     */
+    function shellsOverlap(shellA, shellB, marginKm) {
+        return Math.max(shellA.perigee, shellB.perigee) - Math.min(shellA.apogee, shellB.apogee) <= marginKm;
+    }
+
+    /**
+     * Helper: Perigee/apogee altitude band (km) a record can occupy. A
+     * maneuvered record also covers each post-burn osculating orbit.
+     */
+    function getShell(record) {
+        const shell = {
+            perigee: record.satrec.altp * SGP4_EARTH_RADIUS_KM,
+            apogee: record.satrec.alta * SGP4_EARTH_RADIUS_KM
+        };
+
+        (record.maneuvers || []).forEach(maneuver => {
+            const r = maneuver.burnState.position;
+            const v = addVectors(maneuver.burnState.velocity, maneuver.deltaV);
+            const rMag = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+            const vSq = v.x * v.x + v.y * v.y + v.z * v.z;
+            const a = 1 / (2 / rMag - vSq / MU_EARTH);
+            const hx = r.y * v.z - r.z * v.y;
+            const hy = r.z * v.x - r.x * v.z;
+            const hz = r.x * v.y - r.y * v.x;
+            const e = Math.sqrt(Math.max(0, 1 - (hx * hx + hy * hy + hz * hz) / (MU_EARTH * a)));
+
+            shell.perigee = Math.min(shell.perigee, a * (1 - e) - SGP4_EARTH_RADIUS_KM);
+            shell.apogee = Math.max(shell.apogee, a > 0 ? a * (1 + e) - SGP4_EARTH_RADIUS_KM : Infinity);
+        });
+
+        return shell;
+    }
+
+    /**
+     * Helper: Relative range, range rate and speed of object w.r.t. primary
+     */
+    function relativeState(primaryState, objectState) {
+        const rx = objectState.position.x - primaryState.position.x;
+        const ry = objectState.position.y - primaryState.position.y;
+        const rz = objectState.position.z - primaryState.position.z;
+        const vx = objectState.velocity.x - primaryState.velocity.x;
+        const vy = objectState.velocity.y - primaryState.velocity.y;
+        const vz = objectState.velocity.z - primaryState.velocity.z;
+
+        const range = Math.sqrt(rx * rx + ry * ry + rz * rz);
+
+        return {
+            range: range,
+            rangeRate: range > 0 ? (rx * vx + ry * vy + rz * vz) / range : 0,
+            speed: Math.sqrt(vx * vx + vy * vy + vz * vz)
+        };
+    }
+
+    /**
+     * Helper: Refine the time of closest approach inside a bracket where the
+     * range rate goes from negative to positive (regula falsi, Illinois variant)
+     */
+    function refineClosestApproach(primary, satrecB, lowMs, highMs) {
+        const evaluate = (timeMs) => {
+            const date = new Date(timeMs);
+            const a = propagateRecord(primary, date);
+            const b = propagate(satrecB, date);
+            return (a && b) ? relativeState(a, b) : null;
+        };
+
+        let low = evaluate(lowMs);
+        let high = evaluate(highMs);
+        if (!low || !high) {
+            return null;
+        }
+
+        let fLow = low.rangeRate;
+        let fHigh = high.rangeRate;
+        let side = 0;
+        let bestMs = lowMs;
+        let best = low;
+
+        for (let i = 0; i < 40 && highMs - lowMs > TCA_TOLERANCE_MS; i++) {
+            const midMs = (fHigh - fLow) !== 0
+                ? highMs - fHigh * (highMs - lowMs) / (fHigh - fLow)
+                : (lowMs + highMs) / 2;
+            const mid = evaluate(midMs);
+            if (!mid) {
+                return null;
+            }
+
+            bestMs = midMs;
+            best = mid;
+
+            if (mid.rangeRate < 0) {
+                lowMs = midMs;
+                fLow = mid.rangeRate;
+                if (side === -1) fHigh /= 2;
+                side = -1;
+            } else {
+                highMs = midMs;
+                fHigh = mid.rangeRate;
+                if (side === 1) fLow /= 2;
+                side = 1;
+            }
+
+            if (Math.abs(mid.rangeRate) < 1e-7) {
+                break;
+            }
+        }
+
+        return {
+            tca: new Date(Math.round(bestMs)),
+            missDistance: best.range,
+            relativeVelocity: best.speed
+        };
+    }
+
+    /**
+     * Finds the first closest approach between a primary and one object inside
+     * a short window, using the screening refinement on the first bracket where
+     * the range rate turns from closing to opening
+     * @param {Object} primary - Primary record (may carry maneuvers)
+     * @param {Object} satrec - Object's satellite record
+     * @param {Date} startDate - Start of the search window
+     * @param {number} windowSeconds - Window length
+     * @returns {Object|null} {tca, missDistance, relativeVelocity} (km, km/s), or null
+     *                        if the range does not reach a minimum inside the window
+     */
+    function findClosestApproach(primary, satrec, startDate, windowSeconds) {
+        const startMs = startDate.getTime();
+        const stepMs = Math.max(1, Math.min(SCREENING_STEP_SECONDS, windowSeconds / 20)) * 1000;
+        const endMs = startMs + windowSeconds * 1000;
+        let previous = null;
+
+        for (let timeMs = startMs; timeMs <= endMs + stepMs / 2; timeMs += stepMs) {
+            const date = new Date(timeMs);
+            const a = propagateRecord(primary, date);
+            const b = propagate(satrec, date);
+            if (!a || !b) return null;
+
+            const relative = relativeState(a, b);
+            if (previous && previous.rangeRate < 0 && relative.rangeRate >= 0) {
+                return refineClosestApproach(primary, satrec, timeMs - stepMs, timeMs);
+            }
+            previous = relative;
+        }
+
+        return null;
+    }
+
+    // ==========================================
+    // 15. MANEUVER FUNCTIONS
+    // ==========================================
+    /**
+     * Plans an impulsive burn. The delta-v is given in the RTN frame of the
+     * state at burn time (radial out, in-track along velocity, cross-track
+     * along orbit normal). The input record is left untouched.
+     * @param {Object} record - {name, satrec, maneuvers} (e.g. the player satellite)
+     * @param {Object} burn - {burnTime (Date), radial, inTrack, crossTrack} in m/s
+     * @returns {Object|null} New record {name, satrec, maneuvers} with the burn appended
+     */
+    function createManeuver(record, burn) {
+        if (!record || !burn || !(burn.burnTime instanceof Date)) {
+            return null;
+        }
+
+        const state = propagateRecord(record, burn.burnTime);
+        if (!state) {
+            console.warn('OrbitalPropagator: Cannot plan maneuver, propagation failed at burn time');
+            return null;
+        }
+
+        const r = state.position;
+        const v = state.velocity;
+        const rMag = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+        const radialUnit = { x: r.x / rMag, y: r.y / rMag, z: r.z / rMag };
+        const h = { x: r.y * v.z - r.z * v.y, y: r.z * v.x - r.x * v.z, z: r.x * v.y - r.y * v.x };
+        const hMag = Math.sqrt(h.x * h.x + h.y * h.y + h.z * h.z);
+        const normalUnit = { x: h.x / hMag, y: h.y / hMag, z: h.z / hMag };
+        const inTrackUnit = {
+            x: normalUnit.y * radialUnit.z - normalUnit.z * radialUnit.y,
+            y: normalUnit.z * radialUnit.x - normalUnit.x * radialUnit.z,
+            z: normalUnit.x * radialUnit.y - normalUnit.y * radialUnit.x
+        };
+
+        const radial = (burn.radial || 0) / 1000;         // m/s -> km/s
+        const inTrack = (burn.inTrack || 0) / 1000;
+        const crossTrack = (burn.crossTrack || 0) / 1000;
+
+        const maneuver = {
+            burnTime: burn.burnTime.getTime(),
+            burnState: {
+                position: { x: r.x, y: r.y, z: r.z },
+                velocity: { x: v.x, y: v.y, z: v.z }
+            },
+            deltaV: {
+                x: radial * radialUnit.x + inTrack * inTrackUnit.x + crossTrack * normalUnit.x,
+                y: radial * radialUnit.y + inTrack * inTrackUnit.y + crossTrack * normalUnit.y,
+                z: radial * radialUnit.z + inTrack * inTrackUnit.z + crossTrack * normalUnit.z
+            },
+            rtn: { radial: burn.radial || 0, inTrack: burn.inTrack || 0, crossTrack: burn.crossTrack || 0 },
+            magnitude: Math.sqrt(radial * radial + inTrack * inTrack + crossTrack * crossTrack) * 1000  // m/s
+        };
+
+        return {
+            name: record.name,
+            satrec: record.satrec,
+            maneuvers: (record.maneuvers || []).concat([maneuver])
+        };
+    }
+
+    /**
+     * Replaces the player's executed maneuvers (e.g. to commit a plan from
+     * createManeuver)
+     * @param {Array} maneuvers - Maneuver list from a planned record
+     */
+    function setPlayerManeuvers(maneuvers) {
+        if (!playerSatellite) return;
+        playerSatellite.maneuvers = (maneuvers || []).slice();
+    }
+
+    /**
+     * Samples a record's trajectory forward from a date (for previewing a
+     * planned maneuver)
+     * @param {Object} record - {satrec, maneuvers}
+     * @param {Date} startDate - First sample time
+     * @param {Object} options - {revolutions, samplesPerRevolution}
+     * @returns {Array} Array of THREE.Vector3 scene positions
+     */
+    function getRecordTrajectory(record, startDate, options = {}) {
+        const revolutions = options.revolutions || TRAJECTORY_FUTURE_REVS;
+        const samplesPerRev = options.samplesPerRevolution || TRAJECTORY_SAMPLES_PER_REV;
+        const stepMs = ((2 * Math.PI) / record.satrec.no) * 60000 / samplesPerRev;
+        const count = Math.round(revolutions * samplesPerRev);
+        const points = [];
+
+        for (let i = 0; i <= count; i++) {
+            const sampleDate = new Date(startDate.getTime() + i * stepMs);
+            const pv = propagateRecord(record, sampleDate);
+            const scenePos = pv ? eciToScenePosition(pv.position, sampleDate) : null;
+            if (scenePos) {
+                points.push(scenePos);
+            }
+        }
+
+        return points;
+    }
+
+    // ==========================================
+    // 16. SUN AND ECLIPSE FUNCTIONS
+    // ==========================================
+    /**
+     * Sun position from the low-precision solar ephemeris (Astronomical
+     * Almanac; about 0.01° over 1950-2050), in the same inertial frame as
+     * the SGP4 states (the mean-of-date/TEME difference is negligible here)
+     * @param {Date} date - Time
+     * @returns {Object} Sun position {x, y, z} in km
+     */
+    function getSunPosition(date) {
+        const julianDate = date.getTime() / 86400000 + 2440587.5;
+        const t = (julianDate - 2451545.0) / 36525;    // Julian centuries since J2000
+        const deg = Math.PI / 180;
+
+        const meanLongitude = 280.460 + 36000.771 * t;
+        const meanAnomaly = (357.5291092 + 35999.05034 * t) * deg;
+        const eclipticLongitude = (meanLongitude +
+            1.914666471 * Math.sin(meanAnomaly) +
+            0.019994643 * Math.sin(2 * meanAnomaly)) * deg;
+        const distance = (1.000140612 -
+            0.016708617 * Math.cos(meanAnomaly) -
+            0.000139589 * Math.cos(2 * meanAnomaly)) * AU_KM;
+        const obliquity = (23.439291 - 0.0130042 * t) * deg;
+
+        return {
+            x: distance * Math.cos(eclipticLongitude),
+            y: distance * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+            z: distance * Math.sin(obliquity) * Math.sin(eclipticLongitude)
+        };
+    }
+
+    /**
+     * Shadow state of a satellite from the apparent overlap of the solar and
+     * Earth disks (conical shadow model)
+     * @param {Object} position - Satellite ECI position {x, y, z} in km
+     * @param {Object} sunPosition - Sun ECI position (see getSunPosition)
+     * @returns {Object} {state: 'sunlit'|'penumbra'|'umbra', sunlightFraction (0-1)}
+     */
+    function getEclipseState(position, sunPosition) {
+        const toSun = {
+            x: sunPosition.x - position.x,
+            y: sunPosition.y - position.y,
+            z: sunPosition.z - position.z
+        };
+        const sunDistance = Math.sqrt(toSun.x * toSun.x + toSun.y * toSun.y + toSun.z * toSun.z);
+        const earthDistance = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+
+        // Apparent radii of the Sun (a) and Earth (b), and their separation (c)
+        const a = Math.asin(Math.min(1, SUN_RADIUS_KM / sunDistance));
+        const b = Math.asin(Math.min(1, SHADOW_EARTH_RADIUS_KM / earthDistance));
+        const cosC = -(position.x * toSun.x + position.y * toSun.y + position.z * toSun.z) / (earthDistance * sunDistance);
+        const c = Math.acos(Math.max(-1, Math.min(1, cosC)));
+
+        if (c >= a + b) {
+            return { state: 'sunlit', sunlightFraction: 1 };
+        }
+        if (c <= b - a) {
+            return { state: 'umbra', sunlightFraction: 0 };
+        }
+
+        // Partial overlap: area of the solar disk hidden by the Earth
+        const x = (c * c + a * a - b * b) / (2 * c);
+        const y = Math.sqrt(Math.max(0, a * a - x * x));
+        const hidden = a * a * Math.acos(Math.max(-1, Math.min(1, x / a))) +
+            b * b * Math.acos(Math.max(-1, Math.min(1, (c - x) / b))) - c * y;
+
+        return {
+            state: 'penumbra',
+            sunlightFraction: Math.max(0, Math.min(1, 1 - hidden / (Math.PI * a * a)))
+        };
+    }
+
+    /**
+     * Beta angle: elevation of the Sun above the orbit plane. Near ±90° the
+     * orbit never enters eclipse; near 0° eclipses are longest.
+     * @param {Object} pv - {position, velocity} ECI state
+     * @param {Object} sunPosition - Sun ECI position (see getSunPosition)
+     * @returns {number} Beta angle in degrees (-90 to 90)
+     */
+    function getBetaAngle(pv, sunPosition) {
+        const r = pv.position;
+        const v = pv.velocity;
+        const h = { x: r.y * v.z - r.z * v.y, y: r.z * v.x - r.x * v.z, z: r.x * v.y - r.y * v.x };
+        const hMag = Math.sqrt(h.x * h.x + h.y * h.y + h.z * h.z);
+        const sunMag = Math.sqrt(sunPosition.x * sunPosition.x + sunPosition.y * sunPosition.y + sunPosition.z * sunPosition.z);
+        const sine = (h.x * sunPosition.x + h.y * sunPosition.y + h.z * sunPosition.z) / (hMag * sunMag);
+
+        return Math.asin(Math.max(-1, Math.min(1, sine))) * (180 / Math.PI);
+    }
+
+    /**
+     * Illumination of the player satellite
+     * @param {Date} date - Current time
+     * @returns {Object|null} {state, sunlightFraction, betaAngle (degrees)}
+     */
+    function getPlayerIllumination(date) {
+        if (!playerSatellite) return null;
+
+        const pv = propagateRecord(playerSatellite, date);
+        if (!pv) return null;
+
+        const sun = getSunPosition(date);
+        return Object.assign(getEclipseState(pv.position, sun), { betaAngle: getBetaAngle(pv, sun) });
+    }
+
+    // ==========================================
+    // 17. ORBITAL DECAY FUNCTIONS
+    // ==========================================
+    /**
+     * Estimates remaining orbital lifetime by integrating orbit-averaged drag
+     * through an exponential atmosphere. The ballistic coefficient is
+     * calibrated from the TLE's observed mean-motion decay (ṅ) when that is
+     * usable, otherwise taken from B*. Records are integrated from the TLE
+     * epoch, or from the orbit left by the latest burn executed by the given
+     * time; either start is fixed, so estimates are cached.
+     * @param {Object} record - Satellite record {satrec, maneuvers?}
+     * @param {Date} date - Current time
+     * @returns {Object} {reentryDate (Date|null), lifetimeDays (from date, ≤ 0 once
+     *                   passed), ballisticCoefficient (m²/kg), source ('ndot'|'bstar'|null),
+     *                   exceedsHorizon, horizonYears}; source is null when the TLE
+     *                   carries no usable drag term
+     */
+    function estimateDecay(record, date) {
+        const satrec = record.satrec;
+        const burn = (record.maneuvers || [])
+            .filter(maneuver => maneuver.burnTime <= date.getTime())
+            .reduce((latest, maneuver) => (!latest || maneuver.burnTime > latest.burnTime ? maneuver : latest), null);
+        const key = burn || satrec;
+
+        let estimate = decayCache.get(key);
+        if (!estimate) {
+            let start;
+            let a = NaN;
+            let e = NaN;
+            if (burn) {
+                // Shift the mean elements by what all burns so far changed in the
+                // osculating orbit (the post-burn state includes this burn's Δv)
+                start = new Date(burn.burnTime);
+                const unburned = propagate(satrec, start);
+                const burned = propagateRecord(record, start);
+                if (unburned && burned) {
+                    const before = osculatingShape(unburned);
+                    const after = osculatingShape(burned);
+                    a = meanSemiMajorAxis(satrec) + after.a - before.a;
+                    e = Math.max(0, satrec.ecco + after.e - before.e);
+                }
+            } else {
+                start = new Date((satrec.jdsatepoch - 2440587.5) * 86400000);
+                a = meanSemiMajorAxis(satrec);
+                e = satrec.ecco;
+            }
+
+            estimate = integrateDecay(getBallisticCoefficient(satrec), a, e, start);
+            decayCache.set(key, estimate);
+        }
+
+        return {
+            reentryDate: estimate.reentryDate,
+            lifetimeDays: estimate.reentryDate ? (estimate.reentryDate - date) / 86400000 : null,
+            ballisticCoefficient: estimate.ballisticCoefficient,
+            source: estimate.source,
+            exceedsHorizon: estimate.source !== null && !estimate.reentryDate,
+            horizonYears: DECAY_HORIZON_YEARS
+        };
+    }
+
+    /**
+     * Helper: Osculating semi-major axis (km) and eccentricity of a state vector
+     */
+    function osculatingShape(state) {
+        const r = state.position;
+        const v = state.velocity;
+        const rMag = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+        const vSq = v.x * v.x + v.y * v.y + v.z * v.z;
+        const hx = r.y * v.z - r.z * v.y;
+        const hy = r.z * v.x - r.x * v.z;
+        const hz = r.x * v.y - r.y * v.x;
+        const a = 1 / (2 / rMag - vSq / MU_EARTH);
+        return { a: a, e: Math.sqrt(Math.max(0, 1 - (hx * hx + hy * hy + hz * hz) / (MU_EARTH * a))) };
+    }
+
+    /**
+     * Helper: Mean semi-major axis (km); satrec.no is the un-Kozai'd mean motion in rad/min
+     */
+    function meanSemiMajorAxis(satrec) {
+        const n = satrec.no / 60;
+        return Math.cbrt(MU_EARTH / (n * n));
+    }
+
+    /**
+     * Helper: Cd·A/m (m²/kg) for a TLE, matched to its observed decay at epoch
+     * @returns {Object} {ballisticCoefficient, source}, both null without a drag term
+     */
+    function getBallisticCoefficient(satrec) {
+        // TLE line 1 carries ṅ/2; satellite.js keeps it in rad/min²
+        const ndot = 2 * satrec.ndot / 3600;
+        const a = meanSemiMajorAxis(satrec);
+        const n = satrec.no / 60;
+
+        if (ndot > 0 && satrec.ecco < 1) {
+            // da/dt = -(2/3)(a/n)ṅ, matched against the model's rate per unit Cd·A/m
+            const observed = (2 / 3) * (a / n) * ndot;
+            const candidate = observed / averageDecayRates(a, satrec.ecco, 1).aRate;
+            if (isFinite(candidate) && candidate <= MAX_BALLISTIC_COEFF) {
+                return { ballisticCoefficient: candidate, source: 'ndot' };
+            }
+        }
+        if (satrec.bstar > 0) {
+            return { ballisticCoefficient: satrec.bstar * BSTAR_TO_BALLISTIC, source: 'bstar' };
+        }
+        return { ballisticCoefficient: null, source: null };
+    }
+
+    /**
+     * Helper: Steps a and e forward until perigee reaches the reentry altitude
+     * @param {Object} drag - From getBallisticCoefficient
+     * @returns {Object} {reentryDate, ballisticCoefficient, source}
+     */
+    function integrateDecay(drag, a, e, start) {
+        const ballisticCoefficient = drag.ballisticCoefficient;
+        const source = drag.source;
+        if (source === null || !isFinite(a) || !isFinite(e) || e >= 1) {
+            return { reentryDate: null, ballisticCoefficient: ballisticCoefficient, source: null };
+        }
+
+        const horizonSeconds = DECAY_HORIZON_YEARS * 365.25 * 86400;
+        let elapsed = 0;
+
+        while (a * (1 - e) - SGP4_EARTH_RADIUS_KM > REENTRY_ALTITUDE_KM) {
+            if (elapsed >= horizonSeconds) {
+                return { reentryDate: null, ballisticCoefficient: ballisticCoefficient, source: source };
+            }
+
+            const rates = averageDecayRates(a, e, ballisticCoefficient);
+            const perigeeRate = Math.abs(rates.aRate * (1 - e) - a * rates.eRate);
+            const dt = Math.max(1, Math.min(
+                DECAY_MAX_STEP_DAYS * 86400,
+                DECAY_MAX_STEP_KM / Math.max(rates.aRate, perigeeRate, 1e-12)
+            ));
+
+            a -= rates.aRate * dt;
+            e = Math.max(0, e - rates.eRate * dt);
+            elapsed += dt;
+        }
+
+        return {
+            reentryDate: new Date(start.getTime() + elapsed * 1000),
+            ballisticCoefficient: ballisticCoefficient,
+            source: source
+        };
+    }
+
+    /**
+     * Helper: Orbit-averaged decay of a (km/s) and e (1/s) under along-track drag
+     * (Gauss equations), sampled uniformly in mean anomaly
+     */
+    function averageDecayRates(a, e, ballisticCoefficient) {
+        let aRate = 0;
+        let eRate = 0;
+
+        for (let i = 0; i < DECAY_ORBIT_SAMPLES; i++) {
+            const M = 2 * Math.PI * i / DECAY_ORBIT_SAMPLES;
+            let E = M;
+            for (let iter = 0; iter < 10; iter++) {
+                E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            }
+
+            const r = a * (1 - e * Math.cos(E));
+            const v = Math.sqrt(MU_EARTH * (2 / r - 1 / a));
+            const cosNu = (Math.cos(E) - e) / (1 - e * Math.cos(E));
+            // ρ·Cd·A/m per km (density kg/m³ × 1000 m/km), so drag = k·v²/2 in km/s²
+            const k = atmosphericDensity(r - SGP4_EARTH_RADIUS_KM) * ballisticCoefficient * 1000;
+
+            aRate += (a * a / MU_EARTH) * k * v * v * v;
+            eRate += (e + cosNu) * k * v;
+        }
+
+        return { aRate: aRate / DECAY_ORBIT_SAMPLES, eRate: eRate / DECAY_ORBIT_SAMPLES };
+    }
+
+    /**
+     * Helper: Exponential-model density (kg/m³) at an altitude (km)
+     */
+    function atmosphericDensity(altitude) {
+        let layer = ATMOSPHERE_LAYERS[0];
+        for (let i = ATMOSPHERE_LAYERS.length - 1; i >= 0; i--) {
+            if (altitude >= ATMOSPHERE_LAYERS[i][0]) {
+                layer = ATMOSPHERE_LAYERS[i];
+                break;
+            }
+        }
+        return layer[1] * Math.exp(-(altitude - layer[0]) / layer[2]);
+    }
+
     // ==========================================
     // PUBLIC API
     // ==========================================
@@ -460,14 +1728,31 @@ const OrbitalPropagator = (function () {
         initSatellites: initSatellites,
         initPlayerSatellite: initPlayerSatellite,
 
+        // Fleet
+        addFleetSatellite: addFleetSatellite,
+        removeFleetSatellite: removeFleetSatellite,
+        setFocusSatellite: setFocusSatellite,
+        getFleet: function () { return fleet.slice(); },
+
         // Core propagation
         propagate: propagate,
+        propagateRecord: propagateRecord,
         eciToScenePosition: eciToScenePosition,
+        eciToSceneArray: eciToSceneArray,
+        classifyObject: classifyObject,
+
+        // Display frame
+        setDisplayFrame: setDisplayFrame,
+        getDisplayFrame: function () { return displayFrame; },
+        getEarthRotation: getEarthRotation,
 
         // Player satellite functions
         getPlayerPosition: getPlayerPosition,
         getPlayerOrbitalParams: getPlayerOrbitalParams,
+        getOrbitalElements: getOrbitalElements,
         getPlayerGeodetic: getPlayerGeodetic,
+        getPlayerTrajectory: getPlayerTrajectory,
+        getPlayerGroundTrack: getPlayerGroundTrack,
 
         // Satellite collection functions
         getActiveSatellitePositions: getActiveSatellitePositions,
@@ -478,6 +1763,33 @@ const OrbitalPropagator = (function () {
         calculateDistance: calculateDistance,
         getDebrisWithDistances: getDebrisWithDistances,
         eciToGeodetic: eciToGeodetic,
+        calculateFootprint: calculateFootprint,
+
+        // Sun and eclipse
+        getSunPosition: getSunPosition,
+        getEclipseState: getEclipseState,
+        getBetaAngle: getBetaAngle,
+        getPlayerIllumination: getPlayerIllumination,
+
+        // Orbital decay
+        estimateDecay: estimateDecay,
+
+        // Conjunction screening
+        screenConjunctions: screenConjunctions,
+        createScreening: createScreening,
+        findClosestApproach: findClosestApproach,
+        getScreeningDefaults: function () {
+            return {
+                windowDays: SCREENING_WINDOW_DAYS,
+                stepSeconds: SCREENING_STEP_SECONDS,
+                thresholdKm: SCREENING_THRESHOLD_KM
+            };
+        },
+
+        // Maneuver planning
+        createManeuver: createManeuver,
+        setPlayerManeuvers: setPlayerManeuvers,
+        getRecordTrajectory: getRecordTrajectory,
 
         // Getters for other modules
         getPlayerSatellite: function () { return playerSatellite; },
@@ -0,0 +1,579 @@
+// ============================================
+// PROPAGATION SERVICE MODULE
+// Propagates the full catalog once per tick (Web Worker with main-thread fallback)
+// ============================================
+
+const PropagationService = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+
+    // Worker plumbing
+    const WORKER_URL = 'js/propagation-worker.js';
+    let worker = null;
+    let workerReady = false;
+    let useWorker = false;
+
+    // Snapshot layout: one contiguous block per source, in this order
+    const SOURCES = ['active', 'debris', 'critical'];
+    let layout = null;            // {active: {start, count}, debris: {...}, critical: {...}, total}
+
+    // Double-buffered snapshots: the front set is read by the scene/CTS/UI,
+    // the back set is handed to the worker to fill for the next tick
+    let front = null;             // {positions, velocities, valid}
+    let back = null;              // null while a tick is in flight
+    let snapshotDate = null;      // Date the front set was propagated to
+    let snapshotSeq = 0;          // Increments on every completed tick
+    let tickInFlight = false;
+
+    // Pending screening requests: requestId -> {resolve, reject, date, options, key,
+    // urgent, onProgress, screening}; screening is set while the request runs on the main thread
+    let pendingScreens = {};
+    let nextRequestId = 1;
+    let localQueue = [];          // Round-robin requestIds screened on the main thread
+    let localPumpScheduled = false;
+
+    // Main-thread screening slice, short enough to keep frames flowing
+    const LOCAL_SLICE_MS = 15;
+
+    // Per-snapshot cache of scene positions
+    let sceneCache = { seq: -1, frame: null, sources: {}, objects: {}, packed: null };
+    let scenePacked = null;       // Reused Float32Array for packed scene coordinates
+
+    // Catalog records in snapshot order: {source, index, record}
+    let records = [];
+
+    // ==========================================
+    // 1. INIT FUNCTION
+    // ==========================================
+    /**
+     * Sets up snapshot buffers for the catalog already loaded into
+     * OrbitalPropagator and starts the worker
+     * @param {Object} tleData - Object with {active, debris, critical} arrays (same data given to initSatellites)
+     * @returns {Object} Layout {active, debris, critical, total}
+     */
+    function init(tleData) {
+        const collections = {
+            active: OrbitalPropagator.getActiveSatellites(),
+            debris: OrbitalPropagator.getDebrisSatellites(),
+            critical: OrbitalPropagator.getCriticalSatellites()
+        };
+
+        layout = { total: 0 };
+        records = [];
+        SOURCES.forEach(source => {
+            layout[source] = { start: layout.total, count: collections[source].length };
+            layout.total += collections[source].length;
+            collections[source].forEach((record, index) => {
+                records.push({ source: source, index: index, record: record });
+            });
+        });
+
+        scenePacked = new Float32Array(layout.total * 3);
+        front = allocateBuffers(layout.total);
+        back = allocateBuffers(layout.total);
+        snapshotDate = null;
+        tickInFlight = false;
+
+        startWorker(tleData);
+
+        console.log(`PropagationService: ${layout.total.toLocaleString()} objects, ${useWorker ? 'worker' : 'main-thread'} propagation`);
+        return layout;
+    }
+
+    /**
+     * Helper: Allocate one set of snapshot arrays
+     */
+    function allocateBuffers(count) {
+        return {
+            positions: new Float32Array(count * 3),
+            velocities: new Float32Array(count * 3),
+            valid: new Uint8Array(count)
+        };
+    }
+
+    /**
+     * Helper: Start the worker, falling back to main-thread propagation when
+     * workers are unavailable (e.g. pages opened from file://)
+     */
+    function startWorker(tleData) {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        workerReady = false;
+        useWorker = false;
+
+        if (typeof Worker === 'undefined') {
+            console.warn('PropagationService: Web Workers not supported, propagating on main thread');
+            return;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+            worker.onmessage = handleWorkerMessage;
+            worker.onerror = function (event) {
+                console.warn('PropagationService: Worker failed, falling back to main thread', event.message || event);
+                fallBackToMainThread();
+            };
+            worker.postMessage({ type: 'init', catalog: tleData });
+            useWorker = true;
+        } catch (error) {
+            console.warn('PropagationService: Could not start worker, propagating on main thread', error);
+            worker = null;
+        }
+    }
+
+    /**
+     * Helper: Abandon the worker and serve everything from the main thread
+     */
+    function fallBackToMainThread() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        useWorker = false;
+        workerReady = false;
+
+        // Buffers handed to the worker are gone; replace them
+        if (tickInFlight) {
+            back = allocateBuffers(layout.total);
+            tickInFlight = false;
+        }
+
+        // Restart outstanding worker screening requests locally
+        Object.keys(pendingScreens).forEach(id => {
+            if (!pendingScreens[id].screening) {
+                startLocalScreen(Number(id));
+            }
+        });
+    }
+
+    // ==========================================
+    // 2. WORKER MESSAGE HANDLER
+    // ==========================================
+    function handleWorkerMessage(event) {
+        const msg = event.data;
+
+        switch (msg.type) {
+            case 'ready':
+                // Record counts must match or indices would point at the wrong objects
+                if (SOURCES.some(source => msg.counts[source] !== layout[source].count)) {
+                    console.warn('PropagationService: Worker catalog does not match main thread, falling back');
+                    fallBackToMainThread();
+                    return;
+                }
+                workerReady = true;
+                console.log('PropagationService: Worker ready');
+                break;
+
+            case 'tick':
+                back = front;
+                front = {
+                    positions: new Float32Array(msg.buffers.positions),
+                    velocities: new Float32Array(msg.buffers.velocities),
+                    valid: new Uint8Array(msg.buffers.valid)
+                };
+                snapshotDate = new Date(msg.time);
+                snapshotSeq++;
+                tickInFlight = false;
+                break;
+
+            case 'screen': {
+                const request = pendingScreens[msg.requestId];
+                if (request) {
+                    delete pendingScreens[msg.requestId];
+                    request.resolve(msg.conjunctions);
+                }
+                break;
+            }
+
+            case 'screen-progress': {
+                const request = pendingScreens[msg.requestId];
+                if (request && request.onProgress) {
+                    request.onProgress(msg.progress);
+                }
+                break;
+            }
+
+            case 'error':
+                console.warn(`PropagationService: Worker error during ${msg.requestType}: ${msg.message}`);
+                if (msg.requestType === 'tick') {
+                    back = allocateBuffers(layout.total);
+                    tickInFlight = false;
+                } else if (msg.requestType === 'screen' && pendingScreens[msg.requestId]) {
+                    pendingScreens[msg.requestId].reject(new Error(msg.message));
+                    delete pendingScreens[msg.requestId];
+                }
+                break;
+        }
+    }
+
+    // ==========================================
+    // 3. REQUEST TICK FUNCTION
+    // ==========================================
+    /**
+     * Requests propagation of the whole catalog to a date. With the worker the
+     * result lands on a later frame; without it the snapshot updates immediately.
+     * Requests made while one is in flight are dropped.
+     * @param {Date} date - Simulation time
+     * @returns {boolean} True if a tick was started
+     */
+    function requestTick(date) {
+        if (!layout || tickInFlight) {
+            return false;
+        }
+
+        if (useWorker) {
+            if (!workerReady) {
+                return false;
+            }
+
+            tickInFlight = true;
+            const buffers = {
+                positions: back.positions.buffer,
+                velocities: back.velocities.buffer,
+                valid: back.valid.buffer
+            };
+            back = null;
+            worker.postMessage(
+                { type: 'tick', time: date.getTime(), buffers: buffers },
+                [buffers.positions, buffers.velocities, buffers.valid]
+            );
+            return true;
+        }
+
+        fillSnapshot(date, back);
+        const filled = back;
+        back = front;
+        front = filled;
+        snapshotDate = new Date(date.getTime());
+        snapshotSeq++;
+        return true;
+    }
+
+    /**
+     * Helper: Main-thread equivalent of the worker's fill
+     */
+    function fillSnapshot(date, target) {
+        const collections = {
+            active: OrbitalPropagator.getActiveSatellites(),
+            debris: OrbitalPropagator.getDebrisSatellites(),
+            critical: OrbitalPropagator.getCriticalSatellites()
+        };
+
+        SOURCES.forEach(source => {
+            const start = layout[source].start;
+            collections[source].forEach((record, offset) => {
+                const i = start + offset;
+                const pv = OrbitalPropagator.propagate(record.satrec, date);
+
+                if (pv) {
+                    target.positions[i * 3] = pv.position.x;
+                    target.positions[i * 3 + 1] = pv.position.y;
+                    target.positions[i * 3 + 2] = pv.position.z;
+                    target.velocities[i * 3] = pv.velocity.x;
+                    target.velocities[i * 3 + 1] = pv.velocity.y;
+                    target.velocities[i * 3 + 2] = pv.velocity.z;
+                    target.valid[i] = 1;
+                } else {
+                    target.valid[i] = 0;
+                }
+            });
+        });
+    }
+
+    // ==========================================
+    // 4. SNAPSHOT ACCESS
+    // ==========================================
+    /**
+     * Returns the latest completed snapshot (arrays are shared, do not modify)
+     * @returns {Object|null} {date, seq, layout, positions, velocities, valid}
+     */
+    function getSnapshot() {
+        if (!snapshotDate) {
+            return null;
+        }
+
+        return {
+            date: snapshotDate,
+            seq: snapshotSeq,
+            layout: layout,
+            positions: front.positions,
+            velocities: front.velocities,
+            valid: front.valid
+        };
+    }
+
+    /**
+     * Returns scene positions for one source from the latest snapshot.
+     * Converted once per snapshot and shared by every caller.
+     * @param {string} source - 'active', 'debris' or 'critical'
+     * @returns {Array} Array of THREE.Vector3 positions (invalid objects skipped)
+     */
+    function getScenePositions(source) {
+        if (!snapshotDate || !layout || !layout[source]) {
+            return [];
+        }
+
+        refreshSceneCache();
+
+        if (!sceneCache.sources[source]) {
+            sceneCache.sources[source] = getSceneObjects(source).map(object => object.position);
+        }
+
+        return sceneCache.sources[source];
+    }
+
+    /**
+     * Returns the objects of one source with their identity, scene position
+     * and ECI state from the latest snapshot. Shares the per-snapshot cache
+     * with getScenePositions.
+     * @param {string} source - 'active', 'debris' or 'critical'
+     * @returns {Array} Array of {index, name, noradId, source, position, eci, velocity}
+     *                  (index is the catalog/snapshot index; eci in km, velocity in km/s;
+     *                  invalid objects skipped)
+     */
+    function getSceneObjects(source) {
+        if (!snapshotDate || !layout || !layout[source]) {
+            return [];
+        }
+
+        refreshSceneCache();
+
+        if (!sceneCache.objects[source]) {
+            const { start, count } = layout[source];
+            const objects = [];
+
+            for (let i = start; i < start + count; i++) {
+                if (!front.valid[i]) continue;
+
+                const eci = {
+                    x: front.positions[i * 3],
+                    y: front.positions[i * 3 + 1],
+                    z: front.positions[i * 3 + 2]
+                };
+                const scenePos = OrbitalPropagator.eciToScenePosition(eci, snapshotDate);
+                if (!scenePos) continue;
+
+                const record = records[i].record;
+                objects.push({
+                    index: i,
+                    name: record.name,
+                    noradId: record.satrec.satnum,
+                    source: source,
+                    position: scenePos,
+                    eci: eci,
+                    velocity: {
+                        x: front.velocities[i * 3],
+                        y: front.velocities[i * 3 + 1],
+                        z: front.velocities[i * 3 + 2]
+                    }
+                });
+            }
+
+            sceneCache.objects[source] = objects;
+        }
+
+        return sceneCache.objects[source];
+    }
+
+    /**
+     * Returns packed scene coordinates (x, y, z per object) for the whole
+     * catalog in snapshot order. The array is reused between snapshots.
+     * @returns {Float32Array|null} Packed scene positions
+     */
+    function getSceneArray() {
+        if (!snapshotDate) {
+            return null;
+        }
+
+        refreshSceneCache();
+
+        if (!sceneCache.packed) {
+            sceneCache.packed = OrbitalPropagator.eciToSceneArray(front.positions, scenePacked, snapshotDate);
+        }
+
+        return sceneCache.packed;
+    }
+
+    /**
+     * Helper: Drop cached conversions when a new snapshot has landed or the
+     * display frame has changed
+     */
+    function refreshSceneCache() {
+        const frame = OrbitalPropagator.getDisplayFrame();
+
+        if (sceneCache.seq !== snapshotSeq || sceneCache.frame !== frame) {
+            sceneCache = { seq: snapshotSeq, frame: frame, sources: {}, objects: {}, packed: null };
+        }
+    }
+
+    /**
+     * Maps an object's position within its source list (e.g. a conjunction's
+     * sourceIndex) to its catalog/snapshot index
+     * @param {string} source - 'active', 'debris' or 'critical'
+     * @param {number} sourceIndex - Index within that source
+     * @returns {number|null} Catalog index, or null if out of range
+     */
+    function getCatalogIndex(source, sourceIndex) {
+        if (!layout || !layout[source] || !(sourceIndex >= 0) || sourceIndex >= layout[source].count) {
+            return null;
+        }
+
+        return layout[source].start + sourceIndex;
+    }
+
+    // ==========================================
+    // 5. SCREEN CONJUNCTIONS FUNCTION
+    // ==========================================
+    /**
+     * Runs OrbitalPropagator.createScreening in slices: in the worker between
+     * ticks when available, otherwise on the main thread between frames.
+     * The worker has no player of its own, so callers pass options.primary or
+     * options.primaries; records (maneuvers included) are plain data and are
+     * cloned across as-is.
+     * @param {Date} startDate - Start of the screening window
+     * @param {Object} options - Same options as OrbitalPropagator.screenConjunctions
+     * @param {Object} control - {key (a new request with the same key cancels the
+     *                           previous one), urgent (runs ahead of other screens),
+     *                           onProgress(fraction)}
+     * @returns {Promise<Array|null>} Conjunctions sorted by TCA, or null if cancelled
+     */
+    function screenConjunctions(startDate, options = {}, control = {}) {
+        if (control.key) {
+            cancelScreen(control.key);
+        }
+
+        return new Promise((resolve, reject) => {
+            const requestId = nextRequestId++;
+            pendingScreens[requestId] = {
+                resolve: resolve,
+                reject: reject,
+                date: startDate,
+                options: options,
+                key: control.key || null,
+                urgent: !!control.urgent,
+                onProgress: control.onProgress || null,
+                screening: null
+            };
+
+            if (useWorker && workerReady) {
+                worker.postMessage({
+                    type: 'screen',
+                    requestId: requestId,
+                    time: startDate.getTime(),
+                    options: options,
+                    urgent: !!control.urgent
+                });
+            } else {
+                startLocalScreen(requestId);
+            }
+        });
+    }
+
+    /**
+     * Cancels pending screening requests made with a key; their promises
+     * resolve with null
+     * @param {string} key - Key passed to screenConjunctions
+     */
+    function cancelScreen(key) {
+        Object.keys(pendingScreens).forEach(id => {
+            const request = pendingScreens[id];
+            if (request.key !== key) return;
+
+            delete pendingScreens[id];
+            if (request.screening) {
+                localQueue = localQueue.filter(queued => queued !== Number(id));
+            } else if (worker) {
+                worker.postMessage({ type: 'cancel', requestId: Number(id) });
+            }
+            request.resolve(null);
+        });
+    }
+
+    /**
+     * Helper: Start a pending request on the main thread
+     */
+    function startLocalScreen(requestId) {
+        const request = pendingScreens[requestId];
+        request.screening = OrbitalPropagator.createScreening(request.date, request.options);
+        localQueue.push(requestId);
+
+        if (!localPumpScheduled) {
+            localPumpScheduled = true;
+            // Yield first so callers can update the UI before the first slice
+            setTimeout(pumpLocalScreens, 0);
+        }
+    }
+
+    /**
+     * Helper: Advance the first urgent main-thread screen (else the head of the
+     * queue) by one slice
+     */
+    function pumpLocalScreens() {
+        localPumpScheduled = false;
+        const urgent = localQueue.findIndex(id => pendingScreens[id] && pendingScreens[id].urgent);
+        const requestId = localQueue.splice(Math.max(0, urgent), 1)[0];
+        const request = pendingScreens[requestId];
+
+        if (request) {
+            try {
+                if (request.screening.step(LOCAL_SLICE_MS)) {
+                    delete pendingScreens[requestId];
+                    request.resolve(request.screening.getResults());
+                } else {
+                    localQueue.push(requestId);
+                    if (request.onProgress) {
+                        request.onProgress(request.screening.getProgress());
+                    }
+                }
+            } catch (error) {
+                delete pendingScreens[requestId];
+                request.reject(error);
+            }
+        }
+
+        if (localQueue.length > 0) {
+            localPumpScheduled = true;
+            setTimeout(pumpLocalScreens, 0);
+        }
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init: init,
+        requestTick: requestTick,
+        getSnapshot: getSnapshot,
+        getScenePositions: getScenePositions,
+        getSceneObjects: getSceneObjects,
+        getSceneArray: getSceneArray,
+        screenConjunctions: screenConjunctions,
+        cancelScreen: cancelScreen,
+
+        // Catalog identity (snapshot index -> record)
+        getRecords: function () { return records; },
+        getRecord: function (index) { return records[index] || null; },
+        getLayout: function () { return layout; },
+        getCatalogIndex: getCatalogIndex,
+
+        // Status getter
+        getStatus: function () {
+            return {
+                mode: useWorker ? 'worker' : 'main-thread',
+                ready: useWorker ? workerReady : !!layout,
+                objects: layout ? layout.total : 0,
+                snapshotSeq: snapshotSeq
+            };
+        }
+    };
+})();
+
+// Make available globally
+window.PropagationService = PropagationService;
+
+console.log('PropagationService module initialized');
@@ -0,0 +1,161 @@
+// ============================================
+// PROPAGATION WORKER
+// Runs SGP4 for the full catalog off the main thread
+// ============================================
+
+// orbital.js registers itself on window; give the worker scope that name
+self.window = self;
+
+importScripts('../lib/satellite.min.js', 'orbital.js');
+
+(function () {
+    'use strict';
+
+    // Source order must match PropagationService's layout
+    const SOURCES = ['active', 'debris', 'critical'];
+
+    // Screening runs in slices of this length so ticks queued behind it are served promptly
+    const SCREEN_SLICE_MS = 50;
+    let screens = [];             // Round-robin queue of {requestId, urgent, screening}
+    let pumpScheduled = false;
+
+    // ==========================================
+    // 1. INIT CATALOG
+    // ==========================================
+    /**
+     * Builds satellite records from the same TLE data the main thread used,
+     * so record indices line up on both sides
+     * @param {Object} catalog - {active, debris, critical} arrays of {name, tle1, tle2}
+     */
+    function initCatalog(catalog) {
+        const counts = OrbitalPropagator.initSatellites(catalog);
+        self.postMessage({ type: 'ready', counts: counts });
+    }
+
+    // ==========================================
+    // 2. FILL SNAPSHOT
+    // ==========================================
+    /**
+     * Propagates every record to one date and writes ECI states into the
+     * provided arrays (3 floats per object, km and km/s)
+     * @param {number} time - Epoch milliseconds
+     * @param {Float32Array} positions - Output positions
+     * @param {Float32Array} velocities - Output velocities
+     * @param {Uint8Array} valid - Output flags (1 = propagated)
+     */
+    function fillSnapshot(time, positions, velocities, valid) {
+        const date = new Date(time);
+        const collections = {
+            active: OrbitalPropagator.getActiveSatellites(),
+            debris: OrbitalPropagator.getDebrisSatellites(),
+            critical: OrbitalPropagator.getCriticalSatellites()
+        };
+
+        let i = 0;
+        SOURCES.forEach(source => {
+            collections[source].forEach(record => {
+                const pv = OrbitalPropagator.propagate(record.satrec, date);
+
+                if (pv) {
+                    positions[i * 3] = pv.position.x;
+                    positions[i * 3 + 1] = pv.position.y;
+                    positions[i * 3 + 2] = pv.position.z;
+                    velocities[i * 3] = pv.velocity.x;
+                    velocities[i * 3 + 1] = pv.velocity.y;
+                    velocities[i * 3 + 2] = pv.velocity.z;
+                    valid[i] = 1;
+                } else {
+                    valid[i] = 0;
+                }
+
+                i++;
+            });
+        });
+    }
+
+    // ==========================================
+    // 3. SCREENING QUEUE
+    // ==========================================
+    /**
+     * Helper: Queue the next screening slice behind any pending messages
+     */
+    function schedulePump() {
+        if (!pumpScheduled && screens.length > 0) {
+            pumpScheduled = true;
+            setTimeout(pumpScreens, 0);
+        }
+    }
+
+    /**
+     * Advances the first urgent screen (else the head of the queue) by one
+     * slice, then posts its result or progress and rotates it to the back
+     */
+    function pumpScreens() {
+        pumpScheduled = false;
+        const urgent = screens.findIndex(screen => screen.urgent);
+        const screen = screens.splice(Math.max(0, urgent), 1)[0];
+        if (!screen) return;
+
+        try {
+            if (screen.screening.step(SCREEN_SLICE_MS)) {
+                self.postMessage({ type: 'screen', requestId: screen.requestId, conjunctions: screen.screening.getResults() });
+            } else {
+                screens.push(screen);
+                self.postMessage({ type: 'screen-progress', requestId: screen.requestId, progress: screen.screening.getProgress() });
+            }
+        } catch (error) {
+            console.error('PropagationWorker: Error screening', error);
+            self.postMessage({ type: 'error', requestType: 'screen', requestId: screen.requestId, message: error.message });
+        }
+
+        schedulePump();
+    }
+
+    // ==========================================
+    // 4. MESSAGE HANDLER
+    // ==========================================
+    self.onmessage = function (event) {
+        const msg = event.data;
+
+        try {
+            switch (msg.type) {
+                case 'init':
+                    initCatalog(msg.catalog);
+                    break;
+
+                case 'tick': {
+                    const positions = new Float32Array(msg.buffers.positions);
+                    const velocities = new Float32Array(msg.buffers.velocities);
+                    const valid = new Uint8Array(msg.buffers.valid);
+
+                    fillSnapshot(msg.time, positions, velocities, valid);
+
+                    self.postMessage(
+                        { type: 'tick', time: msg.time, buffers: msg.buffers },
+                        [msg.buffers.positions, msg.buffers.velocities, msg.buffers.valid]
+                    );
+                    break;
+                }
+
+                case 'screen':
+                    screens.push({
+                        requestId: msg.requestId,
+                        urgent: !!msg.urgent,
+                        screening: OrbitalPropagator.createScreening(new Date(msg.time), msg.options)
+                    });
+                    schedulePump();
+                    break;
+
+                case 'cancel':
+                    screens = screens.filter(screen => screen.requestId !== msg.requestId);
+                    break;
+
+                default:
+                    console.warn(`PropagationWorker: Unknown message type "${msg.type}"`);
+            }
+        } catch (error) {
+            console.error('PropagationWorker: Error handling message', msg.type, error);
+            self.postMessage({ type: 'error', requestType: msg.type, requestId: msg.requestId, message: error.message });
+        }
+    };
+})();
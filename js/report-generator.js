@@ -0,0 +1,490 @@
+// ============================================
+// REPORT GENERATOR MODULE
+// Conjunction reports for the tracked asset as CSV, JSON and
+// self-contained printable HTML
+// ============================================
+
+const ReportGenerator = (function () {
+    'use strict';
+
+    // Constants
+    const REPORT_VERSION = 1;
+    const FORMATS = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', mimeType: 'application/json' },
+        html: { extension: 'html', mimeType: 'text/html;charset=utf-8' }
+    };
+    const CSV_COLUMNS = [
+        'record_type', 'time_utc', 'name', 'norad_id', 'source', 'distance_km',
+        'relative_speed_km_s', 'miss_distance_km', 'tca_utc', 'pc', 'cts_contribution',
+        'value', 'details'
+    ];
+    const STATUS_COLORS = {
+        NOMINAL: '#00a86b',
+        ELEVATED: '#c9a000',
+        WARNING: '#e07000',
+        CRITICAL: '#d0003f'
+    };
+
+    // ==========================================
+    // 1. BUILD REPORT FUNCTION
+    // ==========================================
+    /**
+     * Collects dashboard data into one plain report object (dates as ISO
+     * strings, numbers as numbers). The same object feeds every format.
+     * @param {Object} input - {generatedAt, simulationTime (Date),
+     *     asset: {name, noradId, tle: {tle1, tle2}, orbit: {altitude, velocity, inclination}},
+     *     statistics: CTSEngine.getStatistics(), status, history: [scores],
+     *     threats: CTSEngine.getClosestThreats(),
+     *     conjunctions: [{name, noradId, source, tca, missDistance, relativeVelocity, pc}],
+     *     decisions: [{type, time, simulationTime, assetId, assetName, details}],
+     *     log: [{time, message, type}], inputs: {...}}
+     * @returns {Object} Report
+     */
+    function buildReport(input) {
+        const statistics = input.statistics || {};
+        const orbit = (input.asset && input.asset.orbit) || {};
+
+        return {
+            version: REPORT_VERSION,
+            generatedAt: toIso(input.generatedAt || new Date()),
+            simulationTime: toIso(input.simulationTime),
+            asset: {
+                name: input.asset.name,
+                noradId: input.asset.noradId,
+                tle1: input.asset.tle ? input.asset.tle.tle1 : null,
+                tle2: input.asset.tle ? input.asset.tle.tle2 : null,
+                orbit: {
+                    altitudeKm: toNumber(orbit.altitude),
+                    velocityKms: toNumber(orbit.velocity),
+                    inclinationDeg: toNumber(orbit.inclination)
+                }
+            },
+            cts: {
+                score: toNumber(statistics.current),
+                status: input.status || null,
+                mode: statistics.mode || null,
+                average: toNumber(statistics.average),
+                maximum: toNumber(statistics.maximum),
+                maxPc: toNumber(statistics.maxPc),
+                threatsInRange: toNumber(statistics.threatsInRange),
+                history: (input.history || []).slice()
+            },
+            threats: (input.threats || []).map(threat => ({
+                name: threat.name,
+                noradId: threat.noradId,
+                source: threat.source,
+                distanceKm: toNumber(threat.distance),
+                relativeSpeedKms: toNumber(threat.relativeSpeed),
+                rangeRateKms: toNumber(threat.rangeRate),
+                closing: !!threat.closing,
+                tca: toIso(threat.tca),
+                missDistanceKm: toNumber(threat.missDistance),
+                contribution: toNumber(threat.contribution),
+                pc: toNumber(threat.pc)
+            })),
+            conjunctions: (input.conjunctions || []).map(conjunction => ({
+                name: conjunction.name,
+                noradId: conjunction.noradId,
+                source: conjunction.source,
+                tca: toIso(conjunction.tca),
+                missDistanceKm: toNumber(conjunction.missDistance),
+                relativeSpeedKms: toNumber(conjunction.relativeVelocity),
+                pc: toNumber(conjunction.pc)
+            })),
+            decisions: (input.decisions || []).map(decision => ({
+                type: decision.type,
+                time: toIso(decision.time),
+                simulationTime: toIso(decision.simulationTime),
+                assetId: decision.assetId,
+                assetName: decision.assetName,
+                details: Object.assign({}, decision.details)
+            })),
+            inputs: JSON.parse(JSON.stringify(input.inputs || {})),
+            log: (input.log || []).map(entry => ({
+                time: toIso(entry.time),
+                type: entry.type,
+                // Log messages are rendered as HTML on the dashboard
+                message: String(entry.message).replace(/<[^>]*>/g, '')
+            }))
+        };
+    }
+
+    /**
+     * Helper: Date, epoch milliseconds or ISO string → ISO string (null if unset)
+     */
+    function toIso(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Helper: Number or numeric string → number (null if unset or not numeric)
+     */
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        return isFinite(number) ? number : null;
+    }
+
+    // ==========================================
+    // 2. JSON FORMAT
+    // ==========================================
+    /**
+     * @param {Object} report - From buildReport
+     * @returns {string} Indented JSON
+     */
+    function toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    // ==========================================
+    // 3. CSV FORMAT
+    // ==========================================
+    /**
+     * One table for analytics: every row has a record_type (summary, input,
+     * threat, conjunction, cts_history, decision, log) and fills the columns
+     * that apply to it
+     * @param {Object} report - From buildReport
+     * @returns {string} CSV text (header row first, CRLF line endings)
+     */
+    function toCSV(report) {
+        const rows = [];
+        const add = (type, fields) => rows.push(Object.assign({ record_type: type }, fields));
+
+        const summary = {
+            report_generated_utc: report.generatedAt,
+            simulation_time_utc: report.simulationTime,
+            asset_name: report.asset.name,
+            asset_norad_id: report.asset.noradId,
+            tle_line1: report.asset.tle1,
+            tle_line2: report.asset.tle2,
+            altitude_km: report.asset.orbit.altitudeKm,
+            velocity_km_s: report.asset.orbit.velocityKms,
+            inclination_deg: report.asset.orbit.inclinationDeg,
+            cts_score: report.cts.score,
+            cts_status: report.cts.status,
+            cts_mode: report.cts.mode,
+            cts_average: report.cts.average,
+            cts_maximum: report.cts.maximum,
+            max_pc: report.cts.maxPc,
+            threats_in_range: report.cts.threatsInRange
+        };
+        Object.keys(summary).forEach(key => add('summary', { name: key, value: summary[key] }));
+
+        flatten(report.inputs).forEach(([key, value]) => add('input', { name: key, value: value }));
+
+        report.threats.forEach(threat => add('threat', {
+            name: threat.name,
+            norad_id: threat.noradId,
+            source: threat.source,
+            distance_km: threat.distanceKm,
+            relative_speed_km_s: threat.relativeSpeedKms,
+            miss_distance_km: threat.missDistanceKm,
+            tca_utc: threat.tca,
+            pc: threat.pc,
+            cts_contribution: threat.contribution,
+            details: threat.closing ? 'closing' : 'opening'
+        }));
+
+        report.conjunctions.forEach(conjunction => add('conjunction', {
+            name: conjunction.name,
+            norad_id: conjunction.noradId,
+            source: conjunction.source,
+            relative_speed_km_s: conjunction.relativeSpeedKms,
+            miss_distance_km: conjunction.missDistanceKm,
+            tca_utc: conjunction.tca,
+            pc: conjunction.pc
+        }));
+
+        report.cts.history.forEach((score, i) => add('cts_history', { name: i, value: score }));
+
+        report.decisions.forEach(decision => add('decision', {
+            time_utc: decision.time,
+            name: decision.type,
+            norad_id: decision.assetId,
+            value: decision.simulationTime,
+            details: JSON.stringify(decision.details)
+        }));
+
+        report.log.forEach(entry => add('log', { time_utc: entry.time, name: entry.type, details: entry.message }));
+
+        const lines = [CSV_COLUMNS.join(',')].concat(
+            rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))
+        );
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Helper: Nested object → [['a_b', value], ...] (arrays as JSON)
+     */
+    function flatten(object, prefix = '') {
+        const pairs = [];
+        Object.keys(object || {}).forEach(key => {
+            const value = object[key];
+            const name = prefix ? `${prefix}_${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                pairs.push(...flatten(value, name));
+            } else {
+                pairs.push([name, Array.isArray(value) ? JSON.stringify(value) : value]);
+            }
+        });
+        return pairs;
+    }
+
+    /**
+     * Helper: Quote a CSV field when it contains a separator, quote or line break
+     */
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ==========================================
+    // 4. HTML FORMAT
+    // ==========================================
+    /**
+     * Self-contained printable summary (inline styles and SVG, no external
+     * resources)
+     * @param {Object} report - From buildReport
+     * @returns {string} HTML document
+     */
+    function toHTML(report) {
+        const asset = report.asset;
+        const cts = report.cts;
+        const statusColor = STATUS_COLORS[cts.status] || '#333';
+        const orbit = asset.orbit;
+
+        const threatRows = report.threats.map(threat => [
+            threat.name, threat.noradId, threat.source,
+            fixed(threat.distanceKm, 1), fixed(threat.relativeSpeedKms, 2),
+            threat.closing ? formatIso(threat.tca) : 'Opening',
+            threat.pc !== null ? threat.pc.toExponential(1) : '—',
+            fixed(threat.contribution, 1)
+        ]);
+        const conjunctionRows = report.conjunctions.map(conjunction => [
+            formatIso(conjunction.tca), conjunction.name, conjunction.noradId, conjunction.source,
+            fixed(conjunction.missDistanceKm, 2), fixed(conjunction.relativeSpeedKms, 2),
+            conjunction.pc !== null ? conjunction.pc.toExponential(1) : '—'
+        ]);
+        const decisionRows = report.decisions.map(decision => [
+            formatIso(decision.time), formatIso(decision.simulationTime), decision.type,
+            `${decision.assetName || ''} (${decision.assetId || '—'})`, describeDetails(decision.details)
+        ]);
+        const inputRows = flatten(report.inputs).map(([key, value]) => [key, value === null ? '—' : value]);
+        const logRows = report.log.slice().reverse().map(entry => [formatIso(entry.time), entry.type, entry.message]);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Conjunction Report - ${escapeHtml(asset.name)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1a1a1a; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; border-bottom: 2px solid #1a1a1a; padding-bottom: 4px; }
+  .meta { color: #555; margin: 0 0 16px; }
+  .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { border: 1px solid #ccc; border-radius: 6px; padding: 10px 14px; min-width: 120px; }
+  .card .label { font-size: 11px; color: #666; text-transform: uppercase; letter-spacing: 0.05em; }
+  .card .value { font-size: 20px; font-weight: 700; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { background: #f2f2f2; font-weight: 600; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .tle { font-family: "Courier New", monospace; white-space: pre; }
+  .empty { color: #777; font-style: italic; }
+  @media print {
+    body { margin: 12mm; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>Conjunction Report - ${escapeHtml(asset.name)} (${escapeHtml(asset.noradId)})</h1>
+<p class="meta">Simulation time ${escapeHtml(formatIso(report.simulationTime))} UTC · generated ${escapeHtml(formatIso(report.generatedAt))} UTC</p>
+
+<div class="cards">
+  <div class="card"><div class="label">CTS</div><div class="value" style="color:${statusColor}">${cts.score !== null ? cts.score : '—'} / 100</div></div>
+  <div class="card"><div class="label">Status</div><div class="value" style="color:${statusColor}">${escapeHtml(cts.status || '—')}</div></div>
+  <div class="card"><div class="label">Scoring</div><div class="value">${cts.mode === 'pc' ? 'Pc' : 'Proximity'}</div></div>
+  <div class="card"><div class="label">Max Pc</div><div class="value">${cts.maxPc ? cts.maxPc.toExponential(1) : '—'}</div></div>
+  <div class="card"><div class="label">Threats in range</div><div class="value">${cts.threatsInRange !== null ? cts.threatsInRange : '—'}</div></div>
+  <div class="card"><div class="label">Screened conjunctions</div><div class="value">${report.conjunctions.length}</div></div>
+</div>
+
+<h2>CTS History</h2>
+${renderSparkline(cts.history)}
+<p class="meta">Average ${fixed(cts.average, 1)} · maximum ${cts.maximum !== null ? cts.maximum : '—'} over the last ${cts.history.length} samples</p>
+
+<h2>Orbit</h2>
+${renderTable(['Altitude (km)', 'Velocity (km/s)', 'Inclination (°)'],
+        [[fixed(orbit.altitudeKm, 2), fixed(orbit.velocityKms, 2), fixed(orbit.inclinationDeg, 2)]], [0, 1, 2])}
+<p class="tle">${escapeHtml(asset.tle1 || '')}
+${escapeHtml(asset.tle2 || '')}</p>
+
+<h2>Current Threats</h2>
+${renderTable(['Object', 'NORAD ID', 'Source', 'Distance (km)', 'Rel. speed (km/s)', 'TCA (UTC)', 'Pc', 'CTS'],
+            threatRows, [3, 4, 7], 'No objects in the danger zone')}
+
+<h2>Screened Conjunctions</h2>
+${renderTable(['TCA (UTC)', 'Object', 'NORAD ID', 'Source', 'Miss (km)', 'Rel. speed (km/s)', 'Pc'],
+                conjunctionRows, [4, 5], 'No conjunctions under the screening threshold')}
+
+<h2>Decisions</h2>
+${renderTable(['Time (UTC)', 'Simulation time (UTC)', 'Decision', 'Asset', 'Details'], decisionRows, [], 'No decisions taken')}
+
+<h2>Inputs</h2>
+${renderTable(['Parameter', 'Value'], inputRows, [])}
+
+<h2>Activity Log</h2>
+${renderTable(['Time (UTC)', 'Type', 'Message'], logRows, [], 'Log is empty')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Helper: HTML table (numeric columns right-aligned)
+     */
+    function renderTable(headers, rows, numericColumns, emptyText) {
+        if (rows.length === 0 && emptyText) {
+            return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+        }
+
+        const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+        const body = rows.map(row => '<tr>' + row.map((cell, i) =>
+            `<td${numericColumns.indexOf(i) !== -1 ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`
+        ).join('') + '</tr>').join('\n');
+
+        return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    }
+
+    /**
+     * Helper: Inline SVG line of the CTS history with status bands
+     */
+    function renderSparkline(history) {
+        if (history.length < 2) {
+            return '<p class="empty">Not enough samples yet</p>';
+        }
+
+        const width = 600;
+        const height = 100;
+        const y = score => (height - (score / 100) * height).toFixed(1);
+        const step = width / (history.length - 1);
+        const points = history.map((score, i) => `${(i * step).toFixed(1)},${y(score)}`).join(' ');
+        const band = (from, to, color) =>
+            `<rect x="0" y="${y(to)}" width="${width}" height="${(((to - from) / 100) * height).toFixed(1)}" fill="${color}" fill-opacity="0.12" />`;
+
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="border:1px solid #ccc">
+  ${band(86, 100, STATUS_COLORS.CRITICAL)}
+  ${band(61, 86, STATUS_COLORS.WARNING)}
+  ${band(31, 61, STATUS_COLORS.ELEVATED)}
+  <polyline points="${points}" fill="none" stroke="#1a1a1a" stroke-width="1.5" />
+</svg>`;
+    }
+
+    /**
+     * Helper: Decision details as "key: value" pairs
+     */
+    function describeDetails(details) {
+        return Object.keys(details || {}).map(key => {
+            const value = details[key];
+            if (typeof value === 'number') {
+                return `${key}: ${Number.isInteger(value) ? value : value.toFixed(3)}`;
+            }
+            return `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+        }).join(', ');
+    }
+
+    /**
+     * Helper: Fixed-point number or a dash
+     */
+    function fixed(value, digits) {
+        return typeof value === 'number' ? value.toFixed(digits) : '—';
+    }
+
+    /**
+     * Helper: ISO string → "YYYY-MM-DD HH:MM:SS" (or a dash)
+     */
+    function formatIso(iso) {
+        return iso ? iso.slice(0, 19).replace('T', ' ') : '—';
+    }
+
+    /**
+     * Helper: Escape text for insertion into HTML
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ==========================================
+    // 5. EXPORT FUNCTIONS
+    // ==========================================
+    /**
+     * Renders a report in one format
+     * @param {Object} report - From buildReport
+     * @param {string} format - 'csv', 'json' or 'html'
+     * @returns {Object|null} {content, filename, mimeType}, or null for an unknown format
+     */
+    function render(report, format) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            console.warn(`ReportGenerator: Unknown format "${format}"`);
+            return null;
+        }
+
+        const content = format === 'csv' ? toCSV(report) : (format === 'json' ? toJSON(report) : toHTML(report));
+        const stamp = (report.simulationTime || report.generatedAt).slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+        return {
+            content: content,
+            filename: `conjunction-report-${report.asset.noradId}-${stamp}.${spec.extension}`,
+            mimeType: spec.mimeType
+        };
+    }
+
+    /**
+     * Saves rendered content as a file through the browser
+     * @param {Object} file - {content, filename, mimeType} from render
+     */
+    function download(file) {
+        const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the download a moment to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log(`ReportGenerator: Saved ${file.filename}`);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        buildReport: buildReport,
+        toJSON: toJSON,
+        toCSV: toCSV,
+        toHTML: toHTML,
+        render: render,
+        download: download,
+
+        // Getters for other modules
+        getFormats: function () { return Object.keys(FORMATS); }
+    };
+})();
+
+// Make available globally
+window.ReportGenerator = ReportGenerator;
+console.log('ReportGenerator module initialized');
@@ -19,10 +19,16 @@ const SceneManager = (function () {
     let atmosphereMesh = null;
     let skyboxMesh = null;
     let playerSatelliteMesh = null;
+    let earthRotation = 0;  // Radians about scene Y, driven by GMST
+    let sunLight = null;          // Directional light placed along the Sun vector
+    let terminatorLine = null;    // Day/night boundary circle on the globe
 
-    // Collections
-    let activeSatelliteMeshes = [];
-    let debrisMeshes = [];
+    // Catalog layer: one Points object for every active/debris/critical object,
+    // indexed in PropagationService snapshot order
+    let catalogPoints = null;
+    let catalogBaseSizes = null;  // Per-object size before highlighting
+    let highlightedIndices = [];
+    let catalogFilter = null;     // Uint8Array visibility mask from the catalog filter (null = all)
 
     // Relationship lines
     let relationshipGroup = null;
@@ -30,6 +36,19 @@ const SceneManager = (function () {
     // Orbital trajectory
     let orbitLineMesh = null;
     let orbitPointsMesh = null;
+    let ghostOrbitMesh = null;   // Planned post-maneuver trajectory
+    let fleetGroup = null;       // Markers for owned assets other than the focus
+    let cdmGroup = null;         // Markers for imported conjunction data messages
+
+    // Earth-fixed overlays (rotate with the Earth mesh)
+    let earthFixedGroup = null;
+    let groundTrackMesh = null;
+    let subSatelliteMarker = null;
+    let footprintLine = null;
+    let footprintVisible = true;
+
+    // Ground station markers (rotate with the Earth mesh, independent of the ground track toggle)
+    let groundStationGroup = null;
 
     // Camera control state
     let isDragging = false;
@@ -39,10 +58,39 @@ const SceneManager = (function () {
     let cameraPhi = Math.PI / 3;
     let autoFollowSatellite = false;  // Auto-follow player satellite
 
+    // Picking state
+    let raycaster = null;
+    let pointerDownPosition = null;
+    let lastHoverPick = 0;
+    let hoveredObject = null;   // Catalog index, 'player' or null
+    let selectedIndex = null;   // Catalog index followed by the selection marker
+    let selectionMarker = null;
+    let focusIndex = null;      // Catalog index the camera is turning towards
+
     // Constants
     const EARTH_RADIUS = 6.371; // Earth radius in scene units (1 unit = 1000km)
     const SCENE_SCALE = 0.001;  // 1 scene unit = 1000 km
 
+    // Catalog styling per object class (color, point size in scene units)
+    const OBJECT_CLASS_STYLES = {
+        'payload': { color: 0x3a5cff, size: 0.06 },
+        'rocket-body': { color: 0xffaa00, size: 0.09 },
+        'debris': { color: 0xff4400, size: 0.08 },
+        'critical': { color: 0xff0055, size: 0.16 }
+    };
+    const HIGHLIGHT_SIZE_FACTOR = 2.2;
+
+    // Ground overlays sit just above the surface to avoid z-fighting
+    const GROUND_OVERLAY_ALTITUDE_KM = 15;
+    const FOOTPRINT_SEGMENTS = 128;
+
+    // Picking
+    const PICK_THRESHOLD_FACTOR = 0.006;  // Point pick radius per unit of camera distance
+    const CLICK_MAX_MOVE_PX = 4;          // Larger moves between down and up are drags
+    const HOVER_PICK_INTERVAL_MS = 50;
+    const FOCUS_LERP = 0.08;              // Fraction of the remaining angle per frame
+    const FOCUS_DONE_RAD = 0.002;
+
     // Icon textures (inline SVG → data URI)
     const SATELLITE_SVG = 'data:image/svg+xml;utf8,' +
         encodeURIComponent(
@@ -57,15 +105,36 @@ const SceneManager = (function () {
         </svg>`
         );
 
-    const DEBRIS_SVG = 'data:image/svg+xml;utf8,' +
-        encodeURIComponent(
-            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
-          <polygon points="14,50 26,10 54,34" fill="#ff4400"/>
-          <circle cx="18" cy="48" r="3" fill="#ff0055"/>
-        </svg>`
-        );
-
-    let textures = { satellite: null, debris: null };
+    let textures = { satellite: null };
+
+    // Catalog point shader: per-object color and size, round soft-edged points
+    const CATALOG_VERTEX_SHADER = `
+        attribute vec3 customColor;
+        attribute float size;
+        uniform float pixelScale;
+        varying vec3 vColor;
+        void main() {
+            vColor = customColor;
+            if (size <= 0.0) {
+                // Filtered out: place the vertex outside the clip volume
+                gl_PointSize = 0.0;
+                gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+                return;
+            }
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_PointSize = max(size * pixelScale / -mvPosition.z, 1.5);
+            gl_Position = projectionMatrix * mvPosition;
+        }
+    `;
+
+    const CATALOG_FRAGMENT_SHADER = `
+        varying vec3 vColor;
+        void main() {
+            float d = length(gl_PointCoord - vec2(0.5));
+            if (d > 0.5) discard;
+            gl_FragColor = vec4(vColor, smoothstep(0.5, 0.3, d));
+        }
+    `;
 
     // ==========================================
     // 1. INIT FUNCTION
@@ -104,10 +173,25 @@ const SceneManager = (function () {
             relationshipGroup = new THREE.Group();
             scene.add(relationshipGroup);
 
+            // Earth-fixed overlay group
+            earthFixedGroup = new THREE.Group();
+            scene.add(earthFixedGroup);
+
+            groundStationGroup = new THREE.Group();
+            scene.add(groundStationGroup);
+
+            // Picking and selection marker
+            raycaster = new THREE.Raycaster();
+            selectionMarker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.12, 16, 12),
+                new THREE.MeshBasicMaterial({ color: 0x00e5ff, wireframe: true, transparent: true, opacity: 0.8 })
+            );
+            selectionMarker.visible = false;
+            scene.add(selectionMarker);
+
             // Preload icon textures
             const loader = new THREE.TextureLoader();
             textures.satellite = loader.load(SATELLITE_SVG);
-            textures.debris = loader.load(DEBRIS_SVG);
 
             console.log('SceneManager: Three.js initialized successfully');
             return true;
@@ -128,8 +212,8 @@ const SceneManager = (function () {
         const ambientLight = new THREE.AmbientLight(0x222222, 0.9);
         scene.add(ambientLight);
 
-        // Directional light (sun)
-        const sunLight = new THREE.DirectionalLight(0xffffff, 1.2);
+        // Directional light (sun); setSunDirection moves it with the simulation time
+        sunLight = new THREE.DirectionalLight(0xffffff, 1.2);
         sunLight.position.set(100, 50, 50);
         scene.add(sunLight);
 
@@ -259,11 +343,16 @@ const SceneManager = (function () {
                 x: e.clientX,
                 y: e.clientY
             };
+            pointerDownPosition = { x: e.clientX, y: e.clientY };
+            focusIndex = null;  // Manual control overrides a focus glide
         });
 
         // Mouse move
         canvas.addEventListener('mousemove', function (e) {
-            if (!isDragging) return;
+            if (!isDragging) {
+                handleHover(e);
+                return;
+            }
 
             const deltaX = e.clientX - previousMousePosition.x;
             const deltaY = e.clientY - previousMousePosition.y;
@@ -284,13 +373,17 @@ const SceneManager = (function () {
         });
 
         // Mouse up
-        canvas.addEventListener('mouseup', function () {
+        canvas.addEventListener('mouseup', function (e) {
             isDragging = false;
+            handleClick(e);
+            pointerDownPosition = null;
         });
 
         // Mouse leave
         canvas.addEventListener('mouseleave', function () {
             isDragging = false;
+            pointerDownPosition = null;
+            setHoveredObject(null);
         });
 
         // Mouse wheel zoom
@@ -395,93 +488,164 @@ const SceneManager = (function () {
     }
 
     // ==========================================
-    // 7. UPDATE ACTIVE SATELLITES FUNCTION
+    // 7. INIT CATALOG LAYER FUNCTION
     // ==========================================
-    function updateActiveSatellites(positions) {
-        // Keep these minimal spheres for performance (background context)
-        activeSatelliteMeshes.forEach(mesh => {
-            scene.remove(mesh);
-            if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) mesh.material.dispose();
+    /**
+     * Creates the points layer for the whole catalog. Colors and sizes are
+     * fixed per object class, so objects keep their look between updates.
+     * @param {Array} objectTypes - Object class per catalog index
+     *                              ('payload', 'rocket-body', 'debris', 'critical')
+     */
+    function initCatalogLayer(objectTypes) {
+        disposeCatalogLayer();
+
+        const count = objectTypes.length;
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const color = new THREE.Color();
+
+        objectTypes.forEach((type, i) => {
+            const style = OBJECT_CLASS_STYLES[type] || OBJECT_CLASS_STYLES.payload;
+            color.setHex(style.color);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+            sizes[i] = style.size;
         });
-        activeSatelliteMeshes = [];
-
-        const limit = Math.min(positions.length, 400);
-
-        for (let i = 0; i < limit; i++) {
-            const geometry = new THREE.SphereGeometry(0.04, 8, 8);
-            const material = new THREE.MeshBasicMaterial({ color: 0x3a5cff, opacity: 0.85, transparent: true });
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.copy(positions[i]);
-            scene.add(mesh);
-            activeSatelliteMeshes.push(mesh);
-        }
-
-        console.log(`SceneManager: Updated ${limit} active satellites`);
-    }
 
-    // ==========================================
-    // 8. UPDATE DEBRIS FUNCTION (ENHANCED with varied sizes & glow)
-    // ==========================================
-    function updateDebris(positions) {
-        debrisMeshes.forEach(mesh => {
-            scene.remove(mesh);
-            if (mesh.material && mesh.material.map) mesh.material.map.dispose();
-            if (mesh.material) mesh.material.dispose();
-            if (mesh.geometry) mesh.geometry.dispose();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('customColor', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        // Fixed bound wide enough for GEO; raycasting would otherwise compute it once from the zeroed buffer
+        geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 1000);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: { pixelScale: { value: getPixelScale() } },
+            vertexShader: CATALOG_VERTEX_SHADER,
+            fragmentShader: CATALOG_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
         });
-        debrisMeshes = [];
 
-        const limit = Math.min(positions.length, 220);
+        catalogPoints = new THREE.Points(geometry, material);
+        // Positions change every tick; skip bounding-sphere culling
+        catalogPoints.frustumCulled = false;
+        scene.add(catalogPoints);
 
-        for (let i = 0; i < limit; i++) {
-            // Varied debris sizes for realism (0.25 to 0.45)
-            const size = 0.25 + Math.random() * 0.2;
-            const sprite = createIconSprite(textures.debris, size);
-            sprite.position.copy(positions[i]);
+        catalogBaseSizes = sizes.slice();
+        highlightedIndices = [];
+        catalogFilter = null;
 
-            // Add subtle glow to make debris more visible
-            const glowGeom = new THREE.CircleGeometry(size * 1.5, 16);
-            const glowMat = new THREE.MeshBasicMaterial({
-                color: 0xff4400,
-                transparent: true,
-                opacity: 0.15,
-                blending: THREE.AdditiveBlending,
-                depthWrite: false
-            });
-            const glow = new THREE.Mesh(glowGeom, glowMat);
-            glow.rotation.x = -Math.PI / 2;
-            sprite.add(glow);
+        console.log(`SceneManager: Catalog layer created for ${count.toLocaleString()} objects`);
+    }
 
-            // Store for animation
-            sprite.userData.glowPhase = Math.random() * Math.PI * 2;
-            sprite.userData.glow = glow;
+    /**
+     * Helper: Remove the catalog layer and free GPU buffers
+     */
+    function disposeCatalogLayer() {
+        if (!catalogPoints) return;
+
+        scene.remove(catalogPoints);
+        catalogPoints.geometry.dispose();
+        catalogPoints.material.dispose();
+        catalogPoints = null;
+        catalogBaseSizes = null;
+        highlightedIndices = [];
+        catalogFilter = null;
+        setSelectedObject(null);
+    }
 
-            scene.add(sprite);
-            debrisMeshes.push(sprite);
+    /**
+     * Helper: Pixels per scene unit at distance 1 (for point size attenuation)
+     */
+    function getPixelScale() {
+        const height = renderer ? renderer.domElement.height : window.innerHeight;
+        return height / (2 * Math.tan((camera.fov * Math.PI / 180) / 2));
+    }
+
+    // ==========================================
+    // 8. UPDATE CATALOG POSITIONS FUNCTION
+    // ==========================================
+    /**
+     * Writes new positions into the catalog layer in place
+     * @param {Float32Array} scenePositions - Packed scene coordinates (x, y, z per object)
+     * @param {Uint8Array} valid - Per-object flag; invalid objects are parked at
+     *                             the Earth's center, where the globe hides them
+     */
+    function updateCatalogPositions(scenePositions, valid) {
+        if (!catalogPoints || !scenePositions) return;
+
+        const attribute = catalogPoints.geometry.getAttribute('position');
+        const target = attribute.array;
+        const count = Math.min(target.length, scenePositions.length) / 3;
+
+        for (let i = 0; i < count; i++) {
+            if (valid && !valid[i]) {
+                target[i * 3] = 0;
+                target[i * 3 + 1] = 0;
+                target[i * 3 + 2] = 0;
+            } else {
+                target[i * 3] = scenePositions[i * 3];
+                target[i * 3 + 1] = scenePositions[i * 3 + 1];
+                target[i * 3 + 2] = scenePositions[i * 3 + 2];
+            }
         }
 
-        console.log(`SceneManager: Updated ${limit} enhanced debris objects`);
+        attribute.needsUpdate = true;
+        updateSelectionMarker();
     }
 
     // ==========================================
     // 9. HIGHLIGHT CRITICAL DEBRIS FUNCTION
     // ==========================================
+    /**
+     * Enlarges catalog objects to draw attention to them
+     * @param {Array} indices - Catalog (snapshot) indices to highlight
+     */
     function highlightCriticalDebris(indices) {
+        if (!catalogPoints) return;
+
+        const sizeAttr = catalogPoints.geometry.getAttribute('size');
         indices.forEach(index => {
-            if (index < debrisMeshes.length) {
-                const sprite = debrisMeshes[index];
-                // Emphasize by scale + tint
-                if (sprite && sprite.material) {
-                    sprite.scale.set(0.36, 0.36, 1);
-                    sprite.material.color.set(0xff0055);
-                }
+            if (index >= 0 && index < sizeAttr.count) {
+                highlightedIndices.push(index);
+                sizeAttr.array[index] = getCatalogSize(index);
             }
         });
+        sizeAttr.needsUpdate = true;
 
         console.log(`SceneManager: Highlighted ${indices.length} critical debris`);
     }
 
+    /**
+     * Restores highlighted objects to their class size
+     */
+    function clearHighlights() {
+        if (!catalogPoints || highlightedIndices.length === 0) return;
+
+        const sizeAttr = catalogPoints.geometry.getAttribute('size');
+        const indices = highlightedIndices;
+        highlightedIndices = [];
+        indices.forEach(index => {
+            sizeAttr.array[index] = getCatalogSize(index);
+        });
+        sizeAttr.needsUpdate = true;
+    }
+
+    /**
+     * Helper: Drawn size of a catalog object (class size, enlarged when
+     * highlighted, 0 when the catalog filter hides it)
+     */
+    function getCatalogSize(index) {
+        if (catalogFilter && !catalogFilter[index]) return 0;
+
+        return highlightedIndices.indexOf(index) !== -1
+            ? catalogBaseSizes[index] * HIGHLIGHT_SIZE_FACTOR
+            : catalogBaseSizes[index];
+    }
+
     // ==========================================
     // 10. RELATIONSHIP LINES (Player ↔ Threats)
     // ==========================================
@@ -538,6 +702,10 @@ const SceneManager = (function () {
 
         renderer.setSize(width, height);
 
+        if (catalogPoints) {
+            catalogPoints.material.uniforms.pixelScale.value = getPixelScale();
+        }
+
         console.log(`SceneManager: Resized to ${width}x${height}`);
     }
 
@@ -545,9 +713,14 @@ const SceneManager = (function () {
     // 12. RENDER FUNCTION AND ANIMATE EARTH + EFFECTS
     // ==========================================
     function animate() {
-        // Rotate Earth
-        if (earthMesh) earthMesh.rotation.y += 0.0008;
-        if (atmosphereMesh) atmosphereMesh.rotation.y += 0.0008;
+        // Rotate Earth to the latest sidereal angle
+        if (earthMesh) earthMesh.rotation.y = earthRotation;
+        if (atmosphereMesh) atmosphereMesh.rotation.y = earthRotation;
+        if (earthFixedGroup) earthFixedGroup.rotation.y = earthRotation;
+        if (groundStationGroup) groundStationGroup.rotation.y = earthRotation;
+
+        // Glide towards a focused object
+        if (focusIndex !== null) glideToFocus();
 
         // Animate player satellite glow (pulsing effect)
         if (playerSatelliteMesh && playerSatelliteMesh.userData.outerGlow) {
@@ -559,15 +732,6 @@ const SceneManager = (function () {
             const scale = 1.0 + Math.sin(playerSatelliteMesh.userData.pulsePhase) * 0.1;
             playerSatelliteMesh.userData.outerGlow.scale.set(scale, scale, 1);
         }
-
-        // Animate debris glow (subtle pulsing)
-        debrisMeshes.forEach(debris => {
-            if (debris.userData.glow) {
-                debris.userData.glowPhase += 0.02;
-                const glowPulse = Math.sin(debris.userData.glowPhase) * 0.08 + 0.15;
-                debris.userData.glow.material.opacity = glowPulse;
-            }
-        });
     }
     function render() {
         if (!renderer || !scene || !camera) return;
@@ -599,56 +763,61 @@ const SceneManager = (function () {
     }
 
     // ==========================================
-    // 14. DRAW ORBITAL TRAJECTORY (NEW)
+    // 14. DRAW ORBITAL TRAJECTORY
     // ==========================================
-    function drawOrbitTrajectory(orbitalParams) {
+    /**
+     * Draws the player's propagated trajectory: the past arc dashed and dim,
+     * the future arc solid with markers every quarter revolution
+     * @param {Object} trajectory - {past, future, samplesPerRevolution} from OrbitalPropagator.getPlayerTrajectory
+     */
+    function drawOrbitTrajectory(trajectory) {
         // Remove existing orbit line
         if (orbitLineMesh) {
             scene.remove(orbitLineMesh);
-            if (orbitLineMesh.geometry) orbitLineMesh.geometry.dispose();
-            if (orbitLineMesh.material) orbitLineMesh.material.dispose();
+            disposeObject(orbitLineMesh);
+            orbitLineMesh = null;
         }
         if (orbitPointsMesh) {
             scene.remove(orbitPointsMesh);
-            if (orbitPointsMesh.geometry) orbitPointsMesh.geometry.dispose();
-            if (orbitPointsMesh.material) orbitPointsMesh.material.dispose();
+            disposeObject(orbitPointsMesh);
+            orbitPointsMesh = null;
         }
 
-        if (!orbitalParams) return;
+        if (!trajectory || trajectory.future.length < 2) return;
 
         try {
-            const { altitude, inclination } = orbitalParams;
-            const orbitRadius = EARTH_RADIUS + parseFloat(altitude) * SCENE_SCALE;
-            const inclinationRad = parseFloat(inclination) * (Math.PI / 180);
-
-            // Generate orbit points (simplified circular orbit)
-            const segments = 128;
-            const orbitPoints = [];
-
-            for (let i = 0; i <= segments; i++) {
-                const theta = (i / segments) * Math.PI * 2;
+            const orbitGroup = new THREE.Group();
 
-                // Calculate position on inclined orbit
-                const x = orbitRadius * Math.cos(theta);
-                const y = orbitRadius * Math.sin(theta) * Math.sin(inclinationRad);
-                const z = orbitRadius * Math.sin(theta) * Math.cos(inclinationRad);
-
-                orbitPoints.push(new THREE.Vector3(x, y, z));
-            }
-
-            // Create the orbit line
-            const orbitGeometry = new THREE.BufferGeometry().setFromPoints(orbitPoints);
-            const orbitMaterial = new THREE.LineBasicMaterial({
+            // Future arc (where the satellite is going)
+            const futureGeometry = new THREE.BufferGeometry().setFromPoints(trajectory.future);
+            const futureMaterial = new THREE.LineBasicMaterial({
                 color: 0x00ffff,
                 transparent: true,
-                opacity: 0.4,
+                opacity: 0.55,
                 linewidth: 2
             });
-            orbitLineMesh = new THREE.Line(orbitGeometry, orbitMaterial);
+            orbitGroup.add(new THREE.Line(futureGeometry, futureMaterial));
+
+            // Past arc (where it has been)
+            if (trajectory.past.length >= 2) {
+                const pastGeometry = new THREE.BufferGeometry().setFromPoints(trajectory.past);
+                const pastMaterial = new THREE.LineDashedMaterial({
+                    color: 0x0088aa,
+                    transparent: true,
+                    opacity: 0.35,
+                    dashSize: 0.12,
+                    gapSize: 0.08
+                });
+                const pastLine = new THREE.Line(pastGeometry, pastMaterial);
+                pastLine.computeLineDistances();
+                orbitGroup.add(pastLine);
+            }
+
+            orbitLineMesh = orbitGroup;
             scene.add(orbitLineMesh);
 
-            // Add distance markers along the orbit (every 90 degrees)
-            const markerPositions = [0, 32, 64, 96]; // 0°, 90°, 180°, 270°
+            // Markers every quarter revolution ahead of the satellite
+            const samplesPerQuarter = Math.max(1, Math.round((trajectory.samplesPerRevolution || 180) / 4));
             const markerGeometry = new THREE.SphereGeometry(0.15, 16, 16);
             const markerMaterial = new THREE.MeshBasicMaterial({
                 color: 0x00d4ff,
@@ -657,9 +826,9 @@ const SceneManager = (function () {
             });
 
             const markerGroup = new THREE.Group();
-            markerPositions.forEach(index => {
+            for (let index = samplesPerQuarter; index < trajectory.future.length; index += samplesPerQuarter) {
                 const marker = new THREE.Mesh(markerGeometry, markerMaterial.clone());
-                marker.position.copy(orbitPoints[index]);
+                marker.position.copy(trajectory.future[index]);
                 markerGroup.add(marker);
 
                 // Add glow to markers
@@ -672,17 +841,25 @@ const SceneManager = (function () {
                 });
                 const glow = new THREE.Mesh(glowGeom, glowMat);
                 marker.add(glow);
-            });
+            }
 
             orbitPointsMesh = markerGroup;
             scene.add(orbitPointsMesh);
-
-            console.log('SceneManager: Orbital trajectory drawn successfully');
         } catch (error) {
             console.warn('SceneManager: Error drawing orbit trajectory', error);
         }
     }
 
+    /**
+     * Helper: Dispose geometries and materials of an object and its children
+     */
+    function disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
     // ==========================================
     // 15. TOGGLE AUTO-FOLLOW (NEW)
     // ==========================================
@@ -705,6 +882,590 @@ const SceneManager = (function () {
         return new THREE.Vector3(x, y, z);
     }
 
+    // ==========================================
+    // 17. SET EARTH ROTATION
+    // ==========================================
+    /**
+     * Sets the Earth model's rotation about the polar axis. The texture is
+     * Earth-fixed at 0, so pass GMST for the inertial frame and 0 for the
+     * Earth-fixed frame. Applied on the next render.
+     * @param {number} angle - Rotation in radians
+     */
+    function setEarthRotation(angle) {
+        if (typeof angle !== 'number' || !isFinite(angle)) {
+            console.warn('SceneManager: Invalid Earth rotation', angle);
+            return;
+        }
+
+        earthRotation = angle;
+    }
+
+    // ==========================================
+    // 18. DRAW GROUND TRACK
+    // ==========================================
+    /**
+     * Draws the player's ground track on the globe: the past arc dashed and
+     * dim, the future arc solid. Lives in the Earth-fixed group so it stays
+     * pinned to the continents in either display frame.
+     * @param {Object} groundTrack - {past, future} from OrbitalPropagator.getPlayerGroundTrack
+     */
+    function drawGroundTrack(groundTrack) {
+        if (!earthFixedGroup) return;
+
+        if (groundTrackMesh) {
+            earthFixedGroup.remove(groundTrackMesh);
+            disposeObject(groundTrackMesh);
+            groundTrackMesh = null;
+        }
+
+        if (!groundTrack || groundTrack.future.length < 2) return;
+
+        try {
+            const toSurface = point => geodeticToVector3(point.latitude, point.longitude, GROUND_OVERLAY_ALTITUDE_KM);
+            const trackGroup = new THREE.Group();
+
+            const futureGeometry = new THREE.BufferGeometry().setFromPoints(groundTrack.future.map(toSurface));
+            const futureMaterial = new THREE.LineBasicMaterial({
+                color: 0xffd400,
+                transparent: true,
+                opacity: 0.7,
+                depthWrite: false
+            });
+            trackGroup.add(new THREE.Line(futureGeometry, futureMaterial));
+
+            if (groundTrack.past.length >= 2) {
+                const pastGeometry = new THREE.BufferGeometry().setFromPoints(groundTrack.past.map(toSurface));
+                const pastMaterial = new THREE.LineDashedMaterial({
+                    color: 0xaa8800,
+                    transparent: true,
+                    opacity: 0.45,
+                    dashSize: 0.08,
+                    gapSize: 0.06,
+                    depthWrite: false
+                });
+                const pastLine = new THREE.Line(pastGeometry, pastMaterial);
+                pastLine.computeLineDistances();
+                trackGroup.add(pastLine);
+            }
+
+            groundTrackMesh = trackGroup;
+            earthFixedGroup.add(groundTrackMesh);
+        } catch (error) {
+            console.warn('SceneManager: Error drawing ground track', error);
+        }
+    }
+
+    // ==========================================
+    // 19. UPDATE SUB-SATELLITE POINT
+    // ==========================================
+    /**
+     * Moves the sub-satellite marker and footprint circle (updated in place)
+     * @param {Object} geodetic - {latitude, longitude} in degrees
+     * @param {number} footprintAngle - Earth central angle of the footprint in degrees (0 hides it)
+     */
+    function updateSubSatellitePoint(geodetic, footprintAngle) {
+        if (!earthFixedGroup || !geodetic) return;
+
+        if (!subSatelliteMarker) {
+            const markerGeometry = new THREE.SphereGeometry(0.06, 16, 16);
+            const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffd400 });
+            subSatelliteMarker = new THREE.Mesh(markerGeometry, markerMaterial);
+
+            const haloGeometry = new THREE.SphereGeometry(0.14, 16, 16);
+            const haloMaterial = new THREE.MeshBasicMaterial({
+                color: 0xffd400,
+                transparent: true,
+                opacity: 0.3,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            subSatelliteMarker.add(new THREE.Mesh(haloGeometry, haloMaterial));
+            earthFixedGroup.add(subSatelliteMarker);
+        }
+
+        if (!footprintLine) {
+            const footprintGeometry = new THREE.BufferGeometry();
+            footprintGeometry.setAttribute('position',
+                new THREE.BufferAttribute(new Float32Array((FOOTPRINT_SEGMENTS + 1) * 3), 3));
+            const footprintMaterial = new THREE.LineBasicMaterial({
+                color: 0xffd400,
+                transparent: true,
+                opacity: 0.5,
+                depthWrite: false
+            });
+            footprintLine = new THREE.Line(footprintGeometry, footprintMaterial);
+            footprintLine.frustumCulled = false;
+            earthFixedGroup.add(footprintLine);
+        }
+
+        const center = geodeticToVector3(geodetic.latitude, geodetic.longitude, GROUND_OVERLAY_ALTITUDE_KM);
+        subSatelliteMarker.position.copy(center);
+
+        footprintLine.visible = footprintVisible && footprintAngle > 0;
+        if (!footprintLine.visible) return;
+
+        // Small circle of the given central angle around the sub-satellite point
+        const radius = center.length();
+        const axis = center.clone().normalize();
+        const reference = Math.abs(axis.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const u = new THREE.Vector3().crossVectors(axis, reference).normalize();
+        const v = new THREE.Vector3().crossVectors(axis, u);
+        const angle = footprintAngle * (Math.PI / 180);
+        const cosAngle = Math.cos(angle);
+        const sinAngle = Math.sin(angle);
+
+        const positions = footprintLine.geometry.attributes.position.array;
+        for (let i = 0; i <= FOOTPRINT_SEGMENTS; i++) {
+            const t = (i / FOOTPRINT_SEGMENTS) * Math.PI * 2;
+            const cosT = Math.cos(t);
+            const sinT = Math.sin(t);
+
+            positions[i * 3] = radius * (axis.x * cosAngle + (u.x * cosT + v.x * sinT) * sinAngle);
+            positions[i * 3 + 1] = radius * (axis.y * cosAngle + (u.y * cosT + v.y * sinT) * sinAngle);
+            positions[i * 3 + 2] = radius * (axis.z * cosAngle + (u.z * cosT + v.z * sinT) * sinAngle);
+        }
+        footprintLine.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // ==========================================
+    // 20. GROUND OVERLAY VISIBILITY
+    // ==========================================
+    /**
+     * Shows or hides the ground track, sub-satellite marker and footprint
+     * @param {boolean} visible - Whether the overlay is drawn
+     */
+    function setGroundTrackVisible(visible) {
+        if (earthFixedGroup) {
+            earthFixedGroup.visible = !!visible;
+        }
+    }
+
+    /**
+     * Shows or hides the footprint circle only
+     * @param {boolean} visible - Whether the footprint is drawn
+     */
+    function setFootprintVisible(visible) {
+        footprintVisible = !!visible;
+        if (footprintLine && !footprintVisible) {
+            footprintLine.visible = false;
+        }
+    }
+
+    // ==========================================
+    // 21. GROUND STATION MARKERS
+    // ==========================================
+    /**
+     * Replaces the ground station markers
+     * @param {Array} stations - Array of {id, latitude, longitude, altitude}
+     */
+    function setGroundStations(stations) {
+        if (!groundStationGroup) return;
+
+        while (groundStationGroup.children.length > 0) {
+            const child = groundStationGroup.children[0];
+            groundStationGroup.remove(child);
+            disposeObject(child);
+        }
+
+        (stations || []).forEach(station => {
+            const position = geodeticToVector3(station.latitude, station.longitude, station.altitude + GROUND_OVERLAY_ALTITUDE_KM);
+
+            // Cone pointing away from the Earth's centre
+            const markerGeometry = new THREE.ConeGeometry(0.05, 0.16, 12);
+            const markerMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff88 });
+            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+            marker.position.copy(position);
+            marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), position.clone().normalize());
+            marker.userData.stationId = station.id;
+
+            const haloGeometry = new THREE.SphereGeometry(0.1, 16, 16);
+            const haloMaterial = new THREE.MeshBasicMaterial({
+                color: 0x00ff88,
+                transparent: true,
+                opacity: 0.25,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            marker.add(new THREE.Mesh(haloGeometry, haloMaterial));
+
+            groundStationGroup.add(marker);
+        });
+    }
+
+    /**
+     * Highlights stations currently in contact with the player satellite
+     * @param {Array} stationIds - Ids of stations in contact
+     */
+    function setStationContact(stationIds) {
+        if (!groundStationGroup) return;
+
+        groundStationGroup.children.forEach(marker => {
+            const inContact = stationIds.indexOf(marker.userData.stationId) !== -1;
+            const color = inContact ? 0xffd400 : 0x00ff88;
+
+            marker.material.color.setHex(color);
+            marker.children.forEach(halo => {
+                halo.material.color.setHex(color);
+                halo.material.opacity = inContact ? 0.5 : 0.25;
+            });
+        });
+    }
+
+    // ==========================================
+    // 22. OBJECT PICKING
+    // ==========================================
+    /**
+     * Finds the object under a screen position. Points hidden behind the
+     * globe or parked at its centre are ignored; among the remaining hits the
+     * one closest to the cursor ray wins.
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {number|string|null} Catalog index, 'player' or null
+     */
+    function pickObject(clientX, clientY) {
+        if (!raycaster || !camera || !canvas) return null;
+
+        const rect = canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+
+        // Anything farther along the ray than the globe surface is occluded
+        const earthHit = raycaster.ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(), EARTH_RADIUS), new THREE.Vector3());
+        const earthDistance = earthHit ? earthHit.distanceTo(raycaster.ray.origin) : Infinity;
+
+        if (playerSatelliteMesh && playerSatelliteMesh.visible) {
+            const playerHits = raycaster.intersectObject(playerSatelliteMesh, false);
+            if (playerHits.length > 0 && playerHits[0].distance < earthDistance) {
+                return 'player';
+            }
+        }
+
+        if (!catalogPoints) return null;
+
+        raycaster.params.Points.threshold = Math.max(0.05, camera.position.length() * PICK_THRESHOLD_FACTOR);
+
+        const positions = catalogPoints.geometry.getAttribute('position').array;
+        let best = null;
+
+        raycaster.intersectObject(catalogPoints, false).forEach(hit => {
+            const i = hit.index;
+            if (catalogFilter && !catalogFilter[i]) return;
+            const radius = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            if (radius < EARTH_RADIUS || hit.distance > earthDistance) return;
+
+            if (!best || hit.distanceToRay < best.distanceToRay) {
+                best = hit;
+            }
+        });
+
+        return best ? best.index : null;
+    }
+
+    /**
+     * Helper: Throttled hover picking while the pointer moves without dragging
+     */
+    function handleHover(e) {
+        const now = performance.now();
+        if (now - lastHoverPick < HOVER_PICK_INTERVAL_MS) return;
+        lastHoverPick = now;
+
+        setHoveredObject(pickObject(e.clientX, e.clientY), e.clientX, e.clientY);
+    }
+
+    /**
+     * Helper: Publish hover changes (and pointer moves over the same object)
+     */
+    function setHoveredObject(object, clientX, clientY) {
+        if (object === null && hoveredObject === null) return;
+
+        hoveredObject = object;
+        canvas.style.cursor = object === null ? '' : 'pointer';
+
+        window.dispatchEvent(new CustomEvent('sceneObjectHover', {
+            detail: { object: object, clientX: clientX, clientY: clientY }
+        }));
+    }
+
+    /**
+     * Helper: A mouseup close to its mousedown is a click, not a drag
+     */
+    function handleClick(e) {
+        if (!pointerDownPosition) return;
+
+        const moved = Math.hypot(e.clientX - pointerDownPosition.x, e.clientY - pointerDownPosition.y);
+        if (moved > CLICK_MAX_MOVE_PX) return;
+
+        window.dispatchEvent(new CustomEvent('sceneObjectSelect', {
+            detail: { object: pickObject(e.clientX, e.clientY) }
+        }));
+    }
+
+    /**
+     * Marks a catalog object as selected; the marker follows it on every
+     * position update
+     * @param {number|null} index - Catalog index, or null to clear
+     */
+    function setSelectedObject(index) {
+        selectedIndex = (typeof index === 'number') ? index : null;
+        updateSelectionMarker();
+    }
+
+    /**
+     * Helper: Move the selection marker onto the selected catalog object
+     */
+    function updateSelectionMarker() {
+        if (!selectionMarker) return;
+
+        if (selectedIndex === null || !catalogPoints) {
+            selectionMarker.visible = false;
+            return;
+        }
+
+        const positions = catalogPoints.geometry.getAttribute('position').array;
+        const i = selectedIndex;
+        if (i * 3 + 2 >= positions.length) {
+            selectionMarker.visible = false;
+            return;
+        }
+
+        selectionMarker.position.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        selectionMarker.visible = selectionMarker.position.length() >= EARTH_RADIUS;
+    }
+
+    // ==========================================
+    // 23. CAMERA FOCUS
+    // ==========================================
+    /**
+     * Turns the camera towards a catalog object (zoom is kept) and marks it
+     * as selected. Auto-follow is switched off so it does not pull back.
+     * @param {number} index - Catalog index
+     * @returns {boolean} True if the object has a position to focus on
+     */
+    function focusOnObject(index) {
+        if (!catalogPoints || typeof index !== 'number') return false;
+
+        const positions = catalogPoints.geometry.getAttribute('position').array;
+        if (index < 0 || index * 3 + 2 >= positions.length) return false;
+
+        autoFollowSatellite = false;
+        focusIndex = index;
+        setSelectedObject(index);
+        return true;
+    }
+
+    /**
+     * Helper: Move camera angles a step towards the focused object; stops
+     * once aligned (the object keeps moving, the camera does not chase it)
+     */
+    function glideToFocus() {
+        const positions = catalogPoints ? catalogPoints.geometry.getAttribute('position').array : null;
+        if (!positions) {
+            focusIndex = null;
+            return;
+        }
+
+        const target = new THREE.Vector3(
+            positions[focusIndex * 3],
+            positions[focusIndex * 3 + 1],
+            positions[focusIndex * 3 + 2]
+        );
+        if (target.length() < EARTH_RADIUS) {
+            focusIndex = null;
+            return;
+        }
+
+        // Same spherical convention as updateCameraPosition
+        const targetTheta = Math.atan2(target.z, target.x);
+        const targetPhi = Math.max(0.1, Math.min(Math.PI - 0.1, Math.acos(target.y / target.length())));
+
+        // Take the short way round
+        let deltaTheta = targetTheta - cameraTheta;
+        deltaTheta = Math.atan2(Math.sin(deltaTheta), Math.cos(deltaTheta));
+        const deltaPhi = targetPhi - cameraPhi;
+
+        cameraTheta += deltaTheta * FOCUS_LERP;
+        cameraPhi += deltaPhi * FOCUS_LERP;
+        updateCameraPosition();
+
+        if (Math.abs(deltaTheta) < FOCUS_DONE_RAD && Math.abs(deltaPhi) < FOCUS_DONE_RAD) {
+            focusIndex = null;
+        }
+    }
+
+    // ==========================================
+    // 24. GHOST ORBIT (PLANNED MANEUVER)
+    // ==========================================
+    /**
+     * Draws a planned post-maneuver trajectory as a dashed line with a
+     * marker at the burn point
+     * @param {Array} points - THREE.Vector3 samples starting at the burn
+     * @param {THREE.Vector3} burnPosition - Scene position of the burn
+     */
+    function drawGhostOrbit(points, burnPosition) {
+        clearGhostOrbit();
+
+        if (!points || points.length < 2) return;
+
+        try {
+            ghostOrbitMesh = new THREE.Group();
+
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineDashedMaterial({
+                color: 0xff00ff,
+                transparent: true,
+                opacity: 0.7,
+                dashSize: 0.2,
+                gapSize: 0.1
+            });
+            const line = new THREE.Line(geometry, material);
+            line.computeLineDistances();
+            ghostOrbitMesh.add(line);
+
+            if (burnPosition) {
+                const burnMarker = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.12, 16, 16),
+                    new THREE.MeshBasicMaterial({ color: 0xff00ff })
+                );
+                burnMarker.position.copy(burnPosition);
+                ghostOrbitMesh.add(burnMarker);
+            }
+
+            scene.add(ghostOrbitMesh);
+        } catch (error) {
+            console.warn('SceneManager: Error drawing ghost orbit', error);
+        }
+    }
+
+    /**
+     * Removes the planned maneuver trajectory
+     */
+    function clearGhostOrbit() {
+        if (!ghostOrbitMesh) return;
+
+        scene.remove(ghostOrbitMesh);
+        disposeObject(ghostOrbitMesh);
+        ghostOrbitMesh = null;
+    }
+
+    // ==========================================
+    // 25. FLEET MARKERS
+    // ==========================================
+    /**
+     * Places a marker on each fleet asset other than the focused one
+     * (markers are reused between frames)
+     * @param {Array} positions - THREE.Vector3 scene positions
+     */
+    function updateFleetMarkers(positions) {
+        if (!scene) return;
+
+        if (!fleetGroup) {
+            fleetGroup = new THREE.Group();
+            scene.add(fleetGroup);
+        }
+
+        while (fleetGroup.children.length < positions.length) {
+            const marker = createIconSprite(textures.satellite, 0.6);
+            marker.material.color.set(0x00ff88);
+            fleetGroup.add(marker);
+        }
+
+        fleetGroup.children.forEach((marker, i) => {
+            marker.visible = i < positions.length;
+            if (marker.visible) {
+                marker.position.copy(positions[i]);
+            }
+        });
+    }
+
+    // ==========================================
+    // 26. CATALOG FILTER
+    // ==========================================
+    /**
+     * Shows only the catalog objects a filter lets through; hidden objects
+     * are neither drawn nor pickable
+     * @param {Uint8Array|null} mask - 1 = show, per catalog index (null shows everything)
+     */
+    function setCatalogFilter(mask) {
+        if (!catalogPoints) return;
+
+        const sizeAttr = catalogPoints.geometry.getAttribute('size');
+        catalogFilter = (mask && mask.length === sizeAttr.count) ? mask : null;
+
+        for (let i = 0; i < sizeAttr.count; i++) {
+            sizeAttr.array[i] = getCatalogSize(i);
+        }
+        sizeAttr.needsUpdate = true;
+    }
+
+    // ==========================================
+    // 27. CDM MARKERS
+    // ==========================================
+    /**
+     * Marks the TCA point of each imported conjunction data message
+     * (markers are reused between updates)
+     * @param {Array} markers - [{position: THREE.Vector3, focus: boolean}];
+     *                          focus marks CDMs involving the focused asset
+     */
+    function setCDMMarkers(markers) {
+        if (!scene) return;
+
+        if (!cdmGroup) {
+            cdmGroup = new THREE.Group();
+            scene.add(cdmGroup);
+        }
+
+        while (cdmGroup.children.length < markers.length) {
+            cdmGroup.add(new THREE.Mesh(
+                new THREE.OctahedronGeometry(0.1),
+                new THREE.MeshBasicMaterial({ color: 0xffaa00, wireframe: true })
+            ));
+        }
+
+        cdmGroup.children.forEach((marker, i) => {
+            marker.visible = i < markers.length;
+            if (marker.visible) {
+                marker.position.copy(markers[i].position);
+                marker.material.color.set(markers[i].focus ? 0xff3366 : 0xffaa00);
+            }
+        });
+    }
+
+    // ==========================================
+    // 28. SUN LIGHTING AND TERMINATOR
+    // ==========================================
+    /**
+     * Points the sunlight along the Sun vector and draws the day/night
+     * terminator (the great circle facing the Sun)
+     * @param {THREE.Vector3} direction - Sun direction in scene coordinates
+     */
+    function setSunDirection(direction) {
+        if (!scene || !sunLight || !direction || direction.lengthSq() === 0) return;
+
+        const unit = direction.clone().normalize();
+        sunLight.position.copy(unit).multiplyScalar(100);
+
+        if (!terminatorLine) {
+            const points = [];
+            const segments = 180;
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0).multiplyScalar(EARTH_RADIUS * 1.003));
+            }
+
+            terminatorLine = new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: 0xffcc66, transparent: true, opacity: 0.45 })
+            );
+            scene.add(terminatorLine);
+        }
+
+        // The circle is drawn in the XY plane; turn its normal (+Z) towards the Sun
+        terminatorLine.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), unit);
+    }
+
     // ==========================================
     // PUBLIC API
     // ==========================================
@@ -715,17 +1476,38 @@ const SceneManager = (function () {
         addSkybox: addSkybox,
         addCameraControls: addCameraControls,
         updatePlayerSatellite: updatePlayerSatellite,
-        updateActiveSatellites: updateActiveSatellites,
-        updateDebris: updateDebris,
+        initCatalogLayer: initCatalogLayer,
+        updateCatalogPositions: updateCatalogPositions,
         highlightCriticalDebris: highlightCriticalDebris,
+        clearHighlights: clearHighlights,
+        setCatalogFilter: setCatalogFilter,
         onWindowResize: onWindowResize,
         render: render,
         geodeticToVector3: geodeticToVector3,
+        setEarthRotation: setEarthRotation,
+        setSunDirection: setSunDirection,
+
+        // Ground overlays
+        drawGroundTrack: drawGroundTrack,
+        updateSubSatellitePoint: updateSubSatellitePoint,
+        setGroundTrackVisible: setGroundTrackVisible,
+        setFootprintVisible: setFootprintVisible,
+        setGroundStations: setGroundStations,
+        setStationContact: setStationContact,
+
+        // Picking
+        pickObject: pickObject,
+        setSelectedObject: setSelectedObject,
+        focusOnObject: focusOnObject,
 
         updateRelationships: updateRelationships,
 
         // NEW: Orbital trajectory and camera control
         drawOrbitTrajectory: drawOrbitTrajectory,
+        drawGhostOrbit: drawGhostOrbit,
+        updateFleetMarkers: updateFleetMarkers,
+        setCDMMarkers: setCDMMarkers,
+        clearGhostOrbit: clearGhostOrbit,
         toggleAutoFollow: toggleAutoFollow,
 
         // Getters for other modules
@@ -0,0 +1,193 @@
+// ============================================
+// SESSION STORE MODULE
+// Saves tracking sessions (fleet, propellant, CTS history, log and
+// decisions) in IndexedDB so they survive a page reload
+// ============================================
+
+const SessionStore = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+    let dbPromise = null;     // Shared connection, opened on first use
+
+    // Constants
+    const DB_NAME = 'xenonite-mission-control';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'sessions';
+    const DECISION_TYPES = ['maneuver', 'mitigate', 'monetize'];
+
+    // ==========================================
+    // 1. OPEN DATABASE FUNCTION
+    // ==========================================
+    /**
+     * True if the browser offers IndexedDB (it can be missing or blocked,
+     * e.g. in some private windows)
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Opens (and on first use creates) the session database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        if (!isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => {
+                console.log('SessionStore: Database opened');
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session database is blocked by another tab'));
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    /**
+     * Helper: Run one request in its own transaction; resolves with the
+     * request result once the transaction has committed
+     */
+    function runRequest(mode, makeRequest) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        }));
+    }
+
+    // ==========================================
+    // 2. SESSION FUNCTIONS
+    // ==========================================
+    /**
+     * New unique session id
+     * @returns {string}
+     */
+    function createId() {
+        return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Checks a session before it is written
+     * @param {Object} session - See saveSession
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateSession(session) {
+        if (!session || typeof session.id !== 'string' || !session.id) {
+            return 'Session id is required';
+        }
+        if (!Array.isArray(session.fleet) || session.fleet.length === 0) {
+            return 'Session has no tracked assets';
+        }
+        if (session.fleet.some(asset => !asset.tle || !asset.tle.tle1 || !asset.tle.tle2)) {
+            return 'Every saved asset needs its TLE';
+        }
+        if ((session.decisions || []).some(decision => DECISION_TYPES.indexOf(decision.type) === -1)) {
+            return 'Unknown decision type';
+        }
+
+        return null;
+    }
+
+    /**
+     * Writes a session (replacing any earlier save with the same id)
+     * @param {Object} session - {id, name, createdAt, updatedAt, simulationTime,
+     *                           timeMultiplier, focusId, fleet: [{tle, maneuvers}],
+     *                           spacecraft, cts: {history, scoringMode}, assetState,
+     *                           log: [{time, message, type}],
+     *                           decisions: [{type, time, simulationTime, assetId, assetName, details}]}
+     * @returns {Promise<string>} Session id
+     */
+    function saveSession(session) {
+        const error = validateSession(session);
+        if (error) {
+            return Promise.reject(new Error(error));
+        }
+
+        return runRequest('readwrite', store => store.put(session)).then(() => session.id);
+    }
+
+    /**
+     * Reads a saved session
+     * @param {string} id - Session id
+     * @returns {Promise<Object|null>} Session, or null if there is none with that id
+     */
+    function loadSession(id) {
+        return runRequest('readonly', store => store.get(id)).then(session => session || null);
+    }
+
+    /**
+     * Summaries of every saved session, most recently updated first
+     * @returns {Promise<Array>} [{id, name, createdAt, updatedAt, simulationTime,
+     *                           assetCount, decisionCount}]
+     */
+    function listSessions() {
+        return runRequest('readonly', store => store.getAll()).then(sessions =>
+            sessions
+                .map(session => ({
+                    id: session.id,
+                    name: session.name,
+                    createdAt: session.createdAt,
+                    updatedAt: session.updatedAt,
+                    simulationTime: session.simulationTime,
+                    assetCount: session.fleet.length,
+                    decisionCount: (session.decisions || []).length
+                }))
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+        );
+    }
+
+    /**
+     * Deletes a saved session
+     * @param {string} id - Session id
+     * @returns {Promise<void>}
+     */
+    function deleteSession(id) {
+        return runRequest('readwrite', store => store.delete(id)).then(() => {
+            console.log(`SessionStore: Deleted ${id}`);
+        });
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        isAvailable: isAvailable,
+        createId: createId,
+        validateSession: validateSession,
+        saveSession: saveSession,
+        loadSession: loadSession,
+        listSessions: listSessions,
+        deleteSession: deleteSession,
+
+        // Getters for other modules
+        getDecisionTypes: function () { return DECISION_TYPES.slice(); }
+    };
+})();
+
+// Make available globally
+window.SessionStore = SessionStore;
+console.log('SessionStore module initialized');
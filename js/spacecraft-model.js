@@ -0,0 +1,323 @@
+// ============================================
+// SPACECRAFT MODEL MODULE
+// Mass, thruster and propellant accounting for the tracked asset
+// ============================================
+
+const SpacecraftModel = (function () {
+    'use strict';
+
+    // ==========================================
+    // MODULE STATE
+    // ==========================================
+    let config = null;        // {dryMass, propellantMass, isp, thrust, stationKeepingDv}
+    let propellant = 0;       // Remaining propellant (kg)
+    let burns = [];           // Array of {time, deltaV, propellantUsed, burnDuration}
+    let assets = {};          // Saved {config, propellant, burns} of other fleet assets, by id
+    let currentAsset = null;  // Id of the asset the state above belongs to
+
+    // Constants
+    const G0 = 9.80665;       // Standard gravity (m/s^2), defines Isp in seconds
+    const DAYS_PER_YEAR = 365.25;
+
+    // Small LEO bus with a hydrazine monopropellant system
+    const DEFAULT_CONFIG = {
+        dryMass: 500,            // kg
+        propellantMass: 50,      // kg (loaded at the start of tracking)
+        isp: 220,                // s
+        thrust: 4,               // N (all thrusters firing together)
+        stationKeepingDv: 25     // m/s per year to hold the orbit against drag
+    };
+
+    // ==========================================
+    // 1. CONFIGURE FUNCTIONS
+    // ==========================================
+    /**
+     * Checks a spacecraft configuration
+     * @param {Object} candidate - {dryMass, propellantMass, isp, thrust, stationKeepingDv}
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateConfig(candidate) {
+        if (!candidate) {
+            return 'Spacecraft configuration is required';
+        }
+
+        const dryMass = Number(candidate.dryMass);
+        const propellantMass = Number(candidate.propellantMass);
+        const isp = Number(candidate.isp);
+        const thrust = Number(candidate.thrust);
+        const stationKeepingDv = Number(candidate.stationKeepingDv);
+
+        if (!isFinite(dryMass) || dryMass <= 0 || dryMass > 500000) {
+            return 'Dry mass must be between 0 and 500,000 kg';
+        }
+        if (!isFinite(propellantMass) || propellantMass < 0 || propellantMass > 500000) {
+            return 'Propellant mass must be between 0 and 500,000 kg';
+        }
+        if (!isFinite(isp) || isp <= 0 || isp > 10000) {
+            return 'Isp must be between 0 and 10,000 s';
+        }
+        if (!isFinite(thrust) || thrust <= 0 || thrust > 1000000) {
+            return 'Thrust must be between 0 and 1,000,000 N';
+        }
+        if (!isFinite(stationKeepingDv) || stationKeepingDv <= 0 || stationKeepingDv > 1000) {
+            return 'Station-keeping budget must be between 0 and 1,000 m/s per year';
+        }
+
+        return null;
+    }
+
+    /**
+     * Sets the spacecraft parameters and loads a full propellant tank
+     * (clears the burn history)
+     * @param {Object} candidate - {dryMass, propellantMass, isp, thrust, stationKeepingDv}
+     * @returns {string|null} Error message, or null if applied
+     */
+    function configure(candidate) {
+        const error = validateConfig(candidate);
+        if (error) {
+            console.warn(`SpacecraftModel: ${error}`);
+            return error;
+        }
+
+        config = {
+            dryMass: Number(candidate.dryMass),
+            propellantMass: Number(candidate.propellantMass),
+            isp: Number(candidate.isp),
+            thrust: Number(candidate.thrust),
+            stationKeepingDv: Number(candidate.stationKeepingDv)
+        };
+        reset();
+
+        console.log(`SpacecraftModel: Configured ${config.dryMass} kg dry, ${config.propellantMass} kg propellant, Isp ${config.isp} s`);
+        return null;
+    }
+
+    /**
+     * Refills the tank to the configured propellant mass and clears the burn
+     * history (e.g. when a new asset is tracked)
+     */
+    function reset() {
+        propellant = config.propellantMass;
+        burns = [];
+    }
+
+    // ==========================================
+    // 2. ROCKET EQUATION FUNCTIONS
+    // ==========================================
+    /**
+     * Delta-v the remaining (or a given) propellant can deliver:
+     * dv = Isp * g0 * ln(m0 / mf)
+     * @param {number} propellantKg - Propellant available (defaults to remaining)
+     * @returns {number} Delta-v capacity (m/s)
+     */
+    function getDeltaVCapacity(propellantKg = propellant) {
+        return config.isp * G0 * Math.log((config.dryMass + propellantKg) / config.dryMass);
+    }
+
+    /**
+     * Propellant and burn time for an impulsive delta-v at the current mass:
+     * mp = m0 * (1 - exp(-dv / (Isp * g0))), t = mp * Isp * g0 / F
+     * @param {number} deltaV - Burn magnitude (m/s)
+     * @returns {Object} {deltaV, propellantUsed (kg), burnDuration (s),
+     *                   propellantRemaining (kg), feasible}
+     */
+    function estimateBurn(deltaV) {
+        const magnitude = Math.abs(deltaV);
+        const exhaustVelocity = config.isp * G0;
+        const initialMass = config.dryMass + propellant;
+        const propellantUsed = initialMass * (1 - Math.exp(-magnitude / exhaustVelocity));
+
+        return {
+            deltaV: magnitude,
+            propellantUsed: propellantUsed,
+            burnDuration: propellantUsed * exhaustVelocity / config.thrust,
+            propellantRemaining: propellant - propellantUsed,
+            feasible: propellantUsed <= propellant
+        };
+    }
+
+    /**
+     * Consumes propellant for a burn
+     * @param {number} deltaV - Burn magnitude (m/s)
+     * @param {Date} time - Burn time (kept in the burn history)
+     * @returns {Object|null} Burn estimate, or null if there is not enough propellant
+     */
+    function applyBurn(deltaV, time) {
+        const burn = estimateBurn(deltaV);
+        if (!burn.feasible) {
+            console.warn(`SpacecraftModel: ${burn.deltaV.toFixed(2)} m/s needs ${burn.propellantUsed.toFixed(2)} kg, only ${propellant.toFixed(2)} kg left`);
+            return null;
+        }
+
+        propellant = Math.max(0, burn.propellantRemaining);
+        burns.push({
+            time: time || null,
+            deltaV: burn.deltaV,
+            propellantUsed: burn.propellantUsed,
+            burnDuration: burn.burnDuration
+        });
+
+        return burn;
+    }
+
+    // ==========================================
+    // 3. MISSION LIFE FUNCTION
+    // ==========================================
+    /**
+     * Days of station-keeping the remaining propellant supports
+     * @returns {number} Remaining mission life (days)
+     */
+    function getMissionLifeDays() {
+        return getDeltaVCapacity() / (config.stationKeepingDv / DAYS_PER_YEAR);
+    }
+
+    // ==========================================
+    // 4. STATE GETTER
+    // ==========================================
+    /**
+     * Snapshot of the spacecraft for display and reports
+     * @returns {Object} {dryMass, propellantMass, isp, thrust, stationKeepingDv, propellant,
+     *                   totalMass, deltaVCapacity, lifeDays, burns}
+     */
+    function getState() {
+        return Object.assign({}, config, {
+            propellant: propellant,
+            totalMass: config.dryMass + propellant,
+            deltaVCapacity: getDeltaVCapacity(),
+            lifeDays: getMissionLifeDays(),
+            burns: burns.map(burn => Object.assign({}, burn))
+        });
+    }
+
+    // ==========================================
+    // 5. FLEET ASSET FUNCTIONS
+    // ==========================================
+    /**
+     * Switches the model to another fleet asset. The current asset's state is
+     * kept; an asset seen for the first time gets the current configuration
+     * (same bus) with a full tank.
+     * @param {string} id - Asset id (NORAD catalog number)
+     */
+    function selectAsset(id) {
+        if (id === currentAsset) return;
+
+        if (currentAsset !== null) {
+            assets[currentAsset] = { config: config, propellant: propellant, burns: burns };
+        }
+
+        const saved = assets[id];
+        if (saved) {
+            config = saved.config;
+            propellant = saved.propellant;
+            burns = saved.burns;
+        } else {
+            reset();
+        }
+
+        currentAsset = id;
+    }
+
+    /**
+     * Forgets a fleet asset's saved state
+     * @param {string} id - Asset id
+     */
+    function removeAsset(id) {
+        delete assets[id];
+    }
+
+    /**
+     * Forgets every fleet asset and refills the current tank (new session)
+     */
+    function clearAssets() {
+        assets = {};
+        currentAsset = null;
+        reset();
+    }
+
+    // ==========================================
+    // 6. SAVED STATE FUNCTIONS
+    // ==========================================
+    /**
+     * Everything needed to bring the model back after a reload: the current
+     * asset's state and every other fleet asset's saved state
+     * @returns {Object} {currentAsset, config, propellant, burns, assets}
+     */
+    function exportState() {
+        const copy = state => ({
+            config: Object.assign({}, state.config),
+            propellant: state.propellant,
+            burns: state.burns.map(burn => Object.assign({}, burn))
+        });
+
+        const saved = {};
+        Object.keys(assets).forEach(id => { saved[id] = copy(assets[id]); });
+
+        return Object.assign(copy({ config: config, propellant: propellant, burns: burns }), {
+            currentAsset: currentAsset,
+            assets: saved
+        });
+    }
+
+    /**
+     * Restores a state written by exportState
+     * @param {Object} state - {currentAsset, config, propellant, burns, assets}
+     * @returns {string|null} Error message, or null if restored
+     */
+    function importState(state) {
+        const error = state ? validateConfig(state.config) : 'Saved spacecraft state is required';
+        if (error) {
+            console.warn(`SpacecraftModel: ${error}`);
+            return error;
+        }
+
+        const restore = saved => ({
+            config: Object.assign({}, saved.config),
+            propellant: Math.max(0, Math.min(Number(saved.propellant) || 0, saved.config.propellantMass)),
+            burns: (saved.burns || []).map(burn => Object.assign({}, burn))
+        });
+
+        const current = restore(state);
+        config = current.config;
+        propellant = current.propellant;
+        burns = current.burns;
+        currentAsset = state.currentAsset !== undefined ? state.currentAsset : null;
+
+        assets = {};
+        Object.keys(state.assets || {}).forEach(id => {
+            if (!validateConfig(state.assets[id].config)) {
+                assets[id] = restore(state.assets[id]);
+            }
+        });
+
+        return null;
+    }
+
+    configure(DEFAULT_CONFIG);
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        configure: configure,
+        validateConfig: validateConfig,
+        reset: reset,
+        getDeltaVCapacity: getDeltaVCapacity,
+        estimateBurn: estimateBurn,
+        applyBurn: applyBurn,
+        getMissionLifeDays: getMissionLifeDays,
+        getState: getState,
+        selectAsset: selectAsset,
+        removeAsset: removeAsset,
+        clearAssets: clearAssets,
+        exportState: exportState,
+        importState: importState,
+
+        // Getters for other modules
+        getConfig: function () { return Object.assign({}, config); },
+        getDefaults: function () { return Object.assign({}, DEFAULT_CONFIG); }
+    };
+})();
+
+// Make available globally
+window.SpacecraftModel = SpacecraftModel;
+console.log('SpacecraftModel module initialized');
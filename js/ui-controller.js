@@ -11,17 +11,22 @@ const UIController = (function () {
     // ==========================================
     let elements = {};
     let assetState = {
-        fuel: 100,
-        life: 100,
         status: 'Nominal',
         mitigationPending: false,
         salvageListed: false
     };
 
+    let logHistory = [];  // Shown log entries {time (ms), message, type}, oldest first
+
     // Configuration
     const MAX_LOG_ENTRIES = 50;
+    const MAX_PASS_ROWS = 8;
+    const STALE_EPOCH_DAYS = 30;   // Matches the TLE validator's epoch-age warning
+    let threatSort = { key: 'distance', ascending: true };  // Threat table ordering
+    let threatTableState = { threats: [], now: null };      // Last data, re-sorted on header clicks
     let lastSparklineUpdate = 0;
     const SPARKLINE_THROTTLE = 100; // ms between sparkline updates
+    let timeScrubbing = false;      // Scrub slider is being dragged (don't move it under the pointer)
 
     // ==========================================
     // 1. INIT FUNCTION
@@ -63,10 +68,13 @@ const UIController = (function () {
 
         // Asset extra fields
         elements.satFuel = document.getElementById('sat-fuel');
+        elements.satDv = document.getElementById('sat-dv');
         elements.satLife = document.getElementById('sat-life');
+        elements.spacecraftForm = document.getElementById('spacecraft-form');
         elements.satStatus = document.getElementById('sat-status');
         elements.changeAssetBtn = document.getElementById('change-asset-btn');
         elements.toggleFollowBtn = document.getElementById('toggle-follow-btn');
+        elements.toggleFrameBtn = document.getElementById('toggle-frame-btn');
 
         // TLE Input Section
         elements.tleInputSection = document.getElementById('tle-input-section');
@@ -77,6 +85,10 @@ const UIController = (function () {
         // Scenario buttons
         elements.scenarioBtns = document.querySelectorAll('.scenario-btn');
 
+        // Saved sessions (setup screen)
+        elements.sessionListSection = document.getElementById('session-list-section');
+        elements.sessionList = document.getElementById('session-list');
+
         // Dashboard
         elements.dashboard = document.getElementById('dashboard');
 
@@ -84,16 +96,35 @@ const UIController = (function () {
         elements.ctsScore = document.getElementById('cts-score');
         elements.ctsStatus = document.getElementById('cts-status');
         elements.ctsSparkline = document.getElementById('cts-sparkline');
+        elements.ctsPc = document.getElementById('cts-pc');
+        elements.ctsModeBtn = document.getElementById('cts-mode-btn');
+        elements.ctsForecast = document.getElementById('cts-forecast');
+        elements.forecastHours = document.getElementById('forecast-hours');
+        elements.forecastSummary = document.getElementById('forecast-summary');
 
         // Asset Panel
         elements.satName = document.getElementById('sat-name');
         elements.satAltitude = document.getElementById('sat-altitude');
         elements.satVelocity = document.getElementById('sat-velocity');
         elements.satInclination = document.getElementById('sat-inclination');
+        elements.satIllumination = document.getElementById('sat-illumination');
+        elements.satDecay = document.getElementById('sat-decay');
+        elements.satSma = document.getElementById('sat-sma');
+        elements.satEcc = document.getElementById('sat-ecc');
+        elements.satRaan = document.getElementById('sat-raan');
+        elements.satArgp = document.getElementById('sat-argp');
+        elements.satMeanAnomaly = document.getElementById('sat-mean-anomaly');
+        elements.satTrueAnomaly = document.getElementById('sat-true-anomaly');
+        elements.satPeriod = document.getElementById('sat-period');
+        elements.satApsides = document.getElementById('sat-apsides');
+        elements.satBstar = document.getElementById('sat-bstar');
+        elements.satEpochAge = document.getElementById('sat-epoch-age');
+        elements.satBeta = document.getElementById('sat-beta');
 
         // Action Panel
         elements.actionPanel = document.getElementById('action-panel');
         elements.threatDescription = document.getElementById('threat-description');
+        elements.threatCountdown = document.getElementById('threat-countdown');
         elements.actionButtons = document.querySelectorAll('.action-btn');
 
         // Threat Log
@@ -102,6 +133,63 @@ const UIController = (function () {
         // Business Panel
         elements.businessPanel = document.getElementById('business-panel');
 
+        // Ground Station Panel
+        elements.uplinkSummary = document.getElementById('uplink-summary');
+        elements.passList = document.getElementById('pass-list');
+        elements.stationList = document.getElementById('station-list');
+        elements.stationForm = document.getElementById('station-form');
+
+        // Object Inspector + scene tooltip
+        elements.inspectorPanel = document.getElementById('inspector-panel');
+        elements.inspectorCloseBtn = document.getElementById('inspector-close-btn');
+        elements.inspectorName = document.getElementById('inspector-name');
+        elements.inspectorNorad = document.getElementById('inspector-norad');
+        elements.inspectorEpoch = document.getElementById('inspector-epoch');
+        elements.inspectorAltitude = document.getElementById('inspector-altitude');
+        elements.inspectorInclination = document.getElementById('inspector-inclination');
+        elements.inspectorDistance = document.getElementById('inspector-distance');
+        elements.inspectorContribution = document.getElementById('inspector-contribution');
+        elements.inspectorDecay = document.getElementById('inspector-decay');
+        elements.sceneTooltip = document.getElementById('scene-tooltip');
+
+        // Time Bar
+        elements.timeBar = document.getElementById('time-bar');
+        elements.timePicker = document.getElementById('time-picker');
+        elements.timeNowBtn = document.getElementById('time-now-btn');
+        elements.timeNextBtn = document.getElementById('time-next-btn');
+        elements.timeScrub = document.getElementById('time-scrub');
+        elements.timeOffset = document.getElementById('time-offset');
+        elements.timeRates = document.getElementById('time-rates');
+        elements.timeRate = document.getElementById('time-rate');
+
+        // Threat Table
+        elements.threatTable = document.getElementById('threat-table');
+        elements.threatTableBody = document.getElementById('threat-table-body');
+        elements.reportExport = document.getElementById('report-export');
+        elements.cdmFormat = document.getElementById('cdm-format');
+        elements.cdmImportBtn = document.getElementById('cdm-import-btn');
+        elements.cdmFile = document.getElementById('cdm-file');
+
+        // Catalog Search
+        elements.catalogForm = document.getElementById('catalog-form');
+        elements.catalogClearBtn = document.getElementById('catalog-clear-btn');
+        elements.catalogSummary = document.getElementById('catalog-summary');
+        elements.catalogResults = document.getElementById('catalog-results');
+
+        // Fleet Panel
+        elements.fleetSummary = document.getElementById('fleet-summary');
+        elements.fleetTableBody = document.getElementById('fleet-table-body');
+        elements.fleetForm = document.getElementById('fleet-form');
+
+        // Maneuver Planner
+        elements.maneuverPlanner = document.getElementById('maneuver-planner');
+        elements.maneuverForm = document.getElementById('maneuver-form');
+        elements.maneuverCloseBtn = document.getElementById('maneuver-close-btn');
+        elements.maneuverExecuteBtn = document.getElementById('maneuver-execute-btn');
+        elements.maneuverStatus = document.getElementById('maneuver-status');
+        elements.maneuverResults = document.getElementById('maneuver-results');
+        elements.maneuverResultsBody = document.getElementById('maneuver-results-body');
+
         console.log('UIController: DOM elements cached');
     }
 
@@ -124,6 +212,11 @@ const UIController = (function () {
             btn.addEventListener('click', handleScenarioClick);
         });
 
+        // Saved sessions: resume / delete
+        if (elements.sessionList) {
+            elements.sessionList.addEventListener('click', handleSessionListClick);
+        }
+
         // Action buttons
         elements.actionButtons.forEach(btn => {
             btn.addEventListener('click', handleActionChoice);
@@ -139,6 +232,109 @@ const UIController = (function () {
             elements.toggleFollowBtn.addEventListener('click', toggleCameraFollow);
         }
 
+        // Header: Toggle inertial / Earth-fixed display frame
+        if (elements.toggleFrameBtn) {
+            elements.toggleFrameBtn.addEventListener('click', toggleDisplayFrame);
+        }
+
+        // Asset: Spacecraft mass and propulsion form
+        if (elements.spacecraftForm) {
+            elements.spacecraftForm.addEventListener('submit', handleSpacecraftFormSubmit);
+        }
+
+        // Ground stations: add from the form, remove from the list
+        if (elements.stationForm) {
+            elements.stationForm.addEventListener('submit', handleStationFormSubmit);
+        }
+        if (elements.stationList) {
+            elements.stationList.addEventListener('click', handleStationRemove);
+        }
+
+        // Inspector: Clear selection
+        if (elements.inspectorCloseBtn) {
+            elements.inspectorCloseBtn.addEventListener('click', () => {
+                if (window.App && App.clearSelection) App.clearSelection();
+            });
+        }
+
+        // Threat table: sort by column, select a row to focus the camera.
+        // mousedown so a row re-rendered between press and release still registers.
+        if (elements.threatTable) {
+            elements.threatTable.querySelectorAll('th[data-sort]').forEach(th => {
+                th.addEventListener('click', handleThreatSort);
+            });
+            elements.threatTableBody.addEventListener('mousedown', handleThreatRowSelect);
+        }
+
+        // Time bar: UTC picker, scrub slider, rate presets and custom rate
+        if (elements.timeBar) {
+            elements.timePicker.addEventListener('change', handleTimePicked);
+            elements.timeNowBtn.addEventListener('click', () => App.setSimulationTime(new Date()));
+            elements.timeNextBtn.addEventListener('click', () => App.jumpToNextConjunction());
+            elements.timeScrub.addEventListener('pointerdown', () => { timeScrubbing = true; });
+            elements.timeScrub.addEventListener('pointerup', () => { timeScrubbing = false; });
+            elements.timeScrub.addEventListener('input', () => App.scrubTime(elements.timeScrub.value * 60000, true));
+            elements.timeScrub.addEventListener('change', () => {
+                timeScrubbing = false;
+                App.scrubTime(elements.timeScrub.value * 60000);
+            });
+            elements.timeRates.addEventListener('click', event => {
+                const btn = event.target.closest('[data-rate]');
+                if (btn) App.setTimeMultiplier(Number(btn.dataset.rate));
+            });
+            elements.timeRate.addEventListener('change', () => {
+                elements.timeRate.value = App.setTimeMultiplier(Number(elements.timeRate.value));
+            });
+        }
+
+        // Report export: one button per format
+        if (elements.reportExport) {
+            elements.reportExport.addEventListener('click', event => {
+                const btn = event.target.closest('[data-format]');
+                if (btn && window.App && App.exportReport) App.exportReport(btn.dataset.format);
+            });
+        }
+
+        // CDM import: the button opens the (hidden) file picker
+        if (elements.cdmImportBtn) {
+            elements.cdmImportBtn.addEventListener('click', () => elements.cdmFile.click());
+            elements.cdmFile.addEventListener('change', handleCDMImport);
+        }
+
+        // Catalog: search and filter, focus the camera on or track a result
+        if (elements.catalogForm) {
+            elements.catalogForm.addEventListener('submit', handleCatalogSearch);
+            elements.catalogClearBtn.addEventListener('click', clearCatalogSearch);
+            elements.catalogResults.addEventListener('click', handleCatalogResultSelect);
+        }
+
+        // Fleet: add assets, focus / remove from the table (mousedown, rows re-render)
+        if (elements.fleetForm) {
+            elements.fleetForm.addEventListener('submit', handleFleetFormSubmit);
+            elements.fleetTableBody.addEventListener('mousedown', handleFleetRowSelect);
+        }
+
+        // Maneuver planner: plan, execute, discard
+        if (elements.maneuverForm) {
+            elements.maneuverForm.addEventListener('submit', handleManeuverPlan);
+            elements.maneuverExecuteBtn.addEventListener('click', executePlannedManeuver);
+            elements.maneuverCloseBtn.addEventListener('click', closeManeuverPlanner);
+        }
+
+        // CTS: Forecast horizon
+        if (elements.forecastHours) {
+            elements.forecastHours.addEventListener('change', () => {
+                if (window.App && App.setForecastHours) {
+                    App.setForecastHours(parseInt(elements.forecastHours.value, 10));
+                }
+            });
+        }
+
+        // CTS: Toggle proximity / Pc scoring
+        if (elements.ctsModeBtn) {
+            elements.ctsModeBtn.addEventListener('click', toggleScoringMode);
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', handleKeyboardShortcuts);
 
@@ -183,8 +379,12 @@ const UIController = (function () {
         }
 
         // Initialize asset fields
+        fillSpacecraftForm();
         updateAssetState();
 
+        // Sessions saved before the last reload
+        refreshSessionList();
+
         console.log('UIController: Initial state set');
     }
 
@@ -256,14 +456,24 @@ const UIController = (function () {
         const validation = DataLoader.validateTLEInput(inputText);
 
         if (!validation.valid) {
-            // Show error
+            // Show error and put the cursor on the offending character
             showError(validation.error);
+            const firstError = (validation.diagnostics || []).find(d => d.severity === 'error');
+            if (firstError) {
+                selectInputPosition(firstError.line, firstError.column);
+            }
             console.warn('UIController: TLE validation failed:', validation.error);
             return;
         }
 
         console.log('UIController: TLE validation successful');
 
+        // Non-blocking findings (e.g. stale epoch)
+        const warnings = (validation.diagnostics || []).filter(d => d.severity === 'warning');
+        if (warnings.length > 0) {
+            showToast(warnings[0].message, 'warning', 5000);
+        }
+
         // Show loading animation
         elements.loadingAnimation.classList.remove('hidden');
         elements.initBtn.disabled = true;
@@ -287,6 +497,9 @@ const UIController = (function () {
 
             // Add log entry
             addLogEntry(`Tracking initialized: ${validation.satellite.name}`);
+            warnings.forEach(warning => {
+                addLogEntry(`TLE line ${warning.line}, column ${warning.column}: ${warning.message}`, 'warning');
+            });
 
         }, 2000);
     }
@@ -320,6 +533,25 @@ const UIController = (function () {
         errorEl.style.display = 'block';
     }
 
+    /**
+     * Selects a character in the TLE textarea
+     * @param {number} line - 1-based line number
+     * @param {number} column - 1-based column
+     */
+    function selectInputPosition(line, column) {
+        if (!elements.tleInput) return;
+
+        const lines = elements.tleInput.value.split('\n');
+        let offset = 0;
+        for (let i = 0; i < line - 1 && i < lines.length; i++) {
+            offset += lines[i].length + 1;
+        }
+        offset += column - 1;
+
+        elements.tleInput.focus();
+        elements.tleInput.setSelectionRange(offset, offset + 1);
+    }
+
     /**
      * Hides error message
      */
@@ -346,6 +578,9 @@ const UIController = (function () {
         if (elements.toggleFollowBtn) {
             elements.toggleFollowBtn.classList.remove('hidden');
         }
+        if (elements.toggleFrameBtn) {
+            elements.toggleFrameBtn.classList.remove('hidden');
+        }
 
         addLogEntry('Mission control dashboard activated');
         console.log('UIController: Dashboard shown');
@@ -384,6 +619,13 @@ const UIController = (function () {
             elements.ctsStatus.textContent = `STATUS: ${status}`;
         }
 
+        // Pc readout (Pc mode only)
+        if (elements.ctsPc && CTSEngine.getScoringMode() === 'pc') {
+            const maxPc = CTSEngine.getStatistics().maxPc;
+            const threshold = CTSEngine.getConfig().pcManeuverThreshold;
+            elements.ctsPc.textContent = `MAX Pc: ${maxPc > 0 ? maxPc.toExponential(2) : '< 1e-10'} (threshold ${threshold.toExponential(0)})`;
+        }
+
         // Update color classes
         elements.ctsScore.className = colorClass;
 
@@ -415,6 +657,31 @@ const UIController = (function () {
         CTSEngine.drawSparkline(elements.ctsSparkline, history);
     }
 
+    /**
+     * Draws the CTS forecast timeline and summarises its highest peak
+     * @param {Object} forecast - From CTSEngine.calculateForecast
+     * @param {Date} now - Current simulation time
+     */
+    function updateForecast(forecast, now) {
+        if (!elements.ctsForecast || !forecast) return;
+
+        CTSEngine.drawForecast(elements.ctsForecast, forecast, now);
+
+        if (!elements.forecastSummary) return;
+
+        const peak = forecast.peaks[0];
+        if (!peak) {
+            elements.forecastSummary.textContent = `No scored approaches in the next ${forecast.hours} h`;
+            return;
+        }
+
+        const tca = peak.conjunction.tca;
+        const when = tca > now ? `in ${formatCountdown(tca - now)}` : 'passed';
+        elements.forecastSummary.textContent =
+            `Peak ${peak.score} at ${formatUtc(tca)} UTC (${when}) - ${peak.conjunction.name}, ` +
+            `miss ${peak.conjunction.missDistance.toFixed(1)} km`;
+    }
+
     // ==========================================
     // 11. UPDATE ASSET INFO FUNCTION
     // ==========================================
@@ -430,30 +697,149 @@ const UIController = (function () {
 
         if (params) {
             if (elements.satAltitude) {
-                elements.satAltitude.textContent = params.altitude;
+                elements.satAltitude.textContent = params.altitude.toFixed(2);
             }
 
             if (elements.satVelocity) {
-                elements.satVelocity.textContent = params.velocity;
+                elements.satVelocity.textContent = params.velocity.toFixed(2);
             }
 
             if (elements.satInclination) {
-                elements.satInclination.textContent = params.inclination;
+                elements.satInclination.textContent = params.inclination.toFixed(2);
             }
+
+            updateOrbitalElements(params);
+        }
+    }
+
+    /**
+     * Fills the orbital element rows of the asset panel
+     * @param {Object} params - Numeric elements from OrbitalPropagator.getOrbitalElements
+     */
+    function updateOrbitalElements(params) {
+        const angle = (value) => value !== null ? `${value.toFixed(2)}°` : '—';
+        const rows = [
+            [elements.satSma, `${params.semiMajorAxis.toFixed(1)} km`],
+            [elements.satEcc, params.eccentricity.toFixed(6)],
+            [elements.satRaan, angle(params.raan)],
+            [elements.satArgp, angle(params.argPerigee)],
+            [elements.satMeanAnomaly, angle(params.meanAnomaly)],
+            [elements.satTrueAnomaly, angle(params.trueAnomaly)],
+            [elements.satPeriod, params.period !== null ? `${params.period.toFixed(2)} min` : '—'],
+            [elements.satApsides, params.apogeeAltitude !== null
+                ? `${params.apogeeAltitude.toFixed(0)} / ${params.perigeeAltitude.toFixed(0)} km`
+                : `— / ${params.perigeeAltitude.toFixed(0)} km`],
+            [elements.satBstar, params.bstar.toExponential(4)],
+            [elements.satEpochAge, formatEpochAge(params.epochAgeDays)]
+        ];
+
+        rows.forEach(([element, text]) => {
+            if (element) element.textContent = text;
+        });
+
+        if (elements.satEpochAge) {
+            elements.satEpochAge.classList.toggle('stale', Math.abs(params.epochAgeDays) > STALE_EPOCH_DAYS);
+        }
+    }
+
+    /**
+     * Helper: Signed TLE epoch age as days or hours
+     */
+    function formatEpochAge(days) {
+        const magnitude = Math.abs(days);
+        const text = magnitude < 1 ? `${(magnitude * 24).toFixed(1)} h` : `${magnitude.toFixed(1)} d`;
+        return days < 0 ? `${text} before epoch` : text;
+    }
+
+    /**
+     * Shows the player satellite's estimated orbital lifetime
+     * @param {Object} decay - From App.describeDecay
+     */
+    function updateDecay(decay) {
+        showDecay(elements.satDecay, decay);
+    }
+
+    /**
+     * Helper: Fills a lifetime field, highlighting a reentry inside the forecast horizon
+     */
+    function showDecay(element, decay) {
+        if (!element) return;
+
+        element.textContent = formatDecay(decay);
+        element.classList.toggle('reentry', !!(decay && decay.reentryInForecast));
+
+        if (decay && decay.source) {
+            const origin = decay.source === 'ndot' ? 'observed ṅ' : 'B*';
+            const reentry = decay.reentryDate
+                ? `Reentry ≈ ${decay.reentryDate.toISOString().slice(0, 10)} UTC · `
+                : '';
+            element.title = `${reentry}Cd·A/m ${decay.ballisticCoefficient.toPrecision(3)} m²/kg (from ${origin})`;
+        } else {
+            element.removeAttribute('title');
+        }
+    }
+
+    /**
+     * Helper: Remaining lifetime as hours, days or years
+     */
+    function formatDecay(decay) {
+        if (!decay || !decay.source) return 'No drag data';
+        if (decay.exceedsHorizon) return `> ${decay.horizonYears} yr`;
+
+        const days = decay.lifetimeDays;
+        let text;
+        if (days <= 0) {
+            text = 'Reentered (est.)';
+        } else if (days < 1) {
+            text = `${(days * 24).toFixed(1)} h`;
+        } else if (days < 365.25) {
+            text = `${Math.round(days)} d`;
+        } else {
+            text = `${(days / 365.25).toFixed(1)} yr`;
+        }
+
+        return decay.reentryInForecast && days > 0 ? `⚠ REENTRY in ${text}` : text;
+    }
+
+    /**
+     * Shows the player satellite's shadow state and beta angle
+     * @param {Object|null} illumination - {state, sunlightFraction, betaAngle}
+     *                                     from OrbitalPropagator.getPlayerIllumination
+     */
+    function updateIllumination(illumination) {
+        if (!illumination || !elements.satIllumination) return;
+
+        const labels = {
+            sunlit: 'Sunlit',
+            penumbra: `Penumbra (${Math.round(illumination.sunlightFraction * 100)}% sun)`,
+            umbra: 'Umbra (eclipse)'
+        };
+        elements.satIllumination.textContent = labels[illumination.state];
+        elements.satIllumination.className = `illumination-${illumination.state}`;
+
+        if (elements.satBeta) {
+            elements.satBeta.textContent = illumination.betaAngle.toFixed(1);
         }
     }
 
     // ==========================================
-    // UPDATE ASSET STATE (Fuel/Life/Status)
+    // UPDATE ASSET STATE (Propellant/Life/Status)
     // ==========================================
     function updateAssetState(changes = {}) {
         assetState = { ...assetState, ...changes };
 
-        if (elements.satFuel && typeof assetState.fuel === 'number') {
-            elements.satFuel.textContent = `${Math.max(0, Math.round(assetState.fuel))}%`;
-        }
-        if (elements.satLife && typeof assetState.life === 'number') {
-            elements.satLife.textContent = `${Math.max(0, Math.round(assetState.life))}%`;
+        // Propellant and mission life come from the spacecraft model
+        const craft = window.SpacecraftModel ? SpacecraftModel.getState() : null;
+        if (craft) {
+            if (elements.satFuel) {
+                elements.satFuel.textContent = `${craft.propellant.toFixed(1)} / ${craft.propellantMass.toFixed(1)} kg`;
+            }
+            if (elements.satDv) {
+                elements.satDv.textContent = `${craft.deltaVCapacity.toFixed(1)} m/s`;
+            }
+            if (elements.satLife) {
+                elements.satLife.textContent = `${Math.floor(craft.lifeDays).toLocaleString()} days`;
+            }
         }
         if (elements.satStatus && assetState.status) {
             elements.satStatus.textContent = assetState.status;
@@ -491,6 +877,34 @@ const UIController = (function () {
         if (elements.threatDescription) {
             elements.threatDescription.innerHTML = description;
         }
+
+        updateApproachCountdown();
+    }
+
+    /**
+     * Helper: Countdown to the next closest approach of a closing threat
+     */
+    function updateApproachCountdown() {
+        if (!elements.threatCountdown) return;
+
+        const next = CTSEngine.getNextApproach();
+        const now = (window.App && App.getCurrentDate) ? App.getCurrentDate() : new Date();
+
+        // className also clears the initial 'hidden'
+        if (!next) {
+            elements.threatCountdown.textContent = 'No closing objects - all threats separating';
+            elements.threatCountdown.className = 'separating';
+            return;
+        }
+
+        const details = [`miss ${next.missDistance.toFixed(2)} km`];
+        if (next.relativeSpeed !== null) {
+            details.push(`${next.relativeSpeed.toFixed(2)} km/s`);
+        }
+
+        elements.threatCountdown.textContent =
+            `CLOSEST APPROACH IN ${formatCountdown(next.tca - now)} - ${next.name} (${details.join(', ')})`;
+        elements.threatCountdown.className = 'closing';
     }
 
     // ==========================================
@@ -528,7 +942,7 @@ const UIController = (function () {
 
         switch (action) {
             case 'maneuver':
-                executeEvasiveManeuver();
+                openManeuverPlanner();
                 break;
             case 'mitigate':
                 contractDebrisMitigation();
@@ -550,11 +964,38 @@ const UIController = (function () {
     function addLogEntry(message, type = 'info') {
         if (!elements.logEntries) return;
 
+        const entry = { time: Date.now(), message: message, type: type };
+        logHistory.push(entry);
+        if (logHistory.length > MAX_LOG_ENTRIES) {
+            logHistory.shift();
+        }
+
+        renderLogEntry(entry);
+    }
+
+    /**
+     * Replaces the log with saved entries (resumed session)
+     * @param {Array} entries - {time (ms), message, type}, oldest first
+     */
+    function restoreLog(entries) {
+        if (!elements.logEntries) return;
+
+        elements.logEntries.innerHTML = '';
+        logHistory = (entries || []).slice(-MAX_LOG_ENTRIES).map(entry => Object.assign({}, entry));
+        logHistory.forEach(renderLogEntry);
+    }
+
+    /**
+     * Helper: Prepend one entry to the log list
+     */
+    function renderLogEntry(entry) {
+        const { message, type } = entry;
+
         // Create new list item
         const li = document.createElement('li');
 
         // Add timestamp
-        const now = new Date();
+        const now = new Date(entry.time);
         const timestamp = now.toLocaleTimeString('en-US', {
             hour12: false,
             hour: '2-digit',
@@ -562,7 +1003,12 @@ const UIController = (function () {
             second: '2-digit'
         });
 
-        li.innerHTML = `<span style="color: #606060;">[${timestamp}]</span> ${message}`;
+        // Messages carry names from imported files (CDM, OMM); keep them as text
+        const time = document.createElement('span');
+        time.style.color = '#606060';
+        time.textContent = `[${timestamp}]`;
+        li.appendChild(time);
+        li.appendChild(document.createTextNode(` ${message}`));
 
         // Add type-specific styling
         switch (type) {
@@ -609,10 +1055,14 @@ const UIController = (function () {
             }
         }
 
-        // Escape: Close action panel
+        // Escape: Close action panel and planner, clear the inspected object
         if (event.key === 'Escape') {
             event.preventDefault();
             hideActionPanel();
+            closeManeuverPlanner();
+            if (window.App && App.clearSelection) {
+                App.clearSelection();
+            }
         }
 
         // Space: Pause/resume
@@ -648,6 +1098,26 @@ const UIController = (function () {
             }
         }
 
+        // R: Reverse the clock direction
+        if (event.key === 'r' || event.key === 'R') {
+            if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
+                event.preventDefault();
+                if (window.App) {
+                    App.setTimeMultiplier(-App.getClockState().rate);
+                }
+            }
+        }
+
+        // J: Jump to the next conjunction
+        if (event.key === 'j' || event.key === 'J') {
+            if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
+                event.preventDefault();
+                if (window.App) {
+                    App.jumpToNextConjunction();
+                }
+            }
+        }
+
         // H: Show help
         if (event.key === 'h' || event.key === 'H') {
             if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
@@ -663,6 +1133,34 @@ const UIController = (function () {
                 toggleCameraFollow();
             }
         }
+
+        // E: Toggle inertial / Earth-fixed frame
+        if (event.key === 'e' || event.key === 'E') {
+            if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
+                event.preventDefault();
+                toggleDisplayFrame();
+            }
+        }
+
+        // G: Toggle ground track overlay
+        if (event.key === 'g' || event.key === 'G') {
+            if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
+                event.preventDefault();
+                if (window.App) {
+                    App.toggleGroundTrack();
+                }
+            }
+        }
+
+        // V: Toggle visibility footprint
+        if (event.key === 'v' || event.key === 'V') {
+            if (!event.ctrlKey && !event.metaKey && !event.target.matches('textarea, input')) {
+                event.preventDefault();
+                if (window.App) {
+                    App.toggleFootprint();
+                }
+            }
+        }
     }
 
     // ==========================================
@@ -720,17 +1218,7 @@ const UIController = (function () {
     function toggleCameraFollow() {
         if (window.SceneManager && SceneManager.toggleAutoFollow) {
             const isFollowing = SceneManager.toggleAutoFollow();
-
-            // Update button text
-            if (elements.toggleFollowBtn) {
-                const followText = elements.toggleFollowBtn.querySelector('.follow-text');
-                if (followText) {
-                    followText.textContent = isFollowing ? 'Follow: ON' : 'Follow: OFF';
-                }
-
-                // Visual feedback
-                elements.toggleFollowBtn.style.borderColor = isFollowing ? '#00ff88' : '#ff8800';
-            }
+            updateFollowButton(isFollowing);
 
             // Show toast
             showToast(
@@ -746,6 +1234,72 @@ const UIController = (function () {
         }
     }
 
+    /**
+     * Helper: Reflect the camera follow state on the header button
+     */
+    function updateFollowButton(isFollowing) {
+        if (!elements.toggleFollowBtn) return;
+
+        const followText = elements.toggleFollowBtn.querySelector('.follow-text');
+        if (followText) {
+            followText.textContent = isFollowing ? 'Follow: ON' : 'Follow: OFF';
+        }
+
+        // Visual feedback
+        elements.toggleFollowBtn.style.borderColor = isFollowing ? '#00ff88' : '#ff8800';
+    }
+
+    /**
+     * Toggle display between the inertial (ECI) and Earth-fixed (ECEF) frame
+     */
+    function toggleDisplayFrame() {
+        if (!window.App || !App.toggleDisplayFrame) {
+            return;
+        }
+
+        const frame = App.toggleDisplayFrame();
+
+        if (elements.toggleFrameBtn) {
+            const frameText = elements.toggleFrameBtn.querySelector('.frame-text');
+            if (frameText) {
+                frameText.textContent = frame === 'eci' ? 'Frame: ECI' : 'Frame: ECEF';
+            }
+        }
+    }
+
+    /**
+     * Toggle CTS scoring between proximity and probability of collision
+     */
+    function toggleScoringMode() {
+        const isPc = setScoringMode(CTSEngine.getScoringMode() === 'pc' ? 'proximity' : 'pc') === 'pc';
+
+        addLogEntry(
+            isPc
+                ? `CTS scoring: probability of collision (maneuver threshold ${CTSEngine.getConfig().pcManeuverThreshold.toExponential(0)})`
+                : 'CTS scoring: proximity',
+            'info'
+        );
+    }
+
+    /**
+     * Sets the CTS scoring mode and the mode button / Pc readout to match
+     * @param {string} mode - 'proximity' or 'pc'
+     * @returns {string} Mode now in effect
+     */
+    function setScoringMode(mode) {
+        const applied = CTSEngine.setScoringMode(mode);
+        const isPc = applied === 'pc';
+
+        if (elements.ctsModeBtn) {
+            elements.ctsModeBtn.textContent = isPc ? 'MODE: Pc' : 'MODE: PROXIMITY';
+        }
+        if (elements.ctsPc) {
+            elements.ctsPc.classList.toggle('hidden', !isPc);
+        }
+
+        return applied;
+    }
+
     /**
      * Shows keyboard shortcut help
      */
@@ -757,10 +1311,16 @@ const UIController = (function () {
       ║ Ctrl+Shift+D  Trigger critical event ║
       ║ Ctrl+Shift+R  Reset to nominal       ║
       ║ Space         Pause/Resume           ║
-      ║ Escape        Close action panel     ║
+      ║ Escape        Close panel/selection  ║
+      ║ Click object  Inspect object         ║
       ║ F             Toggle camera follow   ║
+      ║ E             Toggle ECI/ECEF frame  ║
+      ║ G             Toggle ground track    ║
+      ║ V             Toggle footprint       ║
       ║ T             Time acceleration 10x  ║
       ║ N             Normal time 1x         ║
+      ║ R             Reverse time           ║
+      ║ J             Jump to next TCA       ║
       ║ H             Show this help         ║
       ╚══════════════════════════════════════╝
         `;
@@ -867,7 +1427,7 @@ const UIController = (function () {
             title: 'Return to Setup',
             html: `
                 <p>Stop current tracking and return to the TLE input screen?</p>
-                <p class="chip" style="margin-top:10px;">Session will pause and CTS will reset.</p>
+                <p class="chip" style="margin-top:10px;">The session is saved and can be resumed from the setup screen.</p>
             `,
             confirmText: 'Return',
             cancelText: 'Stay'
@@ -875,11 +1435,13 @@ const UIController = (function () {
         if (!ok) return;
 
         try { if (window.App && App.pause) App.pause(); } catch (_) { }
+        const saved = (window.App && App.endSession) ? App.endSession() : Promise.resolve();
 
         // Reset CTS + UI
         if (CTSEngine.resetHistory) CTSEngine.resetHistory();
         CTSEngine.setForceScore(null);
         hideActionPanel();
+        closeManeuverPlanner();
 
         // Show setup, hide dashboard
         if (elements.dashboard) elements.dashboard.classList.add('hidden');
@@ -892,6 +1454,7 @@ const UIController = (function () {
 
         // Clear log
         if (elements.logEntries) elements.logEntries.innerHTML = '';
+        logHistory = [];
 
         // Reset asset data display
         if (elements.satName) elements.satName.textContent = '—';
@@ -900,22 +1463,118 @@ const UIController = (function () {
         if (elements.satInclination) elements.satInclination.textContent = '—';
 
         // Reset asset state
-        assetState = { fuel: 100, life: 100, status: 'Nominal', mitigationPending: false, salvageListed: false };
+        assetState = { status: 'Nominal', mitigationPending: false, salvageListed: false };
         updateAssetState();
 
         showToast('Returned to setup', 'info', 2000);
+        saved.then(refreshSessionList);
+    }
+
+    // Option A: Evasive Maneuver (opens the delta-v planner)
+    function openManeuverPlanner() {
+        if (!elements.maneuverPlanner) return;
+
+        elements.maneuverPlanner.classList.remove('hidden');
+        elements.maneuverPlanner.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
-    // Option A: Execute Evasive Maneuver
-    async function executeEvasiveManeuver() {
+    async function handleManeuverPlan(event) {
+        event.preventDefault();
+        if (!window.App || !App.planManeuver) return;
+
+        const form = elements.maneuverForm;
+        const deltaV = parseFloat(form.elements['maneuver-dv'].value);
+        const leadMinutes = parseFloat(form.elements['maneuver-lead'].value);
+
+        if (!isFinite(deltaV) || deltaV === 0) {
+            showToast('Enter a non-zero Δv', 'error', 2500);
+            return;
+        }
+
+        elements.maneuverExecuteBtn.disabled = true;
+        elements.maneuverResults.classList.add('hidden');
+        setManeuverStatus('Re-screening post-burn trajectory...', true);
+
+        const report = await App.planManeuver({
+            direction: form.elements['maneuver-direction'].value,
+            deltaV: deltaV,
+            leadMinutes: isFinite(leadMinutes) ? Math.max(0, leadMinutes) : 0,
+            onProgress: fraction => {
+                setManeuverStatus(`Re-screening post-burn trajectory... ${Math.round(fraction * 100)}%`, true);
+            }
+        });
+
+        // A newer plan (or a discard, which resets the status) supersedes this one
+        if (!report) {
+            if (!App.getPlannedManeuver() && elements.maneuverStatus.classList.contains('busy')) {
+                setManeuverStatus('Planning failed - see activity log', false);
+            }
+            return;
+        }
+
+        showManeuverReport(report);
+        elements.maneuverExecuteBtn.disabled = !report.propellant.feasible;
+    }
+
+    /**
+     * Renders the planner report: every known threat with its miss distance
+     * before and after the burn, then any approaches the burn introduces
+     * @param {Object} report - From App.planManeuver
+     */
+    function showManeuverReport(report) {
+        const rows = report.threats.map(t => {
+            const after = t.newMiss !== null ? `${t.newMiss.toFixed(2)} km` : `>${report.trackThresholdKm} km`;
+            const newMiss = t.newMiss !== null ? t.newMiss : Infinity;
+            const change = newMiss > t.oldMiss ? 'miss-better' : (newMiss < t.oldMiss ? 'miss-worse' : '');
+
+            return `<tr>
+                <td title="${escapeHtml(t.name)} #${escapeHtml(t.noradId)}">${escapeHtml(t.name)}</td>
+                <td>${formatUtc(t.newTca || t.tca)}</td>
+                <td>${t.oldMiss.toFixed(2)} km</td>
+                <td class="${change}">${after}</td>
+            </tr>`;
+        });
+
+        report.newConjunctions.forEach(c => {
+            rows.push(`<tr class="maneuver-new">
+                <td title="${escapeHtml(c.name)} #${escapeHtml(c.noradId)} (new)">+ ${escapeHtml(c.name)}</td>
+                <td>${formatUtc(c.tca)}</td>
+                <td>—</td>
+                <td class="miss-worse">${c.missDistance.toFixed(2)} km</td>
+            </tr>`);
+        });
+
+        elements.maneuverResultsBody.innerHTML = rows.join('');
+        elements.maneuverResults.classList.toggle('hidden', rows.length === 0);
+
+        const propellant = report.propellant;
+        setManeuverStatus(
+            `${report.maneuver.magnitude.toFixed(2)} m/s at ${formatUtc(report.burnTime)} UTC - ` +
+            (propellant.feasible
+                ? `${propellant.propellantUsed.toFixed(2)} kg, ${propellant.burnDuration.toFixed(0)} s firing. `
+                : `needs ${propellant.propellantUsed.toFixed(2)} kg, not enough propellant. `) +
+            (rows.length > 0
+                ? `${report.threats.length} threat(s), ${report.newConjunctions.length} new in ${report.windowDays} days`
+                : `No conjunctions after the burn`),
+            false
+        );
+    }
+
+    async function executePlannedManeuver() {
+        const plan = window.App && App.getPlannedManeuver ? App.getPlannedManeuver() : null;
+        if (!plan || !plan.report) return;
+
+        const report = plan.report;
         const ok = await showModal({
             title: 'Execute Evasive Maneuver',
             html: `
-                <p>You are commanding the satellite to fire its thrusters to dodge the oncoming debris.</p>
+                <p>Commit a <strong>${report.maneuver.magnitude.toFixed(2)} m/s</strong> ${escapeHtml(report.direction)} burn
+                at ${formatUtc(report.burnTime)} UTC?</p>
                 <ul style="margin-top:12px; padding-left:18px;">
-                    <li>Consumes onboard fuel</li>
-                    <li>Slightly shortens operational lifespan</li>
-                    <li>Immediate reduction of collision risk</li>
+                    <li>Uses ${report.propellant.propellantUsed.toFixed(2)} kg of propellant
+                        (${report.propellant.propellantRemaining.toFixed(1)} kg left)</li>
+                    <li>Threats and forecast are re-screened on the new orbit</li>
+                    <li>${report.newConjunctions.length} new conjunction(s) in the next ${report.windowDays} days</li>
                 </ul>
             `,
             confirmText: 'Execute Maneuver',
@@ -923,30 +1582,40 @@ const UIController = (function () {
         });
         if (!ok) return;
 
-        addLogEntry('🛰️ Evasive maneuver initiated - Thrusters firing...', 'action');
-        showToast('Maneuver simulated. CTS returning to nominal', 'success', 2500);
+        const maneuver = App.executeManeuver();
+        if (!maneuver) {
+            showToast('Maneuver not executed - plan again', 'error', 3000);
+            elements.maneuverExecuteBtn.disabled = true;
+            return;
+        }
 
-        // Resource impact
-        updateAssetState({
-            fuel: assetState.fuel - 8,
-            life: assetState.life - 4,
-            status: 'Maneuvering'
-        });
+        addLogEntry('🛰️ Evasive maneuver committed - re-screening on the new orbit', 'action');
+        showToast('Maneuver committed', 'success', 2500);
 
-        // Smoothly bring CTS down to nominal
-        const stats = CTSEngine.getStatistics();
-        const current = typeof stats.current === 'number' ? stats.current : 90;
-        rampForceScore(current, 20, 1200, 120);
-        setTimeout(() => {
-            rampForceScore(20, 0, 800, 100);
-        }, 1300);
+        elements.maneuverExecuteBtn.disabled = true;
+        elements.maneuverResults.classList.add('hidden');
+        elements.maneuverPlanner.classList.add('hidden');
+        setManeuverStatus('Set a burn and press PLAN to re-screen the new trajectory.', false);
+        hideActionPanel();
+    }
 
-        setTimeout(() => {
-            hideActionPanel();
-            CTSEngine.setForceScore(null); // resume natural scoring
-            updateAssetState({ status: 'Nominal' });
-            addLogEntry('Maneuver complete - CTS nominal', 'info');
-        }, 2400);
+    function closeManeuverPlanner() {
+        if (!elements.maneuverPlanner) return;
+
+        if (window.App && App.cancelManeuverPlan) App.cancelManeuverPlan();
+
+        elements.maneuverPlanner.classList.add('hidden');
+        elements.maneuverExecuteBtn.disabled = true;
+        elements.maneuverResults.classList.add('hidden');
+        setManeuverStatus('Set a burn and press PLAN to re-screen the new trajectory.', false);
+    }
+
+    /**
+     * Helper: Planner status line; busy while screenings run
+     */
+    function setManeuverStatus(text, busy) {
+        elements.maneuverStatus.textContent = text;
+        elements.maneuverStatus.classList.toggle('busy', busy);
     }
 
     // Option B: Contract Debris Mitigation
@@ -964,6 +1633,9 @@ const UIController = (function () {
         if (!ok) return;
 
         addLogEntry('🤝 Request sent to in-orbit servicing network (mitigation pending)', 'action');
+        if (window.App && App.recordDecision) {
+            App.recordDecision('mitigate', { score: CTSEngine.getStatistics().current });
+        }
         showToast('Request sent to our network. A representative will contact you.', 'success', 3500);
         updateAssetState({ status: 'Mitigation Pending', mitigationPending: true });
 
@@ -1014,6 +1686,9 @@ const UIController = (function () {
         if (!ok) return;
 
         addLogEntry('💰 Asset listed for salvage and recycling - initiating transfer', 'action');
+        if (window.App && App.recordDecision) {
+            App.recordDecision('monetize', { score: CTSEngine.getStatistics().current });
+        }
         showToast('Asset listed. Salvage partner will coordinate transfer.', 'success', 3500);
 
         // Freeze ops and disengage CTS
@@ -1074,6 +1749,722 @@ const UIController = (function () {
         }
     }
 
+    // ==========================================
+    // GROUND STATION PANEL
+    // ==========================================
+    /**
+     * Renders upcoming passes and whether an uplink is possible before the
+     * next conjunction
+     * @param {Object} state - {now, passes, nextConjunction, uplinkWindows, contactIds}
+     */
+    function updateGroundStationPanel(state) {
+        if (!elements.passList || !state) return;
+
+        const { now, passes, nextConjunction, uplinkWindows, contactIds } = state;
+
+        if (elements.uplinkSummary) {
+            if (!nextConjunction) {
+                elements.uplinkSummary.textContent = 'No conjunction in the screening window';
+                elements.uplinkSummary.className = '';
+            } else if (uplinkWindows.length > 0) {
+                elements.uplinkSummary.textContent =
+                    `${uplinkWindows.length} uplink pass${uplinkWindows.length === 1 ? '' : 'es'} before TCA ` +
+                    `(${formatCountdown(nextConjunction.tca - now)})`;
+                elements.uplinkSummary.className = 'uplink-ok';
+            } else {
+                elements.uplinkSummary.textContent =
+                    `NO UPLINK before TCA (${formatCountdown(nextConjunction.tca - now)})`;
+                elements.uplinkSummary.className = 'uplink-none';
+            }
+        }
+
+        const rows = passes.slice(0, MAX_PASS_ROWS).map(pass => {
+            const inContact = contactIds.indexOf(pass.stationId) !== -1 && pass.aos <= now && pass.los >= now;
+            const beforeTca = uplinkWindows.indexOf(pass) !== -1;
+            const classes = ['pass-row'];
+            if (inContact) classes.push('in-contact');
+            if (beforeTca) classes.push('before-tca');
+
+            return `<li class="${classes.join(' ')}">
+                <span class="pass-station">${escapeHtml(pass.stationName)}</span>
+                <span class="pass-times">${formatUtc(pass.aos)} → ${formatUtc(pass.los)}</span>
+                <span class="pass-geometry">${formatDegrees(pass.maxElevation)} max · AZ ${formatDegrees(pass.aosAzimuth)}→${formatDegrees(pass.losAzimuth)}</span>
+                <span class="pass-status">${inContact ? 'IN CONTACT' : formatCountdown(pass.aos - now)}</span>
+            </li>`;
+        });
+
+        elements.passList.innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<li class="pass-empty">No passes in the prediction window</li>';
+    }
+
+    /**
+     * Helper: Whole degrees, or a dash when the angle could not be computed
+     */
+    function formatDegrees(value) {
+        return typeof value === 'number' && isFinite(value) ? `${value.toFixed(0)}°` : '—';
+    }
+
+    /**
+     * Lists the configured ground stations, each with a remove control
+     * @param {Array} stations - From GroundStations.getStations()
+     */
+    function updateStationList(stations) {
+        if (!elements.stationList) return;
+
+        elements.stationList.innerHTML = stations.map(station => `<li>
+                <span class="station-name">${escapeHtml(station.name)}</span>
+                <span class="station-coords">${station.latitude.toFixed(2)}°, ${station.longitude.toFixed(2)}° · mask ${station.minElevation}°</span>
+                <button type="button" data-remove-station="${escapeHtml(station.id)}" title="Remove ${escapeHtml(station.name)}">✕</button>
+            </li>`).join('');
+    }
+
+    /**
+     * Removes the ground station whose ✕ was clicked
+     */
+    function handleStationRemove(event) {
+        const button = event.target.closest('[data-remove-station]');
+        if (button && window.App && App.removeGroundStation) {
+            App.removeGroundStation(button.dataset.removeStation);
+        }
+    }
+
+    /**
+     * Adds a ground station from the panel form
+     */
+    function handleStationFormSubmit(event) {
+        event.preventDefault();
+
+        const form = elements.stationForm;
+        const station = {
+            name: form.elements['station-name'].value,
+            latitude: parseFloat(form.elements['station-lat'].value),
+            longitude: parseFloat(form.elements['station-lon'].value),
+            altitude: parseFloat(form.elements['station-alt'].value) || 0,
+            minElevation: parseFloat(form.elements['station-mask'].value) || 0
+        };
+
+        const error = GroundStations.validateStation(station);
+        if (error) {
+            showToast(error, 'error', 3000);
+            return;
+        }
+
+        if (window.App && App.addGroundStation && App.addGroundStation(station)) {
+            form.reset();
+        }
+    }
+
+    // ==========================================
+    // SPACECRAFT FORM
+    // ==========================================
+    /**
+     * Shows the spacecraft model's current configuration in the asset form
+     */
+    function fillSpacecraftForm() {
+        if (!elements.spacecraftForm || !window.SpacecraftModel) return;
+
+        const config = SpacecraftModel.getConfig();
+        const form = elements.spacecraftForm;
+        form.elements['craft-dry'].value = config.dryMass;
+        form.elements['craft-propellant'].value = config.propellantMass;
+        form.elements['craft-isp'].value = config.isp;
+        form.elements['craft-thrust'].value = config.thrust;
+        form.elements['craft-sk'].value = config.stationKeepingDv;
+    }
+
+    function handleSpacecraftFormSubmit(event) {
+        event.preventDefault();
+
+        const form = elements.spacecraftForm;
+        const config = {
+            dryMass: parseFloat(form.elements['craft-dry'].value),
+            propellantMass: parseFloat(form.elements['craft-propellant'].value),
+            isp: parseFloat(form.elements['craft-isp'].value),
+            thrust: parseFloat(form.elements['craft-thrust'].value),
+            stationKeepingDv: parseFloat(form.elements['craft-sk'].value)
+        };
+
+        const error = SpacecraftModel.validateConfig(config);
+        if (error) {
+            showToast(error, 'error', 3000);
+            return;
+        }
+
+        if (window.App && App.configureSpacecraft) {
+            App.configureSpacecraft(config);
+        }
+    }
+
+    // ==========================================
+    // TIME BAR
+    // ==========================================
+    /**
+     * Shows the simulation clock: UTC time, scrub position and offset from the
+     * range anchor, and the rate. Fields being edited or dragged are left alone.
+     * @param {Object} clock - {now, anchor, rangeMs, rate, running} from App.getClockState()
+     */
+    function updateTimeBar(clock) {
+        if (!elements.timeBar || !clock) return;
+
+        const offset = clock.now - clock.anchor;
+        const rangeMinutes = Math.round(clock.rangeMs / 60000);
+
+        if (document.activeElement !== elements.timePicker) {
+            elements.timePicker.value = clock.now.toISOString().slice(0, 19);
+        }
+        if (!timeScrubbing) {
+            elements.timeScrub.min = -rangeMinutes;
+            elements.timeScrub.max = rangeMinutes;
+            elements.timeScrub.value = Math.round(offset / 60000);
+        }
+        if (document.activeElement !== elements.timeRate) {
+            elements.timeRate.value = clock.rate;
+        }
+
+        elements.timeOffset.textContent = formatOffset(offset);
+        elements.timeRates.querySelectorAll('[data-rate]').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.rate) === clock.rate);
+        });
+        elements.timeBar.classList.toggle('paused', !clock.running);
+        elements.timeBar.classList.toggle('rewind', clock.rate < 0);
+    }
+
+    /**
+     * Moves the clock to the picked time (the picker's value is read as UTC)
+     */
+    function handleTimePicked() {
+        const value = elements.timePicker.value;
+        if (!value || !window.App) return;
+
+        App.setSimulationTime(new Date(`${value}Z`));
+        elements.timePicker.blur();
+    }
+
+    /**
+     * Helper: Signed offset as "+2d 04:30"
+     */
+    function formatOffset(ms) {
+        const sign = ms < 0 ? '-' : '+';
+        const totalMinutes = Math.floor(Math.abs(ms) / 60000);
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+
+        return `${sign}${days}d ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    // ==========================================
+    // THREAT TABLE
+    // ==========================================
+    /**
+     * Renders the current threats, sorted by the selected column
+     * @param {Array} threats - CTSEngine.getClosestThreats() rows (with cdmExportable) plus imported CDM rows
+     * @param {Date} now - Current simulation time (for time-to-TCA)
+     */
+    function updateThreatTable(threats, now) {
+        if (!elements.threatTableBody) return;
+
+        threatTableState = { threats: threats || [], now: now };
+
+        const rows = sortThreats(threatTableState.threats, now).map(threat => {
+            const focusable = typeof threat.index === 'number';
+            const imported = threat.source === 'cdm';
+            const classes = [];
+            if (focusable) classes.push('focusable');
+            if (threat.closing) classes.push('closing');
+            if (imported) classes.push('cdm');
+            const rangeRate = threat.rangeRate !== null ? `Range rate ${threat.rangeRate.toFixed(2)} km/s` : '';
+
+            let tcaText = 'Opening';
+            if (threat.closing && threat.tca) tcaText = formatCountdown(threat.tca - now);
+            else if (imported) tcaText = 'Passed';
+
+            // Imported CDMs carry a miss distance and Pc instead of a live distance and CTS share
+            const distanceCell = imported
+                ? `<td title="Miss distance at TCA (imported CDM)">${threat.missDistance.toFixed(2)} km</td>`
+                : `<td>${threat.distance.toFixed(1)} km</td>`;
+            const scoreCell = imported
+                ? `<td title="Collision probability (imported CDM)">${threat.pc !== null ? threat.pc.toExponential(0) : '—'}</td>`
+                : `<td>+${threat.contribution.toFixed(1)}</td>`;
+            const cdmCell = imported
+                ? `<button type="button" data-cdm-dismiss="${escapeHtml(threat.cdmId)}" title="Dismiss imported CDM">×</button>`
+                : (threat.cdmExportable
+                    ? `<button type="button" data-cdm-export="${escapeHtml(threat.noradId)}" title="Export CDM">⇩</button>`
+                    : '<button type="button" disabled title="No closest approach ahead (separating, no screened conjunction)">⇩</button>');
+
+            return `<tr class="${classes.join(' ')}" data-index="${focusable ? threat.index : ''}">
+                <td class="threat-name" title="${escapeHtml(threat.name)} (${escapeHtml(threat.source)})">
+                    ${escapeHtml(threat.name)}<span class="threat-id">#${escapeHtml(threat.noradId)}</span>
+                </td>
+                ${distanceCell}
+                <td title="${rangeRate}">${threat.relativeSpeed !== null ? threat.relativeSpeed.toFixed(2) + ' km/s' : '—'}</td>
+                <td class="threat-tca">${tcaText}</td>
+                ${scoreCell}
+                <td class="threat-cdm">${cdmCell}</td>
+            </tr>`;
+        });
+
+        elements.threatTableBody.innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<tr class="threat-empty"><td colspan="6">No objects in the danger zone</td></tr>';
+    }
+
+    /**
+     * Helper: Sort threats by the active column; receding objects (no TCA)
+     * sort after closing ones
+     */
+    function sortThreats(threats, now) {
+        const { key, ascending } = threatSort;
+        const value = threat => {
+            switch (key) {
+                case 'name': return threat.name;
+                case 'relativeSpeed': return threat.relativeSpeed !== null ? threat.relativeSpeed : -Infinity;
+                case 'tca': return threat.tca ? threat.tca - now : Infinity;
+                case 'contribution': return threat.contribution !== null ? threat.contribution : -Infinity;
+                default: return threat.distance !== null ? threat.distance : threat.missDistance;
+            }
+        };
+
+        return threats.slice().sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            const order = typeof va === 'string' ? va.localeCompare(vb) : (va > vb) - (va < vb);
+            return ascending ? order : -order;
+        });
+    }
+
+    /**
+     * Changes the sort column (clicking the active column flips the order)
+     */
+    function handleThreatSort(event) {
+        const key = event.currentTarget.dataset.sort;
+
+        threatSort = threatSort.key === key
+            ? { key: key, ascending: !threatSort.ascending }
+            : { key: key, ascending: key !== 'contribution' };
+
+        elements.threatTable.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted', th.dataset.sort === key);
+            th.classList.toggle('descending', th.dataset.sort === key && !threatSort.ascending);
+        });
+
+        updateThreatTable(threatTableState.threats, threatTableState.now);
+    }
+
+    /**
+     * Focuses the camera on the object in the selected row, or runs the
+     * row's CDM button (export for CTS threats, dismiss for imported CDMs)
+     */
+    function handleThreatRowSelect(event) {
+        const exportBtn = event.target.closest('[data-cdm-export]');
+        const dismissBtn = event.target.closest('[data-cdm-dismiss]');
+        if ((exportBtn || dismissBtn) && window.App) {
+            if (exportBtn) App.exportCDM(exportBtn.dataset.cdmExport, elements.cdmFormat.value);
+            if (dismissBtn) App.dismissCDM(dismissBtn.dataset.cdmDismiss);
+            return;
+        }
+
+        const row = event.target.closest('tr.focusable');
+        if (!row || !window.App || !App.focusObject) return;
+
+        if (App.focusObject(parseInt(row.dataset.index, 10))) {
+            updateFollowButton(false);
+        }
+    }
+
+    /**
+     * Reads the chosen CDM files and hands them to the app
+     */
+    function handleCDMImport(event) {
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';   // Allow the same file to be picked again
+
+        files.forEach(file => {
+            file.text()
+                .then(text => App.importCDM(text, file.name))
+                .catch(error => showToast(`Could not read ${file.name}: ${error.message}`, 'error'));
+        });
+    }
+
+    // ==========================================
+    // SAVED SESSIONS
+    // ==========================================
+    /**
+     * Re-reads the saved sessions and lists them on the setup screen
+     * (the list stays hidden when there are none or storage is unavailable)
+     * @returns {Promise<void>}
+     */
+    function refreshSessionList() {
+        if (!elements.sessionList || !window.SessionStore || !SessionStore.isAvailable()) {
+            return Promise.resolve();
+        }
+
+        return SessionStore.listSessions()
+            .then(renderSessionList)
+            .catch(error => {
+                console.warn('UIController: Could not list saved sessions', error);
+                renderSessionList([]);
+            });
+    }
+
+    /**
+     * Helper: One row per saved session, most recent first
+     */
+    function renderSessionList(sessions) {
+        elements.sessionListSection.classList.toggle('hidden', sessions.length === 0);
+
+        elements.sessionList.innerHTML = sessions.map(session => `<li class="session-row">
+                <div class="session-info">
+                    <span class="session-name">${escapeHtml(session.name)}</span>
+                    <span class="session-meta">${session.assetCount} asset(s) · ${session.decisionCount} decision(s) · ` +
+            `sim ${formatUtc(new Date(session.simulationTime))} UTC · saved ${new Date(session.updatedAt).toLocaleString()}</span>
+                </div>
+                <button type="button" class="btn btn-ghost" data-resume="${escapeHtml(session.id)}">RESUME</button>
+                <button type="button" class="btn btn-ghost session-delete" data-delete="${escapeHtml(session.id)}" title="Delete session">✕</button>
+            </li>`).join('');
+    }
+
+    /**
+     * Resumes or deletes the session whose button was pressed
+     */
+    async function handleSessionListClick(event) {
+        const resume = event.target.closest('[data-resume]');
+        if (resume) {
+            resumeSavedSession(resume.dataset.resume);
+            return;
+        }
+
+        const remove = event.target.closest('[data-delete]');
+        if (!remove) return;
+
+        const ok = await showModal({
+            title: 'Delete Saved Session',
+            html: '<p>Delete this session, its log and its decision history?</p>',
+            confirmText: 'Delete',
+            cancelText: 'Keep',
+            danger: true
+        });
+        if (!ok) return;
+
+        SessionStore.deleteSession(remove.dataset.delete)
+            .catch(error => showToast(`Could not delete session: ${error.message}`, 'error', 3500))
+            .then(refreshSessionList);
+    }
+
+    /**
+     * Loads a saved session and brings the dashboard back where it left off
+     * @param {string} id - Session id
+     */
+    function resumeSavedSession(id) {
+        if (!window.App || !App.isInitialized()) {
+            showError('System still loading, please wait...');
+            return;
+        }
+
+        SessionStore.loadSession(id)
+            .then(session => {
+                if (!session) {
+                    showToast('Saved session not found', 'error', 3000);
+                    refreshSessionList();
+                    return;
+                }
+
+                hideError();
+                elements.tleInputSection.classList.add('hidden');
+                elements.tleInputSection.classList.remove('active');
+                showDashboard();
+
+                if (App.resumeSession(session)) {
+                    fillSpacecraftForm();
+                }
+            })
+            .catch(error => {
+                console.error('UIController: Could not load saved session', error);
+                showError(`Could not load saved session: ${error.message}`);
+            });
+    }
+
+    // ==========================================
+    // CATALOG SEARCH
+    // ==========================================
+    /**
+     * Applies the filters to the scene and lists the objects matching the query
+     */
+    function handleCatalogSearch(event) {
+        event.preventDefault();
+        if (!window.App || !App.setCatalogFilter) return;
+
+        const form = elements.catalogForm;
+        const number = name => {
+            const value = form.elements[name].value.trim();
+            return value === '' ? null : parseFloat(value);
+        };
+        const filters = {
+            regime: form.elements['catalog-regime'].value,
+            type: form.elements['catalog-type'].value,
+            minInclination: number('catalog-inc-min'),
+            maxInclination: number('catalog-inc-max'),
+            minAltitude: number('catalog-alt-min'),
+            maxAltitude: number('catalog-alt-max')
+        };
+
+        const filter = App.setCatalogFilter(filters);
+        if (filter.error) {
+            showToast(filter.error, 'error', 3000);
+            return;
+        }
+
+        renderCatalogResults(App.searchCatalog(form.elements['catalog-query'].value), filter.count);
+    }
+
+    /**
+     * Clears the query and filters and shows the whole catalog again
+     */
+    function clearCatalogSearch() {
+        elements.catalogForm.reset();
+        if (window.App && App.setCatalogFilter) App.setCatalogFilter(null);
+
+        elements.catalogSummary.textContent = 'Showing the full catalog';
+        elements.catalogResults.innerHTML = '';
+    }
+
+    /**
+     * Lists search results
+     * @param {Object} found - {total, results} from App.searchCatalog
+     * @param {number} visibleCount - Objects the filters leave in the scene
+     */
+    function renderCatalogResults(found, visibleCount) {
+        elements.catalogSummary.textContent =
+            `${visibleCount.toLocaleString()} objects shown - ${found.total.toLocaleString()} match(es)` +
+            (found.total > found.results.length ? `, first ${found.results.length} listed` : '');
+
+        elements.catalogResults.innerHTML = found.results.length > 0
+            ? found.results.map(entry => `<li class="catalog-row" data-index="${entry.index}" title="Focus camera on ${escapeHtml(entry.name)}">
+                    <span class="catalog-name">${escapeHtml(entry.name)}</span>
+                    <button type="button" class="btn btn-ghost catalog-track" data-track="${entry.index}" title="Track as own asset">TRACK</button>
+                    <span class="catalog-orbit">#${escapeHtml(entry.noradId)} ${escapeHtml(entry.intlDes)} · ${entry.regime} · ` +
+                `${Math.round(entry.perigee)}×${Math.round(entry.apogee)} km · ${entry.inclination.toFixed(1)}°</span>
+                </li>`).join('')
+            : '<li class="catalog-empty">No objects match</li>';
+    }
+
+    /**
+     * Tracks the result whose TRACK button was pressed, or turns the camera
+     * towards the selected result
+     */
+    function handleCatalogResultSelect(event) {
+        if (!window.App) return;
+
+        const track = event.target.closest('[data-track]');
+        if (track) {
+            if (App.trackCatalogObject(parseInt(track.dataset.track, 10))) fillSpacecraftForm();
+            return;
+        }
+
+        const row = event.target.closest('.catalog-row');
+        if (row && App.focusObject(parseInt(row.dataset.index, 10))) {
+            updateFollowButton(false);
+        }
+    }
+
+    // ==========================================
+    // FLEET PANEL
+    // ==========================================
+    /**
+     * Renders the fleet roll-up and one row per asset
+     * @param {Object|null} fleet - From CTSEngine.getFleetScore()
+     * @param {string} focusId - Focused asset's NORAD ID
+     */
+    function updateFleetPanel(fleet, focusId) {
+        if (!elements.fleetTableBody || !fleet) return;
+
+        const counts = fleet.counts;
+        elements.fleetSummary.textContent =
+            `Fleet CTS ${fleet.score} (${fleet.status}) - ${fleet.assets.length} asset(s), ` +
+            `${counts.CRITICAL} critical, ${counts.WARNING} warning, ${counts.ELEVATED} elevated`;
+
+        elements.fleetTableBody.innerHTML = fleet.assets.map(asset => {
+            const top = asset.topThreat;
+            const topText = !top
+                ? '—'
+                : (fleet.mode === 'pc'
+                    ? `${top.name} (Pc ${top.pc.toExponential(1)})`
+                    : `${top.name} (${top.distance.toFixed(1)} km)`);
+
+            return `<tr class="${asset.id === focusId ? 'focused' : ''}" data-id="${escapeHtml(asset.id)}" title="Focus ${escapeHtml(asset.name)}">
+                <td>${escapeHtml(asset.name)}</td>
+                <td class="fleet-score ${asset.status.toLowerCase()}">${asset.score}</td>
+                <td>${asset.threatCount}</td>
+                <td title="${escapeHtml(topText)}">${escapeHtml(topText)}</td>
+                <td class="fleet-remove" data-remove="${escapeHtml(asset.id)}" title="Remove from fleet">✕</td>
+            </tr>`;
+        }).join('');
+    }
+
+    function handleFleetRowSelect(event) {
+        if (!window.App) return;
+
+        const remove = event.target.closest('[data-remove]');
+        if (remove) {
+            if (App.removeFleetAsset(remove.dataset.remove)) fillSpacecraftForm();
+            return;
+        }
+
+        const row = event.target.closest('tr[data-id]');
+        if (row && App.focusAsset(row.dataset.id)) {
+            fillSpacecraftForm();
+        }
+    }
+
+    /**
+     * Adds a fleet asset by catalog number (looked up in the loaded catalog)
+     * or from pasted TLE / OMM text
+     */
+    function handleFleetFormSubmit(event) {
+        event.preventDefault();
+        if (!window.App || !App.addFleetAsset) return;
+
+        const form = elements.fleetForm;
+        const text = form.elements['fleet-input'].value.trim();
+        if (!text) return;
+
+        let tle;
+        if (/^[0-9A-Z]{1,5}$/i.test(text)) {
+            tle = App.findCatalogTLE(text);
+            if (!tle) {
+                showToast(`${text} is not in the loaded catalog - paste its TLE instead`, 'error', 3500);
+                return;
+            }
+        } else {
+            const validation = DataLoader.validateTLEInput(text);
+            if (!validation.valid) {
+                showToast(validation.error, 'error', 4000);
+                return;
+            }
+            tle = validation.satellite;
+        }
+
+        if (App.addFleetAsset(tle)) {
+            form.reset();
+        }
+    }
+
+    // ==========================================
+    // OBJECT INSPECTOR
+    // ==========================================
+    /**
+     * Shows details of the selected scene object
+     * @param {Object} info - From App.describeObject: {name, noradId, epoch,
+     *                        altitude, inclination, distance, contribution, decay, isPlayer}
+     */
+    function showInspector(info) {
+        if (!elements.inspectorPanel || !info) return;
+
+        elements.inspectorPanel.classList.remove('hidden');
+
+        elements.inspectorName.textContent = info.name;
+        elements.inspectorNorad.textContent = info.noradId || '—';
+        elements.inspectorEpoch.textContent = info.epoch
+            ? info.epoch.toISOString().slice(0, 19).replace('T', ' ') + ' UTC'
+            : '—';
+        elements.inspectorAltitude.textContent = info.altitude !== null ? `${info.altitude.toFixed(1)} km` : '—';
+        elements.inspectorInclination.textContent = `${info.inclination.toFixed(2)}°`;
+        elements.inspectorDistance.textContent = info.isPlayer
+            ? 'Own asset'
+            : (info.distance !== null ? `${info.distance.toFixed(1)} km` : '—');
+
+        const contribution = info.contribution;
+        elements.inspectorContribution.textContent = formatContribution(contribution, info.isPlayer);
+        elements.inspectorContribution.classList.toggle('scored', !!(contribution && contribution.score > 0));
+
+        showDecay(elements.inspectorDecay, info.decay);
+    }
+
+    /**
+     * Hides the inspector panel
+     */
+    function hideInspector() {
+        if (elements.inspectorPanel) {
+            elements.inspectorPanel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Shows the hover tooltip next to the cursor
+     * @param {Object} info - {name, noradId}
+     * @param {number} clientX - Cursor x in client pixels
+     * @param {number} clientY - Cursor y in client pixels
+     */
+    function showSceneTooltip(info, clientX, clientY) {
+        if (!elements.sceneTooltip || !info) return;
+
+        elements.sceneTooltip.innerHTML = escapeHtml(info.name) +
+            (info.noradId ? `<span class="tooltip-id">#${escapeHtml(info.noradId)}</span>` : '');
+        elements.sceneTooltip.style.left = `${clientX + 14}px`;
+        elements.sceneTooltip.style.top = `${clientY + 14}px`;
+        elements.sceneTooltip.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the hover tooltip
+     */
+    function hideSceneTooltip() {
+        if (elements.sceneTooltip) {
+            elements.sceneTooltip.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Helper: Describe a CTS contribution ({mode, scored, score, pc})
+     */
+    function formatContribution(contribution, isPlayer) {
+        if (isPlayer || !contribution) return '—';
+
+        if (contribution.separating) return '0 (separating)';
+
+        if (!contribution.scored) {
+            return contribution.mode === 'pc' ? 'No screened conjunction' : 'Not scored (non-debris)';
+        }
+
+        if (contribution.mode === 'pc') {
+            return `+${contribution.score.toFixed(1)} (Pc ${contribution.pc.toExponential(1)})`;
+        }
+
+        return contribution.score > 0 ? `+${contribution.score.toFixed(1)}` : '0 (outside danger zone)';
+    }
+
+    /**
+     * Helper: Format a date as UTC "MM-DD HH:MM"
+     */
+    function formatUtc(date) {
+        return date.toISOString().slice(5, 16).replace('T', ' ');
+    }
+
+    /**
+     * Helper: Format a duration in milliseconds as "2h 05m" / "12m 30s"
+     */
+    function formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        }
+        return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    }
+
+    /**
+     * Helper: Escape text for insertion into HTML
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     // ==========================================
     // PUBLIC API
     // ==========================================
@@ -1084,6 +2475,21 @@ const UIController = (function () {
         // Dashboard updates
         updateCTSDisplay: updateCTSDisplay,
         updateAssetInfo: updateAssetInfo,
+        updateIllumination: updateIllumination,
+        updateDecay: updateDecay,
+        updateAssetState: updateAssetState,
+        getAssetState: function () { return Object.assign({}, assetState); },
+        setScoringMode: setScoringMode,
+        updateGroundStationPanel: updateGroundStationPanel,
+        updateStationList: updateStationList,
+        updateThreatTable: updateThreatTable,
+        updateFleetPanel: updateFleetPanel,
+        updateForecast: updateForecast,
+        updateTimeBar: updateTimeBar,
+        showInspector: showInspector,
+        hideInspector: hideInspector,
+        showSceneTooltip: showSceneTooltip,
+        hideSceneTooltip: hideSceneTooltip,
 
         // Panel controls
         showActionPanel: showActionPanel,
@@ -1093,6 +2499,11 @@ const UIController = (function () {
 
         // Logging
         addLogEntry: addLogEntry,
+        restoreLog: restoreLog,
+        getLogEntries: function () { return logHistory.map(entry => Object.assign({}, entry)); },
+
+        // Saved sessions
+        refreshSessionList: refreshSessionList,
 
         // Demo triggers
         triggerCriticalEvent: triggerCriticalEvent,